@@ -0,0 +1,90 @@
+// public/sw.js
+// Service worker của Baby Sleep Tracker: lưu app shell để mở được khi mất mạng, hiển thị thông báo
+// hệ thống khi tab đang chạy nền và đưa người dùng quay lại dashboard khi bấm vào thông báo.
+
+// Khi build, plugin precacheServiceWorker trong vite.config.js thay BUILD_ID và BUILD_ASSETS bằng mã bản
+// build và danh sách file JS/CSS có hash trong /assets/, để lần cài đặt đầu đã lưu đủ mã chạy ngoại tuyến
+// và mỗi bản build mới dùng bộ nhớ đệm riêng (bản cũ bị xóa khi activate). Khi `npm run dev` danh sách rỗng.
+const BUILD_ID = "dev";
+const BUILD_ASSETS = [];
+
+const CACHE_NAME = `baby-sleep-shell-${BUILD_ID}`;
+const APP_SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg", ...BUILD_ASSETS];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        (async () => {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.addAll(APP_SHELL);
+            await self.skipWaiting();
+        })()
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        (async () => {
+            const keys = await caches.keys();
+            await Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)));
+            await self.clients.claim();
+        })()
+    );
+});
+
+const putInCache = async (request, response) => {
+    if (!response.ok) return;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response);
+};
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Chỉ xử lý tài nguyên tĩnh cùng origin; Firebase và các API khác đi thẳng ra mạng
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    // File trong /assets/ có hash trong tên nên không đổi nội dung: ưu tiên bộ nhớ đệm (đã lưu sẵn khi cài đặt)
+    if (url.pathname.startsWith("/assets/")) {
+        event.respondWith(
+            (async () => {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+
+                const response = await fetch(request);
+                event.waitUntil(putInCache(request, response.clone()));
+                return response;
+            })()
+        );
+        return;
+    }
+
+    // Trang và các file còn lại: ưu tiên mạng để luôn có bản mới, mất mạng thì dùng bản đã lưu
+    event.respondWith(
+        (async () => {
+            try {
+                const response = await fetch(request);
+                event.waitUntil(putInCache(request, response.clone()));
+                return response;
+            } catch (error) {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+                if (request.mode === "navigate") return caches.match("/index.html");
+                throw error;
+            }
+        })()
+    );
+});
+
+self.addEventListener("notificationclick", (event) => {
+    event.notification.close();
+
+    event.waitUntil(
+        (async () => {
+            const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+            const existing = windows.find((client) => "focus" in client);
+            if (existing) return existing.focus();
+            return self.clients.openWindow("/");
+        })()
+    );
+});
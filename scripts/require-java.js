@@ -0,0 +1,27 @@
+// scripts/require-java.js
+
+// Firebase Emulator cần Java 11 trở lên. Kiểm tra trước khi chạy `firebase emulators:exec`
+// để `npm test` dừng với hướng dẫn rõ ràng thay vì lỗi "Could not spawn `java -version`".
+
+import { spawnSync } from "node:child_process";
+
+const MIN_JAVA_VERSION = 11;
+
+const result = spawnSync("java", ["-version"], { encoding: "utf8" });
+
+if (result.error || result.status !== 0) {
+    console.error(
+        `Không tìm thấy Java. Kiểm thử security rules chạy trên Firebase Emulator và cần Java ${MIN_JAVA_VERSION} trở lên ` +
+            "(ví dụ cài OpenJDK rồi kiểm tra bằng `java -version`). Chỉ chạy kiểm thử đơn vị: `npm run test:unit`."
+    );
+    process.exit(1);
+}
+
+// `java -version` in ra stderr, ví dụ `openjdk version "17.0.2"` hoặc `java version "1.8.0_381"`
+const [, major, minor] = (result.stderr || result.stdout).match(/version "(\d+)(?:\.(\d+))?/) || [];
+const version = Number(major) === 1 ? Number(minor) : Number(major);
+
+if (version && version < MIN_JAVA_VERSION) {
+    console.error(`Firebase Emulator cần Java ${MIN_JAVA_VERSION} trở lên, máy đang có Java ${version}.`);
+    process.exit(1);
+}
@@ -0,0 +1,109 @@
+// scripts/simulate-device.js
+
+// Bộ mô phỏng thiết bị chạy bằng Node: ghi dữ liệu cảm biến theo kịch bản vào Firebase Emulator.
+// Cấu hình Firebase lấy từ cùng tệp .env của ứng dụng web. Chạy `npm run simulate -- --help` để xem tùy chọn.
+
+import "dotenv/config";
+import { parseArgs } from "node:util";
+import { SIMULATOR_SCENARIOS, DEFAULT_SCENARIO } from "../src/simulator/scenarios.js";
+import { connectSimulatorDatabase, startDeviceSimulator, SIMULATOR_DEFAULTS } from "../src/simulator/device-simulator.js";
+
+const USAGE = `Cách dùng: npm run simulate -- --household <householdId> --device <deviceId> [tùy chọn]
+
+Tùy chọn:
+  --scenario <tên>     Kịch bản (mặc định ${DEFAULT_SCENARIO})
+  --interval <giây>    Chu kỳ gửi bản ghi (mặc định ${SIMULATOR_DEFAULTS.intervalMs / 1000})
+  --speed <hệ số>      Tua nhanh kịch bản (mặc định ${SIMULATOR_DEFAULTS.speed})
+  --uid <uid>          UID tài khoản thiết bị để áp dụng rules (bỏ trống: bỏ qua rules)
+  --seed <số>          Seed để chạy lại cùng dữ liệu
+  --host <host>        Realtime Database Emulator (mặc định ${SIMULATOR_DEFAULTS.emulatorHost})
+  --port <cổng>        (mặc định ${SIMULATOR_DEFAULTS.emulatorPort})
+
+Kịch bản:
+${Object.entries(SIMULATOR_SCENARIOS)
+    .map(([name, { label, description }]) => `  ${name.padEnd(16)} ${label}: ${description}`)
+    .join("\n")}`;
+
+const fail = (message) => {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+};
+
+const toNumber = (value, name) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) fail(`--${name} phải là số dương.`);
+    return number;
+};
+
+const formatElapsed = (elapsedMs) => {
+    const totalMinutes = Math.floor(elapsedMs / 60000);
+    const seconds = Math.floor((elapsedMs % 60000) / 1000);
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, "0")}:${String(totalMinutes % 60).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+};
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            household: { type: "string" },
+            device: { type: "string" },
+            scenario: { type: "string", default: DEFAULT_SCENARIO },
+            interval: { type: "string" },
+            speed: { type: "string" },
+            uid: { type: "string", default: "" },
+            seed: { type: "string" },
+            host: { type: "string", default: SIMULATOR_DEFAULTS.emulatorHost },
+            port: { type: "string" },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    }));
+} catch (error) {
+    fail(error.message);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+if (!args.household || !args.device) fail("Thiếu --household hoặc --device.");
+if (!SIMULATOR_SCENARIOS[args.scenario]) fail(`Kịch bản không tồn tại: ${args.scenario}`);
+
+const firebaseConfig = {
+    apiKey: process.env.VITE_FIREBASE_API_KEY,
+    projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+    databaseURL: process.env.VITE_FIREBASE_DATABASE_URL,
+};
+
+let connection;
+try {
+    connection = connectSimulatorDatabase(firebaseConfig, { uid: args.uid, host: args.host, port: toNumber(args.port, "port") });
+} catch (error) {
+    fail(`${error.message} Kiểm tra VITE_FIREBASE_PROJECT_ID và VITE_FIREBASE_DATABASE_URL trong .env.`);
+}
+
+const intervalSeconds = toNumber(args.interval, "interval");
+const simulator = startDeviceSimulator(connection.database, {
+    householdId: args.household,
+    deviceId: args.device,
+    scenario: args.scenario,
+    intervalMs: intervalSeconds ? intervalSeconds * 1000 : undefined,
+    speed: toNumber(args.speed, "speed"),
+    seed: toNumber(args.seed, "seed"),
+    onReading: (entry, elapsedMs) =>
+        console.log(
+            `[${formatElapsed(elapsedMs)}] ${entry.status}${entry.isCrying ? " (khóc)" : ""}, ${entry.sleepPosition}, ` +
+                `bé ${entry.babyTemperature}°C, phòng ${entry.environmentTemperature}°C, độ ẩm ${entry.environmentHumidity}%`
+        ),
+    onSkip: (elapsedMs) => console.log(`[${formatElapsed(elapsedMs)}] (mất kết nối, không gửi dữ liệu)`),
+    onError: (error) => console.error("Lỗi ghi dữ liệu (emulator đã chạy chưa, UID thiết bị có đúng không?):", error.message),
+});
+
+const { label } = SIMULATOR_SCENARIOS[args.scenario];
+console.log(`Đang mô phỏng "${label}" cho ${args.household}/${args.device} qua emulator ${args.host}. Nhấn Ctrl+C để dừng.`);
+
+process.on("SIGINT", async () => {
+    simulator.stop();
+    await connection.close();
+    process.exit(0);
+});
@@ -0,0 +1,123 @@
+// src/js/account.js
+
+import { database, ref, auth } from "./firebase-config.js";
+import { update } from "firebase/database";
+import {
+    GoogleAuthProvider,
+    EmailAuthProvider,
+    signInWithPopup,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    reauthenticateWithCredential,
+    reauthenticateWithPopup,
+    updatePassword,
+    deleteUser,
+} from "firebase/auth";
+import { householdPath, listHouseholds, listMembers, hasPermission } from "./household.js";
+import { listHouseholdInvites, emailKey } from "./invitations.js";
+import { t } from "./i18n.js";
+
+const googleProvider = new GoogleAuthProvider();
+googleProvider.setCustomParameters({ prompt: "select_account" });
+
+export const usesPassword = (user) => user.providerData.some((provider) => provider.providerId === "password");
+
+// Tài khoản Google đã được Google xác minh email; chỉ tài khoản email/mật khẩu cần xác nhận qua thư
+export const needsEmailVerification = (user) => usesPassword(user) && !user.emailVerified;
+
+export const signInWithGoogle = () => signInWithPopup(auth, googleProvider);
+
+export async function sendResetEmail(email) {
+    if (!email?.trim()) throw new Error(t("Vui lòng nhập email để đặt lại mật khẩu."));
+    await sendPasswordResetEmail(auth, email.trim());
+}
+
+export const sendVerificationEmail = (user) => sendEmailVerification(user);
+
+/**
+ * Tải lại trạng thái tài khoản từ Firebase (sau khi người dùng bấm link xác nhận trong email).
+ * Trả về true nếu email đã được xác nhận.
+ */
+export async function refreshEmailVerified(user) {
+    await user.reload();
+    return auth.currentUser?.emailVerified === true;
+}
+
+// Đổi mật khẩu và xóa tài khoản là thao tác nhạy cảm, Firebase yêu cầu vừa đăng nhập lại
+const reauthenticate = async (user, currentPassword) => {
+    if (!usesPassword(user)) {
+        await reauthenticateWithPopup(user, googleProvider);
+        return;
+    }
+    if (!currentPassword) throw new Error(t("Vui lòng nhập mật khẩu hiện tại."));
+    await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, currentPassword));
+};
+
+export async function changePassword(user, currentPassword, newPassword, confirmPassword) {
+    if (!newPassword || newPassword.length < 6) throw new Error(t("Mật khẩu mới cần ít nhất 6 ký tự."));
+    if (newPassword !== confirmPassword) throw new Error(t("Mật khẩu nhập lại không khớp."));
+    if (newPassword === currentPassword) throw new Error(t("Mật khẩu mới phải khác mật khẩu hiện tại."));
+
+    await reauthenticate(user, currentPassword);
+    await updatePassword(user, newPassword);
+}
+
+/**
+ * Các thay đổi cần ghi để xóa dữ liệu của người dùng trong một hộ gia đình.
+ * Chủ hộ duy nhất xóa cả hộ gia đình (dữ liệu cảm biến, sự kiện, lời mời) và gỡ hộ khỏi danh sách của
+ * các thành viên khác; còn lại chỉ rời khỏi hộ gia đình.
+ */
+const householdDeletionUpdates = async (uid, household) => {
+    const updates = {};
+    const base = householdPath(household.id);
+
+    // Phiên camera cá nhân trên từng thiết bị (chỉ vai trò được xem camera mới có)
+    if (hasPermission("viewCamera", household.role)) {
+        household.devices.forEach((device) => {
+            updates[`webrtc_sessions/${household.id}/${device.id}/${uid}`] = null;
+        });
+    }
+
+    const members = await listMembers(household.id);
+    const otherOwners = members.filter((member) => member.role === "owner" && member.uid !== uid);
+
+    if (household.role !== "owner" || otherOwners.length > 0) {
+        updates[`${base}/members/${uid}`] = null;
+        updates[`${base}/memberProfiles/${uid}`] = null;
+        updates[`${base}/joinedWith/${uid}`] = null;
+        updates[`users/${uid}/households/${household.id}`] = null;
+        return updates;
+    }
+
+    const invites = await listHouseholdInvites(household.id);
+    invites.forEach((invite) => {
+        updates[`invites/${invite.code}`] = null;
+        if (invite.email) updates[`inviteEmails/${emailKey(invite.email)}/${invite.code}`] = null;
+    });
+    members.forEach((member) => {
+        updates[`users/${member.uid}/households/${household.id}`] = null;
+    });
+    updates[base] = null;
+
+    return updates;
+};
+
+/**
+ * Xóa tài khoản cùng dữ liệu của người dùng. Dữ liệu được xóa trước trong một lần update
+ * (khi tài khoản còn quyền ghi), sau đó mới xóa tài khoản Firebase Auth.
+ * `users/{uid}` tự biến mất khi không còn hộ gia đình nào.
+ */
+export async function deleteAccount(user, currentPassword) {
+    await reauthenticate(user, currentPassword);
+
+    const households = await listHouseholds(user.uid);
+    const updates = {};
+
+    for (const household of households) {
+        Object.assign(updates, await householdDeletionUpdates(user.uid, household));
+    }
+
+    if (Object.keys(updates).length > 0) await update(ref(database), updates);
+
+    await deleteUser(user);
+}
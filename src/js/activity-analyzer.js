@@ -0,0 +1,262 @@
+// src/js/activity-analyzer.js
+
+import { t } from "./i18n.js";
+
+// Phân tích chuyển động và âm thanh ngay trên luồng camera nhận được, độc lập với bộ phân loại của Pi,
+// để đối chiếu khi trạng thái `isCrying`/`status` của Pi sai hoặc chậm. Tùy chọn gắn với trình duyệt.
+const PREFS_STORAGE_KEY = "babySleepTracker.activityPrefs";
+
+export const ACTIVITY_RULES = {
+    // Chu kỳ lấy mẫu khung hình và âm lượng
+    SAMPLE_MS: 500,
+    // Gộp các mẫu thành một điểm trên biểu đồ xu hướng
+    CHART_POINT_MS: 5 * 1000,
+    // Chỉ giữ điểm biểu đồ trong bộ nhớ chừng này (dữ liệu không được lưu lên Firebase)
+    HISTORY_MS: 24 * 60 * 60 * 1000,
+    // Khung hình được thu nhỏ trước khi so sánh để giảm tải CPU và nhiễu
+    FRAME_WIDTH: 64,
+    FRAME_HEIGHT: 36,
+    // Điểm ảnh đổi độ sáng ít hơn mức này (0-255) coi là nhiễu của camera
+    PIXEL_NOISE: 12,
+    // Âm lượng RMS (dBFS) tương ứng mức 0% và 100%
+    SILENCE_DB: -60,
+    LOUD_DB: -10,
+    // Làm mượt âm lượng để khoảng lấy hơi giữa các tiếng khóc không làm ngắt trạng thái ồn
+    SMOOTHING: 0.7,
+    // Tiếng ồn lớn chỉ kết thúc khi âm lượng thấp hơn ngưỡng trừ HYSTERESIS liên tục CLEAR_AFTER_MS
+    HYSTERESIS: 10,
+    CLEAR_AFTER_MS: 10 * 1000,
+};
+
+export const ACTIVITY_LIMITS = {
+    loudThreshold: { min: 10, max: 100 },
+    loudForSeconds: { min: 5, max: 600 },
+};
+
+const DEFAULT_PREFS = {
+    enabled: false,
+    // Mức âm lượng (%) và thời gian kéo dài (giây) của cảnh báo "tiếng ồn lớn kéo dài"
+    loudThreshold: 60,
+    loudForSeconds: 30,
+};
+
+const loadPrefs = () => {
+    try {
+        return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY)) };
+    } catch {
+        return { ...DEFAULT_PREFS };
+    }
+};
+
+let prefs = loadPrefs();
+
+export const isActivityAnalysisSupported = () => typeof AudioContext !== "undefined" && typeof HTMLCanvasElement !== "undefined";
+
+export const getActivityPrefs = () => ({ ...prefs });
+
+/**
+ * Lưu tùy chọn phân tích (một phần hoặc đầy đủ). Ném lỗi với thông báo theo ngôn ngữ đang chọn nếu
+ * ngưỡng nằm ngoài ACTIVITY_LIMITS.
+ */
+export function saveActivityPrefs(changes) {
+    const next = { ...prefs, ...changes, enabled: Boolean(changes.enabled ?? prefs.enabled) };
+
+    Object.entries(ACTIVITY_LIMITS).forEach(([key, { min, max }]) => {
+        const value = Number(next[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(t("Giá trị {value} nằm ngoài khoảng cho phép ({min} - {max}).", { value: next[key], min, max }));
+        }
+        next[key] = value;
+    });
+
+    prefs = next;
+    localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+    return getActivityPrefs();
+}
+
+// Điểm biểu đồ `{ timestamp, motionLevel, soundLevel }` của thiết bị đang xem, cũ nhất trước
+let history = [];
+
+export const getActivityHistory = () => history.slice();
+
+export const clearActivityHistory = () => {
+    history = [];
+};
+
+// { stream, video, callbacks, canvas, context, previousFrame, audioContext, analyserNode, samples,
+//   soundLevel, loud, loudSince, quietSince, pointTimer, sampleTimer }
+let analyzer = null;
+
+const clampLevel = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+// Tỉ lệ (%) điểm ảnh thay đổi rõ rệt so với khung hình lấy mẫu trước
+const measureMotion = () => {
+    const { video, context } = analyzer;
+    if (!video.videoWidth || video.readyState < 2) return null;
+
+    const { FRAME_WIDTH: width, FRAME_HEIGHT: height } = ACTIVITY_RULES;
+    context.drawImage(video, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    const frame = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < frame.length; i++) {
+        frame[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+    }
+
+    const previous = analyzer.previousFrame;
+    analyzer.previousFrame = frame;
+    if (!previous) return 0;
+
+    let changed = 0;
+    for (let i = 0; i < frame.length; i++) {
+        if (Math.abs(frame[i] - previous[i]) > ACTIVITY_RULES.PIXEL_NOISE) changed++;
+    }
+    return clampLevel((changed / frame.length) * 100);
+};
+
+// Âm lượng RMS của khung âm thanh hiện tại, quy về 0-100% giữa SILENCE_DB và LOUD_DB
+const measureSound = () => {
+    const { analyserNode } = analyzer;
+    if (!analyserNode) return null;
+
+    const samples = new Float32Array(analyserNode.fftSize);
+    analyserNode.getFloatTimeDomainData(samples);
+
+    const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const { SILENCE_DB, LOUD_DB } = ACTIVITY_RULES;
+    return clampLevel(((db - SILENCE_DB) / (LOUD_DB - SILENCE_DB)) * 100);
+};
+
+const setLoud = (loud) => {
+    if (analyzer.loud === loud) return;
+    analyzer.loud = loud;
+    analyzer.callbacks.onLoudChange?.(loud);
+};
+
+// Tiếng ồn lớn: âm lượng đã làm mượt vượt ngưỡng liên tục `loudForSeconds`, tắt có hysteresis
+const updateLoudState = (level, now) => {
+    if (!analyzer.loud) {
+        if (level < prefs.loudThreshold) {
+            analyzer.loudSince = null;
+            return;
+        }
+        analyzer.loudSince ??= now;
+        if (now - analyzer.loudSince >= prefs.loudForSeconds * 1000) {
+            analyzer.quietSince = null;
+            setLoud(true);
+        }
+        return;
+    }
+
+    if (level >= prefs.loudThreshold - ACTIVITY_RULES.HYSTERESIS) {
+        analyzer.quietSince = null;
+        return;
+    }
+    analyzer.quietSince ??= now;
+    if (now - analyzer.quietSince >= ACTIVITY_RULES.CLEAR_AFTER_MS) {
+        analyzer.loudSince = null;
+        setLoud(false);
+    }
+};
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+const sample = () => {
+    const now = Date.now();
+    const motionLevel = measureMotion();
+    const rawSound = measureSound();
+
+    if (rawSound !== null) {
+        const { SMOOTHING } = ACTIVITY_RULES;
+        analyzer.soundLevel = analyzer.soundLevel === null ? rawSound : clampLevel(SMOOTHING * analyzer.soundLevel + (1 - SMOOTHING) * rawSound);
+        updateLoudState(analyzer.soundLevel, now);
+    }
+
+    if (motionLevel !== null) analyzer.samples.motion.push(motionLevel);
+    if (rawSound !== null) analyzer.samples.sound.push(analyzer.soundLevel);
+
+    analyzer.callbacks.onSample?.({ motionLevel, soundLevel: rawSound === null ? null : analyzer.soundLevel, loud: analyzer.loud });
+};
+
+const addChartPoint = () => {
+    const { motion, sound } = analyzer.samples;
+    analyzer.samples = { motion: [], sound: [] };
+    if (motion.length === 0 && sound.length === 0) return;
+
+    const now = Date.now();
+    const point = { timestamp: new Date(now).toISOString(), motionLevel: average(motion), soundLevel: average(sound) };
+    history.push(point);
+    while (history.length > 0 && now - new Date(history[0].timestamp).getTime() > ACTIVITY_RULES.HISTORY_MS) history.shift();
+
+    analyzer.callbacks.onPoint?.(point);
+};
+
+// Web Audio chỉ nhận được âm thanh của luồng WebRTC từ xa khi luồng đó cũng đang phát trên một
+// phần tử media (phần tử video của camera, kể cả khi tắt tiếng)
+const connectAudio = (stream) => {
+    if (stream.getAudioTracks().length === 0 || typeof AudioContext === "undefined") return { audioContext: null, analyserNode: null };
+
+    const audioContext = new AudioContext();
+    const analyserNode = audioContext.createAnalyser();
+    analyserNode.fftSize = 2048;
+    audioContext.createMediaStreamSource(stream).connect(analyserNode);
+    audioContext.resume().catch(() => {});
+
+    return { audioContext, analyserNode };
+};
+
+/**
+ * Bắt đầu phân tích luồng camera. Gọi lại với cùng luồng thì không làm gì.
+ * - `onSample({ motionLevel, soundLevel, loud })` mỗi SAMPLE_MS cho thanh đo trực tiếp (null nếu chưa có hình/tiếng).
+ * - `onPoint(point)` mỗi CHART_POINT_MS khi có điểm mới cho biểu đồ (xem getActivityHistory).
+ * - `onLoudChange(loud)` khi trạng thái "tiếng ồn lớn kéo dài" bật hoặc tắt.
+ */
+export function startActivityAnalyzer(stream, video, callbacks = {}) {
+    if (!stream || !video || !isActivityAnalysisSupported()) return;
+    if (analyzer?.stream === stream) {
+        analyzer.callbacks = callbacks;
+        return;
+    }
+
+    stopActivityAnalyzer();
+
+    const canvas = document.createElement("canvas");
+    canvas.width = ACTIVITY_RULES.FRAME_WIDTH;
+    canvas.height = ACTIVITY_RULES.FRAME_HEIGHT;
+
+    analyzer = {
+        stream,
+        video,
+        callbacks,
+        canvas,
+        context: canvas.getContext("2d", { willReadFrequently: true }),
+        previousFrame: null,
+        ...connectAudio(stream),
+        samples: { motion: [], sound: [] },
+        soundLevel: null,
+        loud: false,
+        loudSince: null,
+        quietSince: null,
+        sampleTimer: null,
+        pointTimer: null,
+    };
+    analyzer.sampleTimer = setInterval(sample, ACTIVITY_RULES.SAMPLE_MS);
+    analyzer.pointTimer = setInterval(addChartPoint, ACTIVITY_RULES.CHART_POINT_MS);
+}
+
+/**
+ * Dừng phân tích (camera mất kết nối, đổi thiết bị hoặc người dùng tắt). Trạng thái tiếng ồn lớn
+ * được tắt để cảnh báo tương ứng kết thúc; lịch sử biểu đồ được giữ tới khi gọi clearActivityHistory.
+ */
+export function stopActivityAnalyzer() {
+    if (!analyzer) return;
+
+    const current = analyzer;
+    clearInterval(current.sampleTimer);
+    clearInterval(current.pointTimer);
+    current.audioContext?.close().catch(() => {});
+    analyzer = null;
+
+    if (current.loud) current.callbacks.onLoudChange?.(false);
+}
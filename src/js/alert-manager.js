@@ -0,0 +1,326 @@
+// src/js/alert-manager.js
+
+import { database, ref, get, set, push, auth } from "./firebase-config.js";
+import { onValue, onDisconnect, update, runTransaction, query, orderByChild, equalTo, limitToLast } from "firebase/database";
+
+export const ALERT_RULES = {
+    // Cảnh báo nguy hiểm chưa ai xác nhận sau khoảng này sẽ được leo thang
+    ESCALATE_AFTER_MS: 5 * 60 * 1000,
+    SNOOZE_MS: 10 * 60 * 1000,
+    // Chu kỳ kiểm tra hết hạn tạm hoãn và leo thang
+    TICK_MS: 15 * 1000,
+};
+
+export const ALERT_STATES = {
+    raised: "Đang diễn ra",
+    acknowledged: "Đã xác nhận",
+    snoozed: "Tạm hoãn",
+    resolved: "Đã kết thúc",
+};
+
+// { eventsPath, activeAlertsPath, deviceId, deviceName, readOnly, onChange, onEscalate, onRaise }
+let context = null;
+// kind -> cảnh báo đang mở của thiết bị hiện tại
+const activeAlerts = new Map();
+// kind -> hàm hủy lắng nghe bản ghi cảnh báo (để đồng bộ xác nhận giữa các thành viên)
+const recordListeners = new Map();
+let tickTimer = null;
+let lastSignature = "";
+
+const isSnoozed = (alert, now) => Boolean(alert.snoozedUntil) && new Date(alert.snoozedUntil).getTime() > now;
+
+const isVisible = (alert, now) => alert.state !== "acknowledged" && alert.state !== "resolved" && !isSnoozed(alert, now);
+
+export const getVisibleAlerts = (now = Date.now()) =>
+    [...activeAlerts.values()].filter((alert) => isVisible(alert, now)).sort((a, b) => a.priority - b.priority);
+
+const emitChange = () => {
+    if (!context) return;
+
+    const visible = getVisibleAlerts();
+    const signature = visible.map((a) => `${a.kind}:${a.type}:${a.state}:${a.escalatedAt || ""}`).join("|");
+    const changed = signature !== lastSignature;
+    lastSignature = signature;
+
+    context.onChange(visible, changed);
+};
+
+// Ghi thay đổi trạng thái lên bản ghi; nếu bản ghi chưa có id (đang tạo) thì ghi sau
+const persist = (alert, fields) => {
+    Object.assign(alert, fields);
+    if (context.readOnly) return;
+
+    if (!alert.id) {
+        alert.pendingUpdates = { ...alert.pendingUpdates, ...fields };
+        return;
+    }
+
+    update(ref(database, `${context.eventsPath}/${alert.id}`), fields).catch((error) => console.error("Lỗi cập nhật cảnh báo:", error));
+};
+
+const watchRecord = (alert) => {
+    const unsubscribe = onValue(ref(database, `${context.eventsPath}/${alert.id}`), (snapshot) => {
+        const record = snapshot.val();
+        if (!record || activeAlerts.get(alert.kind) !== alert) return;
+
+        Object.assign(alert, {
+            state: record.state,
+            raisedAt: record.raisedAt,
+            acknowledgedBy: record.acknowledgedBy ?? null,
+            acknowledgedAt: record.acknowledgedAt ?? null,
+            snoozedUntil: record.snoozedUntil ?? null,
+            escalatedAt: record.escalatedAt ?? null,
+        });
+
+        if (record.state === "resolved") {
+            activeAlerts.delete(alert.kind);
+            stopWatching(alert.kind);
+        }
+        emitChange();
+    });
+
+    recordListeners.set(alert.kind, unsubscribe);
+};
+
+const stopWatching = (kind) => {
+    const unsubscribe = recordListeners.get(kind);
+    if (unsubscribe) unsubscribe();
+    recordListeners.delete(kind);
+};
+
+const pointerRef = (ctx, kind) => ref(database, `${ctx.activeAlertsPath}/${kind}`);
+
+// Bản ghi con trỏ đang giữ thuộc một đợt cảnh báo đã qua: đã kết thúc, hoặc được mở trước khi điều kiện
+// của đợt hiện tại bắt đầu (`since`, nếu biết)
+const isStaleRecord = (record, since) =>
+    !record || record.state === "resolved" || (Boolean(since) && new Date(record.raisedAt).getTime() < new Date(since).getTime());
+
+// Gỡ con trỏ nếu nó vẫn trỏ tới bản ghi `id` (người khác có thể đã mở đợt mới)
+const releasePointer = (ctx, kind, id) => {
+    const pointer = pointerRef(ctx, kind);
+    onDisconnect(pointer)
+        .cancel()
+        .catch(() => {});
+    return runTransaction(pointer, (current) => (current === id ? null : current)).catch((error) =>
+        console.error("Lỗi gỡ con trỏ cảnh báo:", error)
+    );
+};
+
+/**
+ * Mở cảnh báo mới. Con trỏ `activeAlerts/{kind}` của thiết bị đảm bảo nhiều người xem cùng lúc
+ * chỉ tạo một bản ghi: ai đến sau sẽ dùng lại bản ghi đang mở. Con trỏ trỏ tới bản ghi của đợt trước
+ * (còn sót khi mất kết nối đột ngột) được thay bằng bản ghi mới; con trỏ tự bị xóa khi người mở mất kết nối.
+ */
+const openAlert = async (source) => {
+    const ctx = context;
+    const alert = {
+        ...source,
+        id: null,
+        state: "raised",
+        raisedAt: new Date().toISOString(),
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        snoozedUntil: null,
+        escalatedAt: null,
+        pendingUpdates: null,
+    };
+    activeAlerts.set(alert.kind, alert);
+    ctx.onRaise?.(alert);
+
+    try {
+        const pointer = pointerRef(ctx, alert.kind);
+        const pointedId = (await get(pointer)).val();
+        const staleId =
+            pointedId && isStaleRecord((await get(ref(database, `${ctx.eventsPath}/${pointedId}`))).val(), source.since) ? pointedId : null;
+
+        // Người chỉ xem không ghi cảnh báo: theo dõi bản ghi đang mở nếu có, nếu không thì chỉ hiển thị tại máy
+        if (ctx.readOnly) {
+            if (!pointedId || staleId || context !== ctx || activeAlerts.get(alert.kind) !== alert) return;
+            alert.id = pointedId;
+            watchRecord(alert);
+            return;
+        }
+
+        const newId = push(ref(database, ctx.eventsPath)).key;
+        const result = await runTransaction(pointer, (current) => (!current || current === staleId ? newId : current));
+        const id = result.snapshot.val();
+
+        // Thiết bị đã đổi hoặc cảnh báo đã kết thúc trong lúc chờ
+        if (context !== ctx || activeAlerts.get(alert.kind) !== alert) {
+            if (id === newId) releasePointer(ctx, alert.kind, newId);
+            return;
+        }
+
+        onDisconnect(pointer)
+            .remove()
+            .catch((error) => console.error("Lỗi đặt onDisconnect cho cảnh báo:", error));
+        alert.id = id;
+        if (id === newId) {
+            await set(ref(database, `${ctx.eventsPath}/${id}`), {
+                category: "alert",
+                deviceId: ctx.deviceId,
+                deviceName: ctx.deviceName,
+                kind: alert.kind,
+                type: alert.type,
+                message: alert.message,
+                state: alert.state,
+                raisedAt: alert.raisedAt,
+                acknowledgedBy: alert.acknowledgedBy,
+                acknowledgedAt: alert.acknowledgedAt,
+                snoozedUntil: alert.snoozedUntil,
+                escalatedAt: null,
+                resolvedAt: null,
+                authorUid: auth.currentUser?.uid ?? null,
+            });
+        }
+
+        if (alert.pendingUpdates) {
+            persist(alert, alert.pendingUpdates);
+            alert.pendingUpdates = null;
+        }
+        watchRecord(alert);
+    } catch (error) {
+        console.error("Lỗi tạo cảnh báo:", error);
+    }
+};
+
+const resolveAlert = (alert) => {
+    activeAlerts.delete(alert.kind);
+    stopWatching(alert.kind);
+    if (!alert.id || context.readOnly) return;
+
+    const resolvedAt = new Date().toISOString();
+    update(ref(database, `${context.eventsPath}/${alert.id}`), { state: "resolved", resolvedAt }).catch((error) =>
+        console.error("Lỗi kết thúc cảnh báo:", error)
+    );
+    releasePointer(context, alert.kind, alert.id);
+};
+
+const tick = () => {
+    if (!context) return;
+    const now = Date.now();
+
+    activeAlerts.forEach((alert) => {
+        if (alert.type !== "danger" || alert.escalatedAt || !isVisible(alert, now)) return;
+
+        const since = Math.max(new Date(alert.raisedAt).getTime(), alert.snoozedUntil ? new Date(alert.snoozedUntil).getTime() : 0);
+        if (now - since >= ALERT_RULES.ESCALATE_AFTER_MS) {
+            persist(alert, { escalatedAt: new Date(now).toISOString() });
+            context.onEscalate(alert);
+        }
+    });
+
+    emitChange();
+};
+
+/**
+ * Bắt đầu quản lý vòng đời cảnh báo cho một thiết bị.
+ * `onChange(visibleAlerts, changed)` được gọi mỗi khi danh sách cảnh báo cần hiển thị thay đổi
+ * (changed = true) hoặc chỉ nội dung thay đổi (changed = false).
+ * `onRaise(alert)` (tùy chọn) được gọi ngay khi mở cảnh báo hoặc cảnh báo đổi mức; `alert.id` có thể
+ * chưa có và được gán sau khi bản ghi được tạo.
+ * `readOnly` (vai trò chỉ xem, khớp với rules) thì không tạo, cập nhật bản ghi hay con trỏ cảnh báo mà chỉ
+ * theo dõi bản ghi do người khác mở.
+ */
+export function startAlertManager(options) {
+    stopAlertManager();
+
+    context = { ...options };
+    tickTimer = setInterval(tick, ALERT_RULES.TICK_MS);
+}
+
+/**
+ * Dừng theo dõi cảnh báo (đổi thiết bị, đăng xuất). Bản ghi cảnh báo đang mở được giữ nguyên cho người
+ * khác đang xem, nhưng con trỏ do máy này giữ được gỡ để đợt cảnh báo sau không gắn vào bản ghi cũ.
+ */
+export function stopAlertManager() {
+    if (context && !context.readOnly) {
+        activeAlerts.forEach((alert) => {
+            if (alert.id) releasePointer(context, alert.kind, alert.id);
+        });
+    }
+
+    clearInterval(tickTimer);
+    tickTimer = null;
+    recordListeners.forEach((unsubscribe) => unsubscribe());
+    recordListeners.clear();
+    activeAlerts.clear();
+    lastSignature = "";
+    context = null;
+}
+
+/**
+ * Đồng bộ danh sách cảnh báo tính từ bản ghi mới nhất với các cảnh báo đang mở:
+ * mở cảnh báo mới, cập nhật nội dung cảnh báo cũ và kết thúc những cảnh báo không còn.
+ */
+export function syncAlerts(alerts) {
+    if (!context) return;
+
+    const currentKinds = new Set(alerts.map((a) => a.kind));
+
+    alerts.forEach((source) => {
+        const existing = activeAlerts.get(source.kind);
+        if (!existing) {
+            openAlert(source);
+            return;
+        }
+
+        existing.message = source.message;
+        existing.priority = source.priority;
+        if (existing.type !== source.type) {
+            persist(existing, { type: source.type, message: source.message });
+            context.onRaise?.(existing);
+        }
+    });
+
+    [...activeAlerts.values()].forEach((alert) => {
+        if (!currentKinds.has(alert.kind)) resolveAlert(alert);
+    });
+
+    emitChange();
+}
+
+export function acknowledgeAlerts(kinds) {
+    const user = auth.currentUser;
+
+    kinds.forEach((kind) => {
+        const alert = activeAlerts.get(kind);
+        if (!alert) return;
+        persist(alert, {
+            state: "acknowledged",
+            acknowledgedBy: user ? user.email : null,
+            acknowledgedAt: new Date().toISOString(),
+        });
+    });
+
+    emitChange();
+}
+
+export function snoozeAlerts(kinds, durationMs = ALERT_RULES.SNOOZE_MS) {
+    const snoozedUntil = new Date(Date.now() + durationMs).toISOString();
+
+    kinds.forEach((kind) => {
+        const alert = activeAlerts.get(kind);
+        if (!alert) return;
+        persist(alert, { state: "snoozed", snoozedUntil, escalatedAt: null });
+    });
+
+    emitChange();
+}
+
+/**
+ * Lắng nghe nhật ký cảnh báo gần nhất của hộ gia đình (bản ghi category = "alert" trong userEvents).
+ */
+export function subscribeAlertLog(eventsRef, callback, limit = 50) {
+    const logQuery = query(eventsRef, orderByChild("category"), equalTo("alert"), limitToLast(limit));
+
+    return onValue(
+        logQuery,
+        (snapshot) => {
+            const records = Object.entries(snapshot.val() || {}).map(([id, record]) => ({ id, ...record }));
+            records.sort((a, b) => new Date(b.raisedAt) - new Date(a.raisedAt));
+            callback(records);
+        },
+        (error) => console.error("Lỗi tải nhật ký cảnh báo:", error)
+    );
+}
@@ -0,0 +1,255 @@
+// src/js/alert-rules.js
+
+import { t, formatTemperature, formatTemperatureDelta } from "./i18n.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Các luật cảnh báo đánh giá trên cửa sổ bản ghi gần nhất thay vì một bản ghi đơn lẻ.
+ *
+ * - `condition: "above" | "below"`: giá trị `metric` vượt ngưỡng `threshold` (khóa trong THRESHOLDS)
+ *   liên tục ít nhất `forMs`.
+ * - `condition: "equals"`: `metric` bằng `value` liên tục ít nhất `forMs`.
+ * - `condition: "rising"`: `metric` tăng nhanh hơn `ratePerHour` đơn vị/giờ trong `windowMs` gần nhất.
+ *
+ * Chống nhấp nháy (hysteresis): khi luật đã kích hoạt, điều kiện được nới thêm `hysteresis`
+ * (đơn vị của metric) và cảnh báo chỉ tắt khi điều kiện đã nới không còn đúng trong `clearAfterMs`.
+ */
+export const DEFAULT_RULES = [
+    {
+        id: "crying",
+        kind: "crying",
+        type: "danger",
+        priority: 1,
+        metric: "isCrying",
+        condition: "equals",
+        value: true,
+        forMs: 1 * MINUTE,
+        clearAfterMs: 1 * MINUTE,
+        message: () => t("🚨 Em bé ĐANG KHÓC liên tục hơn 1 phút! Vui lòng kiểm tra."),
+    },
+    {
+        id: "prone",
+        kind: "prone",
+        type: "danger",
+        priority: 1,
+        metric: "sleepPosition",
+        condition: "equals",
+        value: "prone",
+        forMs: 30 * 1000,
+        clearAfterMs: 30 * 1000,
+        message: () => t("🛑 Em bé đang NẰM SẤP hơn 30 giây! Hãy lật bé nằm ngửa."),
+    },
+    {
+        id: "fever",
+        kind: "babyTemperature",
+        type: "danger",
+        priority: 2,
+        metric: "babyTemperature",
+        condition: "above",
+        threshold: "BABY_TEMP_DANGER",
+        forMs: 2 * MINUTE,
+        hysteresis: 0.2,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("🔥 CẢNH BÁO: Nhiệt độ em bé ĐANG CAO! ({value})", { value: formatTemperature(value) }),
+    },
+    {
+        id: "babyTempWarning",
+        kind: "babyTemperature",
+        type: "warning",
+        priority: 3,
+        metric: "babyTemperature",
+        condition: "above",
+        threshold: "BABY_TEMP_WARNING",
+        forMs: 2 * MINUTE,
+        hysteresis: 0.1,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("⚠️ Nhiệt độ em bé cần chú ý: ({value})", { value: formatTemperature(value) }),
+    },
+    {
+        id: "babyTempRising",
+        kind: "babyTemperatureTrend",
+        type: "warning",
+        priority: 3,
+        metric: "babyTemperature",
+        condition: "rising",
+        ratePerHour: 0.5,
+        windowMs: 60 * MINUTE,
+        hysteresis: 0.2,
+        clearAfterMs: 10 * MINUTE,
+        message: (value, rate) =>
+            t("📈 Nhiệt độ em bé đang tăng nhanh (+{rate}/giờ, hiện {value})", { rate: formatTemperatureDelta(rate), value: formatTemperature(value) }),
+    },
+    {
+        id: "roomTempLow",
+        kind: "roomTemperature",
+        type: "warning",
+        priority: 4,
+        metric: "environmentTemperature",
+        condition: "below",
+        threshold: "ROOM_TEMP_MIN",
+        forMs: 5 * MINUTE,
+        hysteresis: 0.5,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("❄️ Nhiệt độ phòng quá thấp! ({value})", { value: formatTemperature(value) }),
+    },
+    {
+        id: "roomTempHigh",
+        kind: "roomTemperature",
+        type: "warning",
+        priority: 4,
+        metric: "environmentTemperature",
+        condition: "above",
+        threshold: "ROOM_TEMP_MAX",
+        forMs: 5 * MINUTE,
+        hysteresis: 0.5,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("🔥 Nhiệt độ phòng quá cao! ({value})", { value: formatTemperature(value) }),
+    },
+    {
+        id: "humidityLow",
+        kind: "humidity",
+        type: "warning",
+        priority: 5,
+        metric: "environmentHumidity",
+        condition: "below",
+        threshold: "HUMIDITY_MIN",
+        forMs: 5 * MINUTE,
+        hysteresis: 2,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("💧 Độ ẩm phòng quá thấp! ({value}%)", { value }),
+    },
+    {
+        id: "humidityHigh",
+        kind: "humidity",
+        type: "warning",
+        priority: 5,
+        metric: "environmentHumidity",
+        condition: "above",
+        threshold: "HUMIDITY_MAX",
+        forMs: 5 * MINUTE,
+        hysteresis: 2,
+        clearAfterMs: 5 * MINUTE,
+        message: (value) => t("💦 Độ ẩm phòng quá cao! ({value}%)", { value }),
+    },
+];
+
+// ruleId -> true khi luật đang kích hoạt (phục vụ hysteresis)
+const activeRules = new Map();
+
+const toTimedReadings = (records) =>
+    Object.values(records || {})
+        .map((entry) => ({ entry, timeMs: new Date(entry.timestamp).getTime() }))
+        .filter((reading) => !Number.isNaN(reading.timeMs))
+        .sort((a, b) => a.timeMs - b.timeMs);
+
+// Thời gian (ms) mà `predicate` đúng liên tục tính ngược từ bản ghi mới nhất; -1 nếu bản ghi mới nhất không thỏa
+const heldForMs = (readings, predicate) => {
+    const latest = readings[readings.length - 1];
+    let startMs = null;
+
+    for (let i = readings.length - 1; i >= 0; i--) {
+        if (!predicate(readings[i].entry)) break;
+        startMs = readings[i].timeMs;
+    }
+
+    return startMs === null ? -1 : latest.timeMs - startMs;
+};
+
+// Thời điểm (ISO) của bản ghi đầu tiên trong chuỗi thỏa `predicate` liên tục tới bản ghi mới nhất; null nếu bản ghi
+// mới nhất không thỏa hoặc chuỗi kéo dài tới đầu cửa sổ (không biết điều kiện bắt đầu từ khi nào)
+const episodeSince = (readings, predicate) => {
+    let start = readings.length;
+    while (start > 0 && predicate(readings[start - 1].entry)) start--;
+
+    if (start === readings.length || start === 0) return null;
+    return readings[start].entry.timestamp;
+};
+
+// Độ dốc hồi quy tuyến tính của metric theo giờ trong cửa sổ windowMs
+const slopePerHour = (readings, metric, windowMs) => {
+    const latestMs = readings[readings.length - 1].timeMs;
+    const points = readings
+        .filter((r) => latestMs - r.timeMs <= windowMs && typeof r.entry[metric] === "number")
+        .map((r) => ({ x: (r.timeMs - latestMs) / (60 * MINUTE), y: r.entry[metric] }));
+
+    // Cần đủ điểm trải dài ít nhất nửa cửa sổ để tránh nhiễu
+    if (points.length < 3 || -points[0].x < windowMs / (2 * 60 * MINUTE)) return null;
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const num = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const den = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    return den === 0 ? null : num / den;
+};
+
+const buildPredicate = (rule, thresholds, relaxed) => {
+    const margin = relaxed ? rule.hysteresis || 0 : 0;
+
+    if (rule.condition === "equals") return (entry) => entry[rule.metric] === rule.value;
+
+    const limit = thresholds[rule.threshold];
+    if (rule.condition === "above") return (entry) => typeof entry[rule.metric] === "number" && entry[rule.metric] > limit - margin;
+    return (entry) => typeof entry[rule.metric] === "number" && entry[rule.metric] < limit + margin;
+};
+
+const evaluateRule = (rule, readings, thresholds) => {
+    const wasActive = activeRules.get(rule.id) === true;
+    const latest = readings[readings.length - 1].entry;
+
+    if (rule.condition === "rising") {
+        const slope = slopePerHour(readings, rule.metric, rule.windowMs);
+        const limit = wasActive ? rule.ratePerHour - (rule.hysteresis || 0) : rule.ratePerHour;
+        const active = slope !== null && slope > limit;
+        return { active, value: latest[rule.metric], rate: slope, since: null };
+    }
+
+    const strict = buildPredicate(rule, thresholds, false);
+    const since = episodeSince(readings, strict);
+
+    if (!wasActive) {
+        return { active: heldForMs(readings, strict) >= rule.forMs, value: latest[rule.metric], since };
+    }
+
+    // Đang kích hoạt: chỉ tắt khi điều kiện đã nới không đúng liên tục trong clearAfterMs
+    const relaxed = buildPredicate(rule, thresholds, true);
+    const clearedFor = heldForMs(readings, (entry) => !relaxed(entry));
+    return { active: clearedFor < (rule.clearAfterMs || 0), value: latest[rule.metric], since };
+};
+
+/**
+ * Đánh giá các luật trên cửa sổ bản ghi và trả về danh sách cảnh báo (mỗi `kind` một cảnh báo,
+ * giữ luật nghiêm trọng nhất), sắp xếp theo mức ưu tiên. `since` là thời điểm điều kiện bắt đầu
+ * (null nếu không xác định được), dùng để phân biệt các đợt cảnh báo khác nhau cùng loại.
+ */
+export function evaluateRules(records, thresholds, rules = DEFAULT_RULES) {
+    const readings = toTimedReadings(records);
+    if (readings.length === 0) return [];
+
+    const byKind = new Map();
+
+    rules.forEach((rule) => {
+        const result = evaluateRule(rule, readings, thresholds);
+        activeRules.set(rule.id, result.active);
+        if (!result.active) return;
+
+        const alert = {
+            kind: rule.kind,
+            ruleId: rule.id,
+            type: rule.type,
+            priority: rule.priority,
+            message: rule.message(result.value, result.rate),
+            since: result.since,
+        };
+
+        const existing = byKind.get(rule.kind);
+        if (!existing || alert.priority < existing.priority) byKind.set(rule.kind, alert);
+    });
+
+    return [...byKind.values()].sort((a, b) => a.priority - b.priority);
+}
+
+export function resetRuleState() {
+    activeRules.clear();
+}
@@ -0,0 +1,128 @@
+// src/js/caregiver-events.js
+
+import { push, auth } from "./firebase-config.js";
+import { onValue, get, query, orderByChild, equalTo, limitToLast } from "firebase/database";
+import { t, formatTemperature } from "./i18n.js";
+
+// Các loại sự kiện người chăm sóc tự ghi (category trong userEvents)
+export const EVENT_TYPES = {
+    feed: { label: "Cho ăn", icon: "🍼" },
+    diaper: { label: "Thay tã", icon: "🧷" },
+    medication: { label: "Dùng thuốc", icon: "💊" },
+    note: { label: "Ghi chú", icon: "📝" },
+};
+
+export const FEED_METHODS = {
+    "breast-left": "Bú mẹ (bên trái)",
+    "breast-right": "Bú mẹ (bên phải)",
+    bottle: "Bình sữa",
+};
+
+export const DIAPER_KINDS = {
+    wet: "Ướt",
+    dirty: "Bẩn",
+    mixed: "Ướt và bẩn",
+};
+
+const toNumberOrNull = (value) => (value === "" || value == null || Number.isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Kiểm tra dữ liệu nhập và tạo bản ghi sự kiện. Ném Error với thông báo theo ngôn ngữ đang chọn nếu thiếu thông tin.
+ */
+export function buildEvent(category, fields, deviceId) {
+    if (!EVENT_TYPES[category]) throw new Error(t("Loại sự kiện không hợp lệ."));
+
+    const event = { category, deviceId, details: {} };
+
+    if (category === "feed") {
+        if (!FEED_METHODS[fields.method]) throw new Error(t("Vui lòng chọn cách cho ăn."));
+        const amountMl = toNumberOrNull(fields.amountMl);
+        if (fields.method === "bottle" && (amountMl === null || amountMl <= 0 || amountMl > 500)) {
+            throw new Error(t("Lượng sữa bình phải từ 1 đến 500 ml."));
+        }
+        event.details = { method: fields.method, amountMl: fields.method === "bottle" ? amountMl : null };
+    }
+
+    if (category === "diaper") {
+        if (!DIAPER_KINDS[fields.kind]) throw new Error(t("Vui lòng chọn loại tã."));
+        event.details = { kind: fields.kind };
+    }
+
+    if (category === "medication") {
+        if (!fields.name?.trim()) throw new Error(t("Vui lòng nhập tên thuốc."));
+        const temperature = toNumberOrNull(fields.temperature);
+        if (temperature !== null && (temperature < 34 || temperature > 43)) {
+            throw new Error(t("Nhiệt độ khi dùng thuốc không hợp lệ."));
+        }
+        event.details = { name: fields.name.trim(), dose: fields.dose?.trim() || null, temperature };
+    }
+
+    if (category === "note") {
+        if (!fields.text?.trim()) throw new Error(t("Vui lòng nhập nội dung ghi chú."));
+        event.details = { text: fields.text.trim().slice(0, 1000) };
+    }
+
+    return event;
+}
+
+/**
+ * Lưu sự kiện vào userEvents kèm người ghi và thời điểm ghi.
+ */
+export async function logEvent(eventsRef, event) {
+    const user = auth.currentUser;
+
+    await push(eventsRef, {
+        ...event,
+        timestamp: new Date().toISOString(),
+        authorUid: user ? user.uid : null,
+        authorEmail: user ? user.email : null,
+    });
+}
+
+const toSortedEvents = (value) =>
+    Object.entries(value || {})
+        .map(([id, event]) => ({ id, ...event }))
+        .filter((event) => EVENT_TYPES[event.category])
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+/**
+ * Lắng nghe các sự kiện chăm sóc của một thiết bị (bỏ qua bản ghi cảnh báo), sắp xếp theo thời gian tăng dần.
+ */
+export function subscribeDeviceEvents(eventsRef, deviceId, callback, limit = 200) {
+    const eventsQuery = query(eventsRef, orderByChild("deviceId"), equalTo(deviceId), limitToLast(limit));
+
+    return onValue(
+        eventsQuery,
+        (snapshot) => callback(toSortedEvents(snapshot.val())),
+        (error) => console.error("Lỗi tải sự kiện chăm sóc:", error)
+    );
+}
+
+/**
+ * Tải toàn bộ sự kiện chăm sóc của một thiết bị một lần (dùng cho xuất dữ liệu, báo cáo).
+ */
+export async function fetchDeviceEvents(eventsRef, deviceId) {
+    const snapshot = await get(query(eventsRef, orderByChild("deviceId"), equalTo(deviceId)));
+    return toSortedEvents(snapshot.val());
+}
+
+export function describeEvent(event) {
+    const type = EVENT_TYPES[event.category];
+    const details = event.details || {};
+    const label = t(type.label);
+    let text = label;
+
+    if (event.category === "feed") {
+        text = FEED_METHODS[details.method] ? t(FEED_METHODS[details.method]) : label;
+        if (details.amountMl) text += ` ${details.amountMl} ml`;
+    } else if (event.category === "diaper") {
+        text = `${label}: ${DIAPER_KINDS[details.kind] ? t(DIAPER_KINDS[details.kind]) : "N/A"}`;
+    } else if (event.category === "medication") {
+        text = `${label}: ${details.name}${details.dose ? ` (${details.dose})` : ""}`;
+        if (details.temperature != null) text += ` ${t("lúc {temperature}", { temperature: formatTemperature(details.temperature) })}`;
+    } else if (event.category === "note") {
+        text = details.text;
+    }
+
+    return `${type.icon} ${text}`;
+}
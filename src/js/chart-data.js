@@ -0,0 +1,96 @@
+// src/js/chart-data.js
+
+import { t } from "./i18n.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "Toàn bộ lịch sử" không giới hạn thời gian nên chỉ tải chừng này bản ghi gần nhất (limitToLast trên server)
+export const MAX_HISTORY_RECORDS = 20000;
+
+// Các khoảng thời gian của biểu đồ xu hướng, khóa trùng với data-range trên nút chọn (mô tả dịch khi hiển thị)
+export const CHART_RANGES = {
+    1: { description: "1 giờ qua", durationMs: HOUR_MS },
+    6: { description: "6 giờ qua", durationMs: 6 * HOUR_MS },
+    24: { description: "24 giờ qua", durationMs: 24 * HOUR_MS },
+    "7d": { description: "7 ngày qua", durationMs: 7 * 24 * HOUR_MS },
+    "30d": { description: "30 ngày qua", durationMs: 30 * 24 * HOUR_MS },
+    all: { description: "toàn bộ lịch sử", durationMs: null, limit: MAX_HISTORY_RECORDS },
+};
+
+export const CHART_METRICS = ["babyTemperature", "environmentTemperature", "environmentHumidity"];
+
+// Số điểm tối đa của mỗi đường; khoảng có nhiều bản ghi hơn được gộp thành các nhóm min/avg/max
+export const MAX_CHART_POINTS = 300;
+
+/**
+ * Khoảng thời gian tương đối tính đến `now`. "Tất cả" bắt đầu từ 0 và có thêm `limit` là số bản ghi
+ * gần nhất được tải.
+ */
+export function resolveChartRange(rangeKey, now = Date.now()) {
+    const range = CHART_RANGES[rangeKey];
+    if (!range) throw new Error(t("Khoảng thời gian không hợp lệ."));
+
+    const resolved = { startMs: range.durationMs ? now - range.durationMs : 0, endMs: now };
+    return range.limit ? { ...resolved, limit: range.limit } : resolved;
+}
+
+const toNumber = (value) => (typeof value === "number" && !Number.isNaN(value) ? value : null);
+const round = (value) => Math.round(value * 100) / 100;
+
+export const toChartPoint = (entry, metric) => ({ x: new Date(entry.timestamp).getTime(), y: toNumber(entry[metric]) });
+
+/**
+ * Chuẩn bị dữ liệu `{ x: ms, y }` cho biểu đồ từ các bản ghi trong khoảng `[startMs, endMs]`.
+ * Khi số bản ghi vượt `maxPoints`, khoảng được chia đều thành các nhóm; mỗi chỉ số có thêm đường
+ * `min`/`max` để vẽ dải dao động, nhóm không có bản ghi cho giá trị null (đường bị ngắt quãng).
+ */
+export function buildChartSeries(records, metrics, { startMs, endMs }, maxPoints = MAX_CHART_POINTS) {
+    const points = records
+        .map((entry) => ({ entry, x: new Date(entry.timestamp).getTime() }))
+        .filter(({ x }) => !Number.isNaN(x) && x >= startMs && x <= endMs)
+        .sort((a, b) => a.x - b.x);
+
+    if (points.length <= maxPoints) {
+        const series = Object.fromEntries(
+            metrics.map((metric) => [metric, { avg: points.map(({ entry }) => toChartPoint(entry, metric)) }])
+        );
+        return { aggregated: false, count: points.length, series };
+    }
+
+    const firstMs = points[0].x;
+    const bucketMs = Math.max(1, (points[points.length - 1].x - firstMs) / maxPoints);
+    const buckets = Array.from({ length: maxPoints }, () => []);
+
+    points.forEach((point) => {
+        const index = Math.min(maxPoints - 1, Math.floor((point.x - firstMs) / bucketMs));
+        buckets[index].push(point.entry);
+    });
+
+    const series = Object.fromEntries(
+        metrics.map((metric) => {
+            const avg = [];
+            const min = [];
+            const max = [];
+
+            buckets.forEach((entries, index) => {
+                const x = Math.round(firstMs + (index + 0.5) * bucketMs);
+                const values = entries.map((entry) => toNumber(entry[metric])).filter((value) => value !== null);
+
+                if (values.length === 0) {
+                    avg.push({ x, y: null });
+                    min.push({ x, y: null });
+                    max.push({ x, y: null });
+                    return;
+                }
+
+                avg.push({ x, y: round(values.reduce((sum, value) => sum + value, 0) / values.length) });
+                min.push({ x, y: Math.min(...values) });
+                max.push({ x, y: Math.max(...values) });
+            });
+
+            return [metric, { avg, min, max }];
+        })
+    );
+
+    return { aggregated: true, count: points.length, series };
+}
@@ -0,0 +1,28 @@
+// src/js/connection.js
+
+import { database, ref } from "./firebase-config.js";
+import { onValue } from "firebase/database";
+
+let unsubscribe = null;
+
+/**
+ * Theo dõi kết nối tới Realtime Database qua `.info/connected`.
+ * `onChange(state)` nhận "connecting" (chưa kết nối lần nào), "online" hoặc "offline".
+ */
+export function startConnectionMonitor(onChange) {
+    stopConnectionMonitor();
+
+    let everConnected = false;
+    unsubscribe = onValue(ref(database, ".info/connected"), (snapshot) => {
+        const connected = snapshot.val() === true;
+        if (connected) everConnected = true;
+        onChange(connected ? "online" : everConnected ? "offline" : "connecting");
+    });
+}
+
+export function stopConnectionMonitor() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+}
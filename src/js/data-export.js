@@ -0,0 +1,103 @@
+// src/js/data-export.js
+
+import { database, ref, get } from "./firebase-config.js";
+import { query, orderByChild, startAt, endAt, limitToLast } from "firebase/database";
+import { devicePath } from "./household.js";
+import { t, zonedTimeToMs } from "./i18n.js";
+import { normalizeReadings } from "./reading-schema.js";
+
+export const READING_COLUMNS = [
+    "timestamp",
+    "status",
+    "isCrying",
+    "babyTemperature",
+    "environmentTemperature",
+    "environmentHumidity",
+    "sleepPosition",
+];
+
+export const EVENT_COLUMNS = ["timestamp", "category", "description", "details", "authorEmail"];
+
+// Độ lệch múi giờ tối đa (UTC+14), dùng để nới khoảng truy vấn theo chuỗi timestamp
+const MAX_TZ_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * Chuyển khoảng ngày (YYYY-MM-DD, theo múi giờ người dùng chọn) thành mốc thời gian, bao trọn ngày kết thúc.
+ */
+export function parseDateRange(from, to) {
+    if (!from || !to) throw new Error(t("Vui lòng chọn ngày bắt đầu và ngày kết thúc."));
+
+    const startMs = zonedTimeToMs(from, "00:00");
+    const endMs = zonedTimeToMs(to, "23:59:59.999");
+
+    if (Number.isNaN(startMs) || Number.isNaN(endMs)) throw new Error(t("Ngày không hợp lệ."));
+    if (startMs > endMs) throw new Error(t("Ngày bắt đầu phải trước ngày kết thúc."));
+
+    return { startMs, endMs };
+}
+
+const inRange = (timestamp, { startMs, endMs }) => {
+    const timeMs = new Date(timestamp).getTime();
+    return timeMs >= startMs && timeMs <= endMs;
+};
+
+/**
+ * Tải bản ghi cảm biến của thiết bị trong khoảng thời gian, truy vấn theo `timestamp` trên server.
+ * Timestamp là chuỗi ISO có thể được Pi ghi với múi giờ khác nên so sánh chuỗi có thể lệch tới 14 giờ;
+ * khoảng truy vấn được nới tương ứng mỗi bên, sau đó lọc chính xác ở client.
+ * `range.limit` (nếu có) giới hạn số bản ghi gần nhất được tải.
+ * Dùng chung cho xuất dữ liệu, báo cáo và biểu đồ xu hướng. Bản ghi đã qua normalizeReading: bản ghi sai
+ * lược đồ bị bỏ, giá trị cảm biến lỗi là null.
+ */
+export async function fetchReadings(householdId, deviceId, range) {
+    const constraints = [
+        orderByChild("timestamp"),
+        startAt(new Date(Math.max(0, range.startMs - MAX_TZ_OFFSET_MS)).toISOString()),
+        endAt(new Date(range.endMs + MAX_TZ_OFFSET_MS).toISOString()),
+    ];
+    if (range.limit) constraints.push(limitToLast(range.limit));
+
+    const readingsQuery = query(ref(database, `${devicePath(householdId, deviceId)}/sleepData`), ...constraints);
+
+    const snapshot = await get(readingsQuery);
+    return normalizeReadings(Object.values(snapshot.val() || {}))
+        .records.filter((entry) => inRange(entry.timestamp, range))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+export const filterEventsInRange = (events, range) => events.filter((event) => inRange(event.timestamp, range));
+
+// Ô bắt đầu bằng = + - @ có thể bị Excel hiểu là công thức, thêm dấu ' phía trước để vô hiệu hóa
+const escapeCsvValue = (value) => {
+    if (value == null) return "";
+
+    let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows, columns) {
+    const lines = [columns.join(",")];
+    rows.forEach((row) => {
+        lines.push(columns.map((column) => escapeCsvValue(row[column])).join(","));
+    });
+    // BOM để Excel nhận đúng UTF-8 (tiếng Việt)
+    return "\uFEFF" + lines.join("\r\n");
+}
+
+export const pickColumns = (rows, columns) => rows.map((row) => Object.fromEntries(columns.map((column) => [column, row[column] ?? null])));
+
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,126 @@
+// src/js/device-overview.js
+
+import { database, ref } from "./firebase-config.js";
+import { onValue, query, limitToLast } from "firebase/database";
+import { devicePath } from "./household.js";
+import { t } from "./i18n.js";
+import { normalizeReading } from "./reading-schema.js";
+
+// deviceId -> hàm hủy lắng nghe bản ghi mới nhất của thiết bị
+const listeners = new Map();
+// deviceId -> { card, entry } để vẽ lại định kỳ (thiết bị im lặng vẫn chuyển sang "mất kết nối")
+const cards = new Map();
+let refreshTimer = null;
+// { assess, formatTime } của lưới đang hiển thị, dùng để vẽ lại thẻ
+let renderOptions = null;
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const LEVEL_LABELS = {
+    danger: "Nguy hiểm",
+    warning: "Cần chú ý",
+    success: "Ổn định",
+    info: "Chưa có dữ liệu",
+};
+
+const createDeviceCard = (device, onSelect) => {
+    const card = document.createElement("button");
+    card.type = "button";
+    card.className = "device-card";
+    card.dataset.deviceId = device.id;
+
+    const name = document.createElement("span");
+    name.className = "device-card-name";
+    name.textContent = device.name;
+
+    const level = document.createElement("span");
+    level.className = "device-card-level badge alert-info";
+    level.textContent = t(LEVEL_LABELS.info);
+
+    const summary = document.createElement("span");
+    summary.className = "device-card-summary";
+    summary.textContent = "--";
+
+    const time = document.createElement("span");
+    time.className = "device-card-time";
+    time.textContent = "--:--";
+
+    card.append(name, level, summary, time);
+    card.addEventListener("click", () => onSelect(device.id));
+    return card;
+};
+
+const updateDeviceCard = (card, entry, assess, formatTime) => {
+    const levelEl = card.querySelector(".device-card-level");
+    const summaryEl = card.querySelector(".device-card-summary");
+    const timeEl = card.querySelector(".device-card-time");
+
+    if (!entry) {
+        levelEl.className = "device-card-level badge alert-info";
+        levelEl.textContent = t(LEVEL_LABELS.info);
+        summaryEl.textContent = "--";
+        timeEl.textContent = "--:--";
+        return;
+    }
+
+    const { level, summary } = assess(entry);
+    levelEl.className = `device-card-level badge alert-${level}`;
+    levelEl.textContent = t(LEVEL_LABELS[level] || LEVEL_LABELS.info);
+    summaryEl.textContent = summary;
+    timeEl.textContent = formatTime(entry.timestamp);
+};
+
+/**
+ * Hiển thị lưới tổng quan các thiết bị trong hộ gia đình, mỗi thẻ theo dõi bản ghi mới nhất
+ * của thiết bị đó. `assess(entry)` trả về `{ level, summary }` để tô màu thẻ.
+ */
+export function startDeviceOverview(householdId, devices, { assess, formatTime, onSelect }) {
+    stopDeviceOverview();
+
+    const grid = document.getElementById("device-overview");
+    if (!grid) return;
+    grid.innerHTML = "";
+    renderOptions = { assess, formatTime };
+
+    devices.forEach((device) => {
+        const card = createDeviceCard(device, onSelect);
+        grid.appendChild(card);
+
+        const latestQuery = query(ref(database, `${devicePath(householdId, device.id)}/sleepData`), limitToLast(1));
+        const unsubscribe = onValue(
+            latestQuery,
+            (snapshot) => {
+                const data = snapshot.val();
+                // Bản ghi mới nhất sai lược đồ được bỏ qua như khi chưa có dữ liệu
+                const entry = data ? normalizeReading(Object.values(data)[0]).entry : null;
+                cards.set(device.id, { card, entry });
+                updateDeviceCard(card, entry, assess, formatTime);
+            },
+            (error) => console.error(`Lỗi tải dữ liệu thiết bị ${device.id}:`, error)
+        );
+        listeners.set(device.id, unsubscribe);
+    });
+
+    refreshTimer = setInterval(refreshDeviceOverview, REFRESH_INTERVAL_MS);
+}
+
+// Vẽ lại các thẻ từ bản ghi đã nhận (định kỳ, hoặc khi đổi ngôn ngữ/đơn vị/múi giờ)
+export function refreshDeviceOverview() {
+    if (!renderOptions) return;
+    cards.forEach(({ card, entry }) => updateDeviceCard(card, entry, renderOptions.assess, renderOptions.formatTime));
+}
+
+export function stopDeviceOverview() {
+    listeners.forEach((unsubscribe) => unsubscribe());
+    listeners.clear();
+    cards.clear();
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    renderOptions = null;
+}
+
+export function highlightDevice(deviceId) {
+    document.querySelectorAll("#device-overview .device-card").forEach((card) => {
+        card.classList.toggle("active", card.dataset.deviceId === deviceId);
+    });
+}
@@ -1,8 +1,8 @@
 // src/js/firebase-config.js
 import { initializeApp } from "firebase/app";
-import { getDatabase, ref, get, set, push } from "firebase/database";
+import { getDatabase, connectDatabaseEmulator, ref, get, set, push } from "firebase/database";
 import { getAnalytics } from "firebase/analytics";
-import { getAuth } from "firebase/auth";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
 
 const firebaseConfig = {
     apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -19,4 +19,10 @@ const app = initializeApp(firebaseConfig);
 const database = getDatabase(app);
 const auth = getAuth(app);
 
+// Chạy với Firebase Emulator Suite (firebase emulators:start) để thử security rules mà không đụng dữ liệu thật
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true") {
+    connectDatabaseEmulator(database, "127.0.0.1", 9000);
+    connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+}
+
 export { ref, get, set, push, database, auth };
@@ -0,0 +1,43 @@
+// src/js/heartbeat.js
+
+export const HEARTBEAT_RULES = {
+    // Không có bản ghi mới trong khoảng này thì coi thiết bị đã mất kết nối
+    OFFLINE_AFTER_MS: 3 * 60 * 1000,
+    CHECK_INTERVAL_MS: 15 * 1000,
+};
+
+let watchdogTimer = null;
+let lastOffline = null;
+
+export const isStale = (timestamp, now = Date.now()) => {
+    const timeMs = new Date(timestamp).getTime();
+    return Number.isNaN(timeMs) || now - timeMs > HEARTBEAT_RULES.OFFLINE_AFTER_MS;
+};
+
+/**
+ * Theo dõi nhịp dữ liệu của thiết bị đang xem. `getLatestTimestamp()` trả về timestamp của bản ghi
+ * mới nhất (hoặc null khi chưa có dữ liệu); `onChange(offline, timestamp)` được gọi khi trạng thái
+ * chuyển giữa trực tuyến và mất kết nối, kể cả khi không có bản ghi mới nào đến.
+ */
+export function startHeartbeatWatchdog(getLatestTimestamp, onChange) {
+    stopHeartbeatWatchdog();
+
+    const check = () => {
+        const timestamp = getLatestTimestamp();
+        const offline = timestamp ? isStale(timestamp) : false;
+
+        if (offline !== lastOffline) {
+            lastOffline = offline;
+            onChange(offline, timestamp);
+        }
+    };
+
+    watchdogTimer = setInterval(check, HEARTBEAT_RULES.CHECK_INTERVAL_MS);
+    return check;
+}
+
+export function stopHeartbeatWatchdog() {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+    lastOffline = null;
+}
@@ -0,0 +1,214 @@
+// src/js/household.js
+
+import { database, ref, get, set } from "./firebase-config.js";
+import { push, update } from "firebase/database";
+import { t } from "./i18n.js";
+
+// Lưu hộ gia đình đã chọn gần nhất để tự động vào lại sau khi tải trang
+const STORAGE_KEY = "babySleepTracker.householdId";
+const DEVICE_STORAGE_KEY = "babySleepTracker.deviceId";
+
+// Firebase không cho phép các ký tự . # $ [ ] / trong key
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+// Vai trò thành viên (giá trị của members/{uid}) và các quyền tương ứng.
+// Phải khớp với database.rules.json, giao diện chỉ ẩn/khóa các chức năng không được phép.
+export const ROLES = {
+    owner: {
+        label: "Chủ hộ",
+        permissions: ["editSettings", "manageHousehold", "logEvents", "handleAlerts", "viewCamera"],
+    },
+    caregiver: {
+        label: "Người chăm sóc",
+        permissions: ["logEvents", "handleAlerts", "viewCamera"],
+    },
+    viewer: {
+        label: "Chỉ xem",
+        permissions: [],
+    },
+};
+
+let currentScope = {
+    householdId: null,
+    householdName: null,
+    role: null,
+    deviceId: null,
+    deviceName: null,
+    devices: [],
+};
+
+export const householdPath = (householdId) => `households/${householdId}`;
+
+export const devicePath = (householdId, deviceId) => `${householdPath(householdId)}/devices/${deviceId}`;
+
+export const isValidDeviceId = (deviceId) => DEVICE_ID_PATTERN.test(deviceId || "");
+
+/**
+ * Người dùng hiện tại có quyền `permission` trong hộ gia đình đang chọn hay không.
+ */
+export const hasPermission = (permission, role = currentScope.role) => ROLES[role]?.permissions.includes(permission) === true;
+
+/**
+ * Lấy danh sách hộ gia đình mà người dùng là thành viên.
+ * Mỗi phần tử gồm id, tên, vai trò của người dùng và danh sách thiết bị (chỉ metadata, không tải dữ liệu cảm biến).
+ */
+export async function listHouseholds(uid) {
+    const membershipSnap = await get(ref(database, `users/${uid}/households`));
+    if (!membershipSnap.exists()) return [];
+
+    const householdIds = Object.keys(membershipSnap.val());
+
+    const households = await Promise.all(
+        householdIds.map(async (householdId) => {
+            const [metaSnap, devicesSnap, roleSnap] = await Promise.all([
+                get(ref(database, `${householdPath(householdId)}/meta`)),
+                get(ref(database, `${householdPath(householdId)}/deviceList`)),
+                get(ref(database, `${householdPath(householdId)}/members/${uid}`)),
+            ]);
+            if (!metaSnap.exists() || !ROLES[roleSnap.val()]) return null;
+
+            const devices = Object.entries(devicesSnap.val() || {}).map(([deviceId, info]) => ({
+                id: deviceId,
+                name: info?.name || deviceId,
+            }));
+
+            return { id: householdId, name: metaSnap.val().name, role: roleSnap.val(), devices };
+        })
+    );
+
+    return households.filter(Boolean);
+}
+
+/**
+ * Tạo hộ gia đình mới cùng thiết bị đầu tiên, người tạo là chủ sở hữu.
+ * Tất cả được ghi trong một lần update để không để lại dữ liệu dở dang.
+ */
+export async function createHousehold(uid, email, name, deviceId, deviceName) {
+    if (!name || !name.trim()) throw new Error(t("Tên hộ gia đình là bắt buộc."));
+    if (!isValidDeviceId(deviceId)) {
+        throw new Error(t("Mã thiết bị chỉ gồm chữ, số, '-' hoặc '_' (3-64 ký tự)."));
+    }
+
+    const householdId = push(ref(database, "households")).key;
+    const createdAt = new Date().toISOString();
+
+    await update(ref(database), {
+        [`${householdPath(householdId)}/meta`]: { name: name.trim(), ownerUid: uid, createdAt },
+        [`${householdPath(householdId)}/members/${uid}`]: "owner",
+        [`${householdPath(householdId)}/memberProfiles/${uid}`]: { email: email || null, joinedAt: createdAt },
+        [`${householdPath(householdId)}/deviceList/${deviceId}`]: { name: deviceName?.trim() || deviceId, addedAt: createdAt },
+        [`users/${uid}/households/${householdId}`]: true,
+    });
+
+    return {
+        id: householdId,
+        name: name.trim(),
+        role: "owner",
+        devices: [{ id: deviceId, name: deviceName?.trim() || deviceId }],
+    };
+}
+
+/**
+ * Đăng ký thêm một thiết bị (Raspberry Pi) vào hộ gia đình. `deviceUid` là UID tài khoản Firebase
+ * riêng của Pi (không bắt buộc): security rules chỉ cho tài khoản này ghi `sleepData` và trả lời
+ * phiên camera của thiết bị.
+ */
+export async function addDevice(householdId, deviceId, deviceName, deviceUid = "") {
+    if (!isValidDeviceId(deviceId)) {
+        throw new Error(t("Mã thiết bị chỉ gồm chữ, số, '-' hoặc '_' (3-64 ký tự)."));
+    }
+
+    const deviceRef = ref(database, `${householdPath(householdId)}/deviceList/${deviceId}`);
+    const existing = await get(deviceRef);
+    if (existing.exists()) throw new Error(t("Thiết bị này đã có trong hộ gia đình."));
+
+    const device = { id: deviceId, name: deviceName?.trim() || deviceId };
+    await set(deviceRef, { name: device.name, addedAt: new Date().toISOString(), uid: deviceUid.trim() || null });
+
+    if (currentScope.householdId === householdId) {
+        currentScope.devices = [...currentScope.devices, device];
+    }
+
+    return device;
+}
+
+export const getCurrentScope = () => ({ ...currentScope, devices: [...currentScope.devices] });
+
+export const getSavedHouseholdId = () => localStorage.getItem(STORAGE_KEY);
+
+/**
+ * Chọn hộ gia đình đang theo dõi. Thiết bị mặc định là thiết bị đã xem lần trước,
+ * nếu không có thì lấy thiết bị đầu tiên.
+ */
+export function selectHousehold(household) {
+    currentScope = {
+        householdId: household.id,
+        householdName: household.name,
+        role: household.role,
+        deviceId: null,
+        deviceName: null,
+        devices: [...household.devices],
+    };
+    localStorage.setItem(STORAGE_KEY, household.id);
+
+    return selectDevice(localStorage.getItem(DEVICE_STORAGE_KEY));
+}
+
+/**
+ * Chuyển sang thiết bị khác trong hộ gia đình hiện tại.
+ */
+export function selectDevice(deviceId) {
+    const device = currentScope.devices.find((d) => d.id === deviceId) || currentScope.devices[0] || null;
+
+    currentScope.deviceId = device ? device.id : null;
+    currentScope.deviceName = device ? device.name : null;
+    if (device) localStorage.setItem(DEVICE_STORAGE_KEY, device.id);
+
+    return getCurrentScope();
+}
+
+export function clearHouseholdSelection(forget = false) {
+    currentScope = { householdId: null, householdName: null, role: null, deviceId: null, deviceName: null, devices: [] };
+    if (forget) {
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(DEVICE_STORAGE_KEY);
+    }
+}
+
+/**
+ * Danh sách thành viên của hộ gia đình kèm email (nếu có) và vai trò, chủ hộ đứng đầu.
+ */
+export async function listMembers(householdId) {
+    const [membersSnap, profilesSnap] = await Promise.all([
+        get(ref(database, `${householdPath(householdId)}/members`)),
+        get(ref(database, `${householdPath(householdId)}/memberProfiles`)),
+    ]);
+    const profiles = profilesSnap.val() || {};
+    const roleOrder = Object.keys(ROLES);
+
+    return Object.entries(membersSnap.val() || {})
+        .map(([uid, role]) => ({ uid, role, email: profiles[uid]?.email || null, joinedAt: profiles[uid]?.joinedAt || null }))
+        .sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role));
+}
+
+/**
+ * Đổi vai trò của một thành viên khác (chỉ chủ hộ). Chủ hộ không tự đổi vai trò của mình
+ * để hộ gia đình luôn còn ít nhất một chủ hộ.
+ */
+export async function setMemberRole(householdId, uid, role, currentUid) {
+    if (!ROLES[role]) throw new Error(t("Vai trò không hợp lệ."));
+    if (uid === currentUid) throw new Error(t("Không thể tự đổi vai trò của chính mình."));
+
+    await set(ref(database, `${householdPath(householdId)}/members/${uid}`), role);
+}
+
+export async function removeMember(householdId, uid, currentUid) {
+    if (uid === currentUid) throw new Error(t("Không thể tự xóa chính mình khỏi hộ gia đình."));
+
+    await update(ref(database), {
+        [`${householdPath(householdId)}/members/${uid}`]: null,
+        [`${householdPath(householdId)}/memberProfiles/${uid}`]: null,
+        [`${householdPath(householdId)}/joinedWith/${uid}`]: null,
+        [`users/${uid}/households/${householdId}`]: null,
+    });
+}
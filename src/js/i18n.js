@@ -0,0 +1,208 @@
+// src/js/i18n.js
+
+import en from "./locales/en.js";
+
+// Tùy chọn hiển thị gắn với trình duyệt, giống tùy chọn thông báo
+const PREFS_STORAGE_KEY = "babySleepTracker.displayPrefs";
+
+export const LANGUAGES = {
+    vi: "Tiếng Việt",
+    en: "English",
+};
+
+export const TEMPERATURE_UNITS = {
+    C: "°C",
+    F: "°F",
+};
+
+const LOCALES = { vi: "vi-VN", en: "en-US" };
+
+// Mặc định giữ cách hiển thị trước đây: tiếng Việt, giờ Việt Nam, độ C
+const DEFAULT_PREFS = {
+    language: "vi",
+    timeZone: "Asia/Ho_Chi_Minh",
+    temperatureUnit: "C",
+};
+
+// Chuỗi tiếng Việt trong mã nguồn là khóa tra cứu; chuỗi chưa có bản dịch được giữ nguyên tiếng Việt
+const CATALOGS = { en };
+
+const formatters = new Map();
+const listeners = new Set();
+const reportedMissing = new Set();
+
+const cachedFormatter = (locale, options) => {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) formatters.set(key, new Intl.DateTimeFormat(locale, options));
+    return formatters.get(key);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        cachedFormatter("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const sanitizePrefs = (saved) => ({
+    language: LANGUAGES[saved.language] ? saved.language : DEFAULT_PREFS.language,
+    timeZone: saved.timeZone && isValidTimeZone(saved.timeZone) ? saved.timeZone : DEFAULT_PREFS.timeZone,
+    temperatureUnit: TEMPERATURE_UNITS[saved.temperatureUnit] ? saved.temperatureUnit : DEFAULT_PREFS.temperatureUnit,
+});
+
+const loadPrefs = () => {
+    try {
+        return sanitizePrefs(JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY)) || {});
+    } catch {
+        return { ...DEFAULT_PREFS };
+    }
+};
+
+let prefs = loadPrefs();
+
+export const getPreferences = () => ({ ...prefs });
+
+/**
+ * Lưu tùy chọn hiển thị (một phần hoặc đầy đủ) và báo cho các phần giao diện cần vẽ lại.
+ */
+export function setPreferences(changes) {
+    prefs = sanitizePrefs({ ...prefs, ...changes });
+    localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+    document.documentElement.lang = prefs.language;
+    listeners.forEach((listener) => listener(getPreferences()));
+}
+
+export function onPreferencesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export const getLocale = () => LOCALES[prefs.language];
+
+/**
+ * Dịch một chuỗi giao diện sang ngôn ngữ đang chọn. `{name}` trong chuỗi được thay bằng `params.name`.
+ */
+export function t(text, params = null) {
+    const catalog = CATALOGS[prefs.language];
+    let translated = text;
+
+    if (catalog) {
+        translated = catalog[text] ?? text;
+        if (import.meta.env.DEV && !(text in catalog) && !reportedMissing.has(text)) {
+            reportedMissing.add(text);
+            console.warn(`i18n: thiếu bản dịch "${prefs.language}" cho:`, text);
+        }
+    }
+
+    if (!params) return translated;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Định dạng thời điểm (ms, Date hoặc chuỗi ISO) theo ngôn ngữ và múi giờ đang chọn.
+ */
+export const formatDateTime = (time, options) =>
+    cachedFormatter(getLocale(), { ...options, timeZone: prefs.timeZone }).format(new Date(time));
+
+// Độ lệch (ms) giữa giờ trên đồng hồ của múi giờ đang chọn và UTC tại thời điểm `timeMs`
+const timeZoneOffsetMs = (timeMs) => {
+    const parts = Object.fromEntries(
+        cachedFormatter("en-US", {
+            timeZone: prefs.timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        })
+            .formatToParts(new Date(timeMs))
+            .map((part) => [part.type, Number(part.value)])
+    );
+    const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallMs - Math.floor(timeMs / 1000) * 1000;
+};
+
+/**
+ * Mốc thời gian (ms) của ngày `YYYY-MM-DD` và giờ `HH:MM[:SS.sss]` tính theo múi giờ đang chọn
+ * (không phải múi giờ của trình duyệt). Trả về NaN nếu ngày không hợp lệ.
+ */
+export function zonedTimeToMs(dateKey, time = "00:00") {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || "")) return NaN;
+
+    const [year, month, day] = dateKey.split("-").map(Number);
+    const [hour, minute, second = 0] = time.split(":").map(Number);
+    const wallMs = Date.UTC(year, month - 1, day, hour, minute) + second * 1000;
+    if (Number.isNaN(wallMs)) return NaN;
+
+    // Lấy độ lệch tại thời điểm ước lượng để đúng cả những ngày chuyển giờ mùa hè
+    const guessMs = wallMs - timeZoneOffsetMs(wallMs);
+    return wallMs - timeZoneOffsetMs(guessMs);
+}
+
+/**
+ * Số phút tính từ nửa đêm của thời điểm `time` (ms, Date hoặc chuỗi ISO) theo múi giờ đang chọn.
+ */
+export function zonedMinutesOfDay(time = Date.now()) {
+    const timeMs = new Date(time).getTime();
+    const wallMs = timeMs + timeZoneOffsetMs(timeMs);
+    return Math.floor((((wallMs % 86400000) + 86400000) % 86400000) / 60000);
+}
+
+// Dữ liệu cảm biến và ngưỡng luôn lưu theo °C; chỉ đổi đơn vị khi hiển thị và khi nhập
+export const temperatureUnit = () => TEMPERATURE_UNITS[prefs.temperatureUnit];
+
+export const toDisplayTemperature = (celsius) => (prefs.temperatureUnit === "F" ? (celsius * 9) / 5 + 32 : celsius);
+
+export const fromDisplayTemperature = (value) => (prefs.temperatureUnit === "F" ? ((value - 32) * 5) / 9 : value);
+
+const roundTenth = (value) => Math.round(value * 10) / 10;
+
+export const formatTemperature = (celsius) =>
+    typeof celsius === "number" && !Number.isNaN(celsius) ? `${roundTenth(toDisplayTemperature(celsius))}${temperatureUnit()}` : `N/A${temperatureUnit()}`;
+
+// Chênh lệch nhiệt độ (ví dụ tốc độ tăng) chỉ đổi tỉ lệ, không cộng 32
+export const formatTemperatureDelta = (celsiusDelta) =>
+    `${roundTenth(prefs.temperatureUnit === "F" ? (celsiusDelta * 9) / 5 : celsiusDelta)}${temperatureUnit()}`;
+
+const normalizeText = (text) => text.replace(/\s+/g, " ").trim();
+
+const TRANSLATED_ATTRIBUTES = [
+    ["placeholder", "i18nPlaceholder"],
+    ["aria-label", "i18nAriaLabel"],
+    ["title", "i18nTitle"],
+];
+
+/**
+ * Dịch phần tử tĩnh trong `root` có thuộc tính `data-i18n` (nội dung chữ) hoặc `data-i18n-placeholder`,
+ * `data-i18n-aria-label`, `data-i18n-title`. Thuộc tính để trống thì chuỗi tiếng Việt ban đầu trong HTML
+ * được dùng làm khóa; `{unit}` trong khóa được thay bằng đơn vị nhiệt độ đang chọn.
+ */
+export function applyTranslations(root = document) {
+    const params = { unit: temperatureUnit() };
+
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+        if (!el.dataset.i18n) el.dataset.i18n = normalizeText(el.textContent);
+        el.textContent = t(el.dataset.i18n, params);
+    });
+
+    TRANSLATED_ATTRIBUTES.forEach(([attribute, key]) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+            if (!el.dataset[key]) el.dataset[key] = el.getAttribute(attribute) || "";
+            el.setAttribute(attribute, t(el.dataset[key], params));
+        });
+    });
+}
+
+/**
+ * Đặt chữ cho phần tử dựng bằng JavaScript từ nhãn tiếng Việt, đánh dấu để applyTranslations
+ * dịch lại khi đổi ngôn ngữ.
+ */
+export function setTranslatedText(el, text) {
+    el.dataset.i18n = text;
+    el.textContent = t(text, { unit: temperatureUnit() });
+    return el;
+}
@@ -0,0 +1,134 @@
+// src/js/ice-config.js
+
+import { database, ref, get } from "./firebase-config.js";
+import { householdPath } from "./household.js";
+
+// STUN công cộng luôn có sẵn; đủ cho mạng gia đình thông thường nhưng không qua được NAT của nhà mạng di động (CGNAT)
+const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+
+// Làm mới thông tin TURN sớm hơn hạn một chút để không bắt đầu kết nối bằng credential sắp hết hạn
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Loại candidate của cặp ICE được chọn (https://www.w3.org/TR/webrtc-stats/#dom-rtcicecandidatetype)
+export const CANDIDATE_TYPES = {
+    host: "mạng nội bộ",
+    srflx: "trực tiếp qua NAT",
+    prflx: "trực tiếp qua NAT",
+    relay: "qua máy chủ TURN",
+};
+
+// householdId -> { iceServers, expiresAt }
+const cache = new Map();
+
+const isValidServer = (server) =>
+    server && (typeof server.urls === "string" || (Array.isArray(server.urls) && server.urls.every((url) => typeof url === "string")));
+
+const normalizeServers = (servers) =>
+    (Array.isArray(servers) ? servers : [])
+        .filter(isValidServer)
+        .map(({ urls, username, credential }) => ({ urls, ...(username ? { username } : {}), ...(credential ? { credential } : {}) }));
+
+/**
+ * Server ICE cấu hình qua biến môi trường lúc build:
+ * `VITE_ICE_SERVERS` là mảng JSON dạng RTCIceServer, hoặc khai báo riêng một TURN server bằng
+ * `VITE_TURN_URLS` (phân tách bằng dấu phẩy), `VITE_TURN_USERNAME`, `VITE_TURN_CREDENTIAL`.
+ */
+const envIceServers = () => {
+    const servers = [];
+    const json = import.meta.env.VITE_ICE_SERVERS;
+
+    if (json) {
+        try {
+            servers.push(...normalizeServers(JSON.parse(json)));
+        } catch (error) {
+            console.error("VITE_ICE_SERVERS không phải JSON hợp lệ:", error);
+        }
+    }
+
+    const turnUrls = import.meta.env.VITE_TURN_URLS;
+    if (turnUrls) {
+        servers.push({
+            urls: turnUrls.split(",").map((url) => url.trim()).filter(Boolean),
+            username: import.meta.env.VITE_TURN_USERNAME,
+            credential: import.meta.env.VITE_TURN_CREDENTIAL,
+        });
+    }
+
+    return servers;
+};
+
+/**
+ * TURN credential ngắn hạn của hộ gia đình tại `households/{householdId}/iceConfig`:
+ * `{ iceServers: [...], expiresAt }`. Node này do Pi (tài khoản thiết bị) hoặc backend ghi định kỳ,
+ * ví dụ bằng TURN REST API của coturn (`use-auth-secret`) để khóa bí mật không nằm ở trình duyệt.
+ */
+const fetchHouseholdIceConfig = async (householdId) => {
+    const snapshot = await get(ref(database, `${householdPath(householdId)}/iceConfig`));
+    const config = snapshot.val();
+    if (!config) return { iceServers: [], expiresAt: null };
+
+    if (typeof config.expiresAt === "number" && config.expiresAt <= Date.now()) {
+        console.warn("WebRTC: TURN credential của hộ gia đình đã hết hạn, chỉ dùng STUN/cấu hình build.");
+        return { iceServers: [], expiresAt: null };
+    }
+
+    return { iceServers: normalizeServers(config.iceServers), expiresAt: config.expiresAt ?? null };
+};
+
+/**
+ * Cấu hình RTCPeerConnection cho một hộ gia đình: STUN mặc định, server từ biến môi trường và
+ * TURN ngắn hạn từ database. Kết quả được giữ tới gần lúc credential hết hạn.
+ * `VITE_ICE_TRANSPORT_POLICY=relay` buộc đi qua TURN (dùng để kiểm tra TURN server).
+ */
+export async function loadIceConfiguration(householdId) {
+    const cached = cache.get(householdId);
+    if (cached && (!cached.expiresAt || cached.expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+        return cached.configuration;
+    }
+
+    let householdConfig = { iceServers: [], expiresAt: null };
+    try {
+        householdConfig = await fetchHouseholdIceConfig(householdId);
+    } catch (error) {
+        console.error("WebRTC: Không thể tải cấu hình ICE của hộ gia đình:", error);
+    }
+
+    const configuration = {
+        iceServers: [...DEFAULT_ICE_SERVERS, ...envIceServers(), ...householdConfig.iceServers],
+        iceTransportPolicy: import.meta.env.VITE_ICE_TRANSPORT_POLICY === "relay" ? "relay" : "all",
+    };
+    cache.set(householdId, { configuration, expiresAt: householdConfig.expiresAt });
+
+    return configuration;
+}
+
+export const clearIceConfigurationCache = () => cache.clear();
+
+/**
+ * Loại candidate (host/srflx/prflx/relay) của cặp ICE đang được dùng, hoặc null nếu chưa có.
+ */
+export async function getSelectedCandidateType(pc) {
+    const stats = await pc.getStats();
+    let pair = null;
+
+    stats.forEach((report) => {
+        if (report.type === "transport" && report.selectedCandidatePairId) {
+            pair = stats.get(report.selectedCandidatePairId);
+        }
+    });
+
+    // Firefox không có selectedCandidatePairId trên transport, dùng cờ `selected` của candidate-pair
+    if (!pair) {
+        stats.forEach((report) => {
+            if (report.type === "candidate-pair" && (report.selected || (report.nominated && report.state === "succeeded"))) pair = report;
+        });
+    }
+    if (!pair) return null;
+
+    const local = stats.get(pair.localCandidateId);
+    const remote = stats.get(pair.remoteCandidateId);
+    // Một trong hai phía đi qua TURN thì cả luồng phụ thuộc vào relay
+    if (local?.candidateType === "relay" || remote?.candidateType === "relay") return "relay";
+
+    return local?.candidateType || null;
+}
@@ -0,0 +1,123 @@
+// src/js/invitations.js
+
+import { database, ref, get } from "./firebase-config.js";
+import { update } from "firebase/database";
+import { householdPath, ROLES } from "./household.js";
+import { t } from "./i18n.js";
+
+// Lời mời hết hạn sau 7 ngày và chỉ dùng được một lần
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Bỏ các ký tự dễ nhầm (0/O, 1/I/L) để đọc mã qua điện thoại không bị sai
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const generateCode = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+};
+
+export const normalizeInviteCode = (code) => (code || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// Key Firebase không chứa được dấu chấm, thay bằng dấu phẩy (email không chứa dấu phẩy hợp lệ)
+export const emailKey = (email) => email.trim().toLowerCase().replace(/\./g, ",");
+
+const isExpired = (invite, now = Date.now()) => !invite.expiresAt || invite.expiresAt < now;
+
+/**
+ * Tạo lời mời vào hộ gia đình (chỉ chủ hộ). Nếu có email, chỉ tài khoản đăng nhập bằng email đó
+ * mới nhận được lời mời và lời mời hiện sẵn trong màn hình chọn hộ gia đình của họ;
+ * nếu không, ai có mã đều dùng được một lần.
+ */
+export async function createInvite(householdId, householdName, role, email, createdBy) {
+    if (!ROLES[role] || role === "owner") throw new Error(t("Chỉ có thể mời với vai trò người chăm sóc hoặc chỉ xem."));
+
+    const invitedEmail = email?.trim().toLowerCase() || null;
+    if (invitedEmail && !EMAIL_PATTERN.test(invitedEmail)) throw new Error(t("Email không hợp lệ."));
+
+    const code = generateCode();
+    const createdAt = Date.now();
+    const invite = { householdId, householdName, role, email: invitedEmail, createdBy, createdAt, expiresAt: createdAt + INVITE_TTL_MS };
+
+    const updates = {
+        [`invites/${code}`]: invite,
+        [`${householdPath(householdId)}/invites/${code}`]: true,
+    };
+    if (invitedEmail) updates[`inviteEmails/${emailKey(invitedEmail)}/${code}`] = true;
+
+    await update(ref(database), updates);
+    return { code, ...invite };
+}
+
+const fetchInvites = async (codes) => {
+    const invites = await Promise.all(
+        codes.map(async (code) => {
+            const snapshot = await get(ref(database, `invites/${code}`));
+            return snapshot.exists() ? { code, ...snapshot.val() } : null;
+        })
+    );
+    return invites.filter((invite) => invite && !invite.acceptedBy && !isExpired(invite));
+};
+
+/**
+ * Các lời mời còn hiệu lực gửi tới email của người dùng. Rules chỉ cho đọc khi email đã xác minh.
+ */
+export async function listPendingInvites(email) {
+    if (!email) return [];
+
+    const snapshot = await get(ref(database, `inviteEmails/${emailKey(email)}`));
+    return fetchInvites(Object.keys(snapshot.val() || {}));
+}
+
+/**
+ * Các lời mời còn hiệu lực của hộ gia đình (để chủ hộ xem lại mã hoặc thu hồi).
+ */
+export async function listHouseholdInvites(householdId) {
+    const snapshot = await get(ref(database, `${householdPath(householdId)}/invites`));
+    return fetchInvites(Object.keys(snapshot.val() || {}));
+}
+
+/**
+ * Nhận lời mời: thêm người dùng vào hộ gia đình với vai trò ghi trong lời mời.
+ * `joinedWith/{uid}` lưu mã đã dùng để security rules kiểm tra lời mời trong cùng lần ghi.
+ */
+export async function acceptInvite(code, user) {
+    const normalized = normalizeInviteCode(code);
+    if (normalized.length !== CODE_LENGTH) throw new Error(t("Mã mời gồm 8 ký tự."));
+
+    const snapshot = await get(ref(database, `invites/${normalized}`));
+    const invite = snapshot.val();
+
+    if (!invite) throw new Error(t("Mã mời không tồn tại."));
+    if (invite.acceptedBy) throw new Error(t("Mã mời này đã được sử dụng."));
+    if (isExpired(invite)) throw new Error(t("Mã mời đã hết hạn."));
+    if (invite.email && invite.email !== user.email?.toLowerCase()) {
+        throw new Error(t("Lời mời này dành cho một email khác."));
+    }
+    // Rules chỉ khớp lời mời theo email khi email đã xác minh, tránh tạo tài khoản bằng email của người khác
+    if (invite.email && !user.emailVerified) throw new Error(t("Vui lòng xác minh email trước khi nhận lời mời này."));
+
+    const base = householdPath(invite.householdId);
+    const updates = {
+        [`${base}/members/${user.uid}`]: invite.role,
+        [`${base}/memberProfiles/${user.uid}`]: { email: user.email || null, joinedAt: new Date().toISOString() },
+        [`${base}/joinedWith/${user.uid}`]: normalized,
+        [`${base}/invites/${normalized}`]: null,
+        [`users/${user.uid}/households/${invite.householdId}`]: true,
+        [`invites/${normalized}/acceptedBy`]: user.uid,
+    };
+    if (invite.email) updates[`inviteEmails/${emailKey(invite.email)}/${normalized}`] = null;
+
+    await update(ref(database), updates);
+    return { id: invite.householdId, name: invite.householdName, role: invite.role };
+}
+
+export async function revokeInvite(householdId, invite) {
+    const updates = {
+        [`invites/${invite.code}`]: null,
+        [`${householdPath(householdId)}/invites/${invite.code}`]: null,
+    };
+    if (invite.email) updates[`inviteEmails/${emailKey(invite.email)}/${invite.code}`] = null;
+
+    await update(ref(database), updates);
+}
@@ -0,0 +1,450 @@
+// src/js/locales/en.js
+
+// Bản dịch tiếng Anh. Khóa là chuỗi tiếng Việt gốc trong mã nguồn và index.html (xem i18n.js),
+// `{name}` là tham số được thay khi hiển thị.
+export default {
+    // Chung
+    "N/A": "N/A",
+    "Có": "Yes",
+    "Không": "No",
+    "Xóa": "Remove",
+    "Đóng": "Close",
+    "Thử lại": "Retry",
+    "Vai trò": "Role",
+    "Thiết bị": "Device",
+    "Ngôn ngữ": "Language",
+    "{minutes} phút": "{minutes} min",
+    "{hours} giờ": "{hours} h",
+    "{hours} giờ {minutes} phút": "{hours} h {minutes} min",
+    "{count} bản ghi": "{count} readings",
+    "{count} sự kiện": "{count} events",
+    "{count} thiết bị": "{count} devices",
+
+    // Thanh tiêu đề và kết nối
+    "Theo dõi giấc ngủ của bé": "Keeping watch over your baby's sleep",
+    "Chọn thiết bị": "Select device",
+    "Cài đặt": "Settings",
+    "Đổi hộ gia đình": "Switch household",
+    "Tài khoản": "Account",
+    "Đăng xuất": "Log out",
+    "Đã kết nối": "Connected",
+    "Mất kết nối": "Disconnected",
+    "Đang kết nối...": "Connecting...",
+    "📴 Mất kết nối tới máy chủ.": "📴 Lost connection to the server.",
+    "📴 Mất kết nối tới máy chủ. Dữ liệu bên dưới sẽ không cập nhật cho tới khi có mạng trở lại.":
+        "📴 Lost connection to the server. The data below will not update until the network is back.",
+    "💾 Đang hiển thị dữ liệu đã lưu lúc {time}. Sẽ cập nhật khi có kết nối.": "💾 Showing data saved at {time}. It will update once connected.",
+
+    // Đăng nhập và tài khoản
+    "Đăng nhập": "Log in",
+    "Đăng ký": "Sign up",
+    "Mật khẩu": "Password",
+    "Quên mật khẩu?": "Forgot password?",
+    "hoặc": "or",
+    "Đăng nhập với Google": "Sign in with Google",
+    "Email và mật khẩu (ít nhất 6 ký tự) là bắt buộc.": "Email and password (at least 6 characters) are required.",
+    "Email và mật khẩu là bắt buộc.": "Email and password are required.",
+    "Đăng ký thành công! Vui lòng xác nhận email.": "Signed up! Please verify your email.",
+    "Đăng nhập thành công! Đang chuyển hướng...": "Logged in! Redirecting...",
+    "Lỗi Đăng ký: ": "Sign-up error: ",
+    "Lỗi Đăng nhập: ": "Login error: ",
+    "Đã gửi email đặt lại mật khẩu (nếu email đã đăng ký). Vui lòng kiểm tra hộp thư.":
+        "A password reset email has been sent (if the email is registered). Please check your inbox.",
+    "Đã đăng xuất thành công.": "Logged out.",
+    "Xác nhận email": "Verify your email",
+    "Chúng tôi đã gửi link xác nhận tới": "We sent a verification link to",
+    "Mở email và bấm vào link, sau đó quay lại đây để tiếp tục.": "Open the email and click the link, then come back here to continue.",
+    "Tôi đã xác nhận": "I've verified",
+    "Gửi lại email xác nhận": "Resend verification email",
+    "Dùng tài khoản khác": "Use another account",
+    "Email chưa được xác nhận. Vui lòng bấm vào link trong email.": "Your email is not verified yet. Please click the link in the email.",
+    "Đã gửi lại email xác nhận tới {email}.": "Verification email sent again to {email}.",
+    "Email và mật khẩu": "Email and password",
+    "Đổi mật khẩu": "Change password",
+    "Mật khẩu hiện tại": "Current password",
+    "Mật khẩu mới (ít nhất 6 ký tự)": "New password (at least 6 characters)",
+    "Nhập lại mật khẩu mới": "Confirm new password",
+    "Đã đổi mật khẩu.": "Password changed.",
+    "Xóa tài khoản": "Delete account",
+    "Tài khoản sẽ rời khỏi mọi hộ gia đình. Hộ gia đình mà bạn là chủ hộ duy nhất sẽ bị xóa cùng toàn bộ dữ liệu cảm biến và sự kiện. Không thể hoàn tác.":
+        "Your account will leave every household. Households where you are the only owner will be deleted along with all sensor data and events. This cannot be undone.",
+    "Tôi hiểu dữ liệu sẽ bị xóa vĩnh viễn": "I understand the data will be deleted permanently",
+    "Vui lòng xác nhận bạn hiểu dữ liệu sẽ bị xóa vĩnh viễn.": "Please confirm you understand the data will be deleted permanently.",
+    "Đang xóa tài khoản và dữ liệu...": "Deleting account and data...",
+    "Tài khoản và dữ liệu đã được xóa.": "Your account and data have been deleted.",
+    "Vui lòng nhập email để đặt lại mật khẩu.": "Please enter your email to reset your password.",
+    "Vui lòng nhập mật khẩu hiện tại.": "Please enter your current password.",
+    "Mật khẩu mới cần ít nhất 6 ký tự.": "The new password needs at least 6 characters.",
+    "Mật khẩu nhập lại không khớp.": "The passwords do not match.",
+    "Mật khẩu mới phải khác mật khẩu hiện tại.": "The new password must differ from the current one.",
+
+    // Lỗi Firebase Auth
+    "Email này đã được sử dụng.": "This email is already in use.",
+    "Email không hợp lệ.": "Invalid email.",
+    "Mật khẩu quá yếu (cần ít nhất 6 ký tự).": "The password is too weak (at least 6 characters).",
+    "Tài khoản không tồn tại.": "The account does not exist.",
+    "Mật khẩu không đúng.": "Incorrect password.",
+    "Email hoặc mật khẩu không đúng.": "Incorrect email or password.",
+    "Vui lòng nhập mật khẩu.": "Please enter your password.",
+    "Vui lòng nhập email.": "Please enter your email.",
+    "Thử quá nhiều lần. Vui lòng đợi vài phút rồi thử lại.": "Too many attempts. Please wait a few minutes and try again.",
+    "Tài khoản này đã bị vô hiệu hóa.": "This account has been disabled.",
+    "Không có kết nối mạng. Vui lòng thử lại.": "No network connection. Please try again.",
+    "Vui lòng đăng nhập lại rồi thực hiện lại thao tác này.": "Please log in again and repeat this action.",
+    "Phương thức đăng nhập này chưa được bật.": "This sign-in method is not enabled.",
+    "Email này đã đăng ký bằng phương thức khác. Hãy đăng nhập bằng email và mật khẩu.":
+        "This email is registered with another method. Please log in with email and password.",
+    "Trình duyệt đã chặn cửa sổ đăng nhập. Vui lòng cho phép cửa sổ bật lên.": "The browser blocked the sign-in window. Please allow pop-ups.",
+    "Cửa sổ đăng nhập đã bị đóng trước khi hoàn tất.": "The sign-in window was closed before finishing.",
+    "Tài khoản xác thực lại không khớp với tài khoản đang đăng nhập.": "The re-authenticated account does not match the signed-in account.",
+    "Đã xảy ra lỗi không xác định.": "An unknown error occurred.",
+
+    // Hộ gia đình, thành viên và lời mời
+    "Chọn hộ gia đình": "Choose a household",
+    "Đang tải danh sách...": "Loading list...",
+    "Tham gia bằng mã mời": "Join with an invite code",
+    "Mã mời (8 ký tự)": "Invite code (8 characters)",
+    "Tham gia": "Join",
+    "Tạo hộ gia đình mới": "Create a new household",
+    "Tên hộ gia đình": "Household name",
+    "Mã thiết bị (Device ID của Pi)": "Device ID (the Pi's Device ID)",
+    "Tên thiết bị (VD: Phòng ngủ bé)": "Device name (e.g. Nursery)",
+    "Tạo hộ gia đình": "Create household",
+    "Bạn chưa thuộc hộ gia đình nào. Hãy tạo mới bên dưới.": "You don't belong to any household yet. Create one below.",
+    "Đang ngoại tuyến, hiển thị danh sách đã lưu.": "Offline, showing the saved list.",
+    "Không thể tải danh sách hộ gia đình.": "Could not load households.",
+    "Hộ gia đình này chưa có thiết bị nào.": "This household has no devices yet.",
+    "✉️ Lời mời: {household}": "✉️ Invitation: {household}",
+    "Nhận lời mời": "Accept invitation",
+    "Không thể tải hộ gia đình vừa tham gia.": "Could not load the household you just joined.",
+    "Không thể tham gia hộ gia đình.": "Could not join the household.",
+    "Chủ hộ": "Owner",
+    "Người chăm sóc": "Caregiver",
+    "Chỉ xem": "Viewer",
+    "Thành viên": "Members",
+    "(bạn)": "(you)",
+    "Email người được mời (không bắt buộc)": "Invitee's email (optional)",
+    "Tạo lời mời": "Create invitation",
+    "Đã đổi vai trò của {member}.": "Changed the role of {member}.",
+    "Không thể đổi vai trò.": "Could not change the role.",
+    "Xóa {member} khỏi hộ gia đình?": "Remove {member} from the household?",
+    "Không thể xóa thành viên.": "Could not remove the member.",
+    "ai có mã": "anyone with the code",
+    "hết hạn {time}": "expires {time}",
+    "Thu hồi": "Revoke",
+    "Không thể thu hồi lời mời.": "Could not revoke the invitation.",
+    "Không thể tải danh sách thành viên.": "Could not load members.",
+    "Mã mời: {code} (dùng một lần, hết hạn sau 7 ngày).": "Invite code: {code} (single use, expires in 7 days).",
+    "Không thể tạo lời mời.": "Could not create the invitation.",
+    "Tên hộ gia đình là bắt buộc.": "A household name is required.",
+    "Mã thiết bị chỉ gồm chữ, số, '-' hoặc '_' (3-64 ký tự).": "Device IDs may only contain letters, digits, '-' or '_' (3-64 characters).",
+    "Thiết bị này đã có trong hộ gia đình.": "This device is already in the household.",
+    "Vai trò không hợp lệ.": "Invalid role.",
+    "Không thể tự đổi vai trò của chính mình.": "You cannot change your own role.",
+    "Không thể tự xóa chính mình khỏi hộ gia đình.": "You cannot remove yourself from the household.",
+    "Chỉ có thể mời với vai trò người chăm sóc hoặc chỉ xem.": "Invitations can only be for the caregiver or viewer role.",
+    "Mã mời gồm 8 ký tự.": "Invite codes have 8 characters.",
+    "Mã mời không tồn tại.": "The invite code does not exist.",
+    "Mã mời này đã được sử dụng.": "This invite code has already been used.",
+    "Mã mời đã hết hạn.": "The invite code has expired.",
+    "Lời mời này dành cho một email khác.": "This invitation is for a different email.",
+    "Vui lòng xác minh email trước khi nhận lời mời này.": "Please verify your email before accepting this invitation.",
+
+    // Cài đặt
+    "Ngưỡng cảnh báo": "Alert thresholds",
+    "Mẫu theo độ tuổi": "Age preset",
+    "-- Mẫu theo độ tuổi --": "-- Age preset --",
+    "Sơ sinh (0-3 tháng)": "Newborn (0-3 months)",
+    "Nhũ nhi (3-12 tháng)": "Infant (3-12 months)",
+    "Trẻ mới biết đi (1-3 tuổi)": "Toddler (1-3 years)",
+    "Áp dụng mẫu": "Apply preset",
+    "Nhiệt độ bé - chú ý ({unit})": "Baby temperature - watch ({unit})",
+    "Nhiệt độ bé - sốt ({unit})": "Baby temperature - fever ({unit})",
+    "Nhiệt độ phòng tối thiểu ({unit})": "Minimum room temperature ({unit})",
+    "Nhiệt độ phòng tối đa ({unit})": "Maximum room temperature ({unit})",
+    "Độ ẩm tối thiểu (%)": "Minimum humidity (%)",
+    "Độ ẩm tối đa (%)": "Maximum humidity (%)",
+    "Khôi phục mặc định": "Restore defaults",
+    "Lưu ngưỡng": "Save thresholds",
+    "Đã lưu ngưỡng cảnh báo.": "Alert thresholds saved.",
+    "Chỉ chủ hộ được thay đổi ngưỡng cảnh báo.": "Only owners can change alert thresholds.",
+    "Vui lòng nhập đầy đủ các ngưỡng.": "Please fill in every threshold.",
+    "Giá trị {value} nằm ngoài khoảng cho phép ({min} - {max}).": "The value {value} is outside the allowed range ({min} - {max}).",
+    "Ngưỡng chú ý phải thấp hơn ngưỡng sốt.": "The watch threshold must be lower than the fever threshold.",
+    "Nhiệt độ phòng tối thiểu phải thấp hơn tối đa.": "The minimum room temperature must be lower than the maximum.",
+    "Độ ẩm tối thiểu phải thấp hơn tối đa.": "The minimum humidity must be lower than the maximum.",
+    "Thông báo khi chạy nền": "Background notifications",
+    "Bật thông báo": "Enable notifications",
+    "Trình duyệt không hỗ trợ thông báo.": "This browser does not support notifications.",
+    "Đã bật thông báo hệ thống.": "System notifications are on.",
+    "Thông báo đã bị chặn, hãy cho phép trong cài đặt trình duyệt.": "Notifications are blocked, allow them in the browser settings.",
+    "Chưa bật thông báo hệ thống.": "System notifications are off.",
+    "Em bé đang khóc": "Baby is crying",
+    "Nhiệt độ em bé vượt ngưỡng sốt": "Baby temperature above the fever threshold",
+    "Em bé nằm sấp": "Baby is lying on their stomach",
+    "Thiết bị mất kết nối": "Device disconnected",
+    "Giờ yên lặng (thông báo không rung, không phát âm thanh)": "Quiet hours (notifications without vibration or sound)",
+    "Bắt đầu giờ yên lặng": "Quiet hours start",
+    "Kết thúc giờ yên lặng": "Quiet hours end",
+    "đến": "to",
+    "Hiển thị": "Display",
+    "Múi giờ": "Time zone",
+    "Đơn vị nhiệt độ": "Temperature unit",
+    "Dùng múi giờ của trình duyệt": "Use the browser's time zone",
+    "Ngôn ngữ, múi giờ và đơn vị chỉ áp dụng trên trình duyệt này.": "Language, time zone and unit apply to this browser only.",
+
+    // Thiết bị và camera
+    "Tổng quan thiết bị": "Device overview",
+    "Mã thiết bị mới": "New device ID",
+    "Tên thiết bị": "Device name",
+    "UID tài khoản thiết bị (tùy chọn)": "Device account UID (optional)",
+    "Thêm thiết bị": "Add device",
+    "Nguy hiểm": "Danger",
+    "Cần chú ý": "Needs attention",
+    "Ổn định": "Stable",
+    "Chưa có dữ liệu": "No data yet",
+    "📡 Mất kết nối": "📡 Disconnected",
+    "Camera bé": "Baby camera",
+    "Vai trò của bạn không được xem camera.": "Your role cannot view the camera.",
+    "Đang kết nối camera...": "Connecting to camera...",
+    "Trực tiếp": "Live",
+    "Mất kết nối camera, đang kết nối lại...": "Camera connection lost, reconnecting...",
+    "Không thể kết nối camera.": "Could not connect to the camera.",
+    "(lần {attempt}, sau {seconds} giây)": "(attempt {attempt}, in {seconds} s)",
+    "mạng nội bộ": "local network",
+    "trực tiếp qua NAT": "direct through NAT",
+    "qua máy chủ TURN": "via TURN server",
+    "🔈 Nghe phòng bé": "🔈 Listen to nursery",
+    "🔊 Đang nghe": "🔊 Listening",
+    "Chỉ nghe (ẩn hình)": "Audio only (hide video)",
+    "🎙️ Giữ để nói": "🎙️ Hold to talk",
+    "Camera chưa kết nối.": "The camera is not connected.",
+    "Trình duyệt không hỗ trợ micro.": "This browser does not support microphones.",
+    "Bạn chưa cho phép ứng dụng dùng micro.": "You have not allowed the app to use the microphone.",
+    "Không thể mở micro.": "Could not open the microphone.",
+    "📷 Chụp ảnh": "📷 Snapshot",
+    "🖼️ Ảnh & clip": "🖼️ Photos & clips",
+    "Tự ghi clip khi có cảnh báo nguy hiểm": "Record a clip automatically on danger alerts",
+    "Ảnh chụp & clip": "Snapshots & clips",
+    "Ảnh và clip chỉ lưu trên trình duyệt này, hãy tải xuống những bản cần giữ lâu dài.":
+        "Snapshots and clips are stored in this browser only, download the ones you want to keep.",
+    "Ảnh chụp": "Snapshot",
+    "Clip": "Clip",
+    "Đã lưu ảnh chụp.": "Snapshot saved.",
+    "Chưa có ảnh chụp hoặc clip nào.": "No snapshots or clips yet.",
+    "Camera chưa có hình để chụp.": "The camera has no picture to capture yet.",
+    "Không thể chụp ảnh.": "Could not take the snapshot.",
+    "Bộ nhớ trình duyệt đã đầy, hãy xóa bớt ảnh và clip cũ.": "Browser storage is full, please delete some old snapshots and clips.",
+    "Phân tích chuyển động và âm thanh": "Analyze motion and sound",
+    "Chuyển động": "Motion",
+    "Âm thanh": "Sound",
+    "Phân tích camera trên trình duyệt": "In-browser camera analysis",
+    "Ngưỡng tiếng ồn lớn (%)": "Loud noise threshold (%)",
+    "Kéo dài ít nhất (giây)": "Lasting at least (seconds)",
+    "Lưu cài đặt phân tích": "Save analysis settings",
+    "Đã lưu cài đặt phân tích.": "Analysis settings saved.",
+    'Cảnh báo tiếng ồn lớn kéo dài dùng để đối chiếu với trạng thái khóc do thiết bị gửi; chỉ chạy khi bật "Phân tích chuyển động và âm thanh" dưới khung camera.':
+        'The sustained loud noise alert cross-checks the crying status sent by the device; it only runs while "Analyze motion and sound" is on below the camera.',
+    "🔊 Tiếng ồn lớn kéo dài hơn {seconds} giây trong phòng bé.": "🔊 Loud noise for more than {seconds} seconds in the nursery.",
+    "🔊 Tiếng ồn lớn kéo dài hơn {seconds} giây nhưng thiết bị không báo khóc.":
+        "🔊 Loud noise for more than {seconds} seconds but the device does not report crying.",
+    "Chuyển động - camera (%)": "Motion - camera (%)",
+    "Âm thanh - camera (%)": "Sound - camera (%)",
+    "Hoạt động (%)": "Activity (%)",
+
+    // Thông tin theo dõi và cảnh báo
+    "Thông tin theo dõi": "Monitoring",
+    "Trạng thái:": "Status:",
+    "Nhiệt độ phòng:": "Room temperature:",
+    "Độ ẩm phòng:": "Room humidity:",
+    "Nhiệt độ em bé:": "Baby temperature:",
+    "Tư thế ngủ:": "Sleep position:",
+    "Có khóc không:": "Crying:",
+    "Ngủ": "Asleep",
+    "Thức": "Awake",
+    "Ngửa": "On back",
+    "Sấp": "On stomach",
+    "Nghiêng": "On side",
+    "😭 Khóc": "😭 Crying",
+    "Đã xử lý": "Handled",
+    "Hoãn 10 phút": "Snooze 10 min",
+    "⏫ CHƯA AI XỬ LÝ: ": "⏫ NOBODY HAS RESPONDED: ",
+    "⏫ Chưa ai xác nhận: {message}": "⏫ Not acknowledged yet: {message}",
+    "🚨 Em bé ĐANG KHÓC! Vui lòng kiểm tra.": "🚨 Baby IS CRYING! Please check.",
+    "🚨 Em bé ĐANG KHÓC liên tục hơn 1 phút! Vui lòng kiểm tra.": "🚨 Baby HAS BEEN CRYING for over 1 minute! Please check.",
+    "🛑 Em bé đang NẰM SẤP hơn 30 giây! Hãy lật bé nằm ngửa.": "🛑 Baby has been ON THEIR STOMACH for over 30 seconds! Please turn them onto their back.",
+    "🔥 CẢNH BÁO: Nhiệt độ em bé ĐANG CAO! ({value})": "🔥 WARNING: Baby temperature IS HIGH! ({value})",
+    "⚠️ Nhiệt độ em bé cần chú ý: ({value})": "⚠️ Keep an eye on baby temperature: ({value})",
+    "📈 Nhiệt độ em bé đang tăng nhanh (+{rate}/giờ, hiện {value})": "📈 Baby temperature is rising fast (+{rate}/h, now {value})",
+    "❄️ Nhiệt độ phòng quá thấp! ({value})": "❄️ Room temperature too low! ({value})",
+    "🔥 Nhiệt độ phòng quá cao! ({value})": "🔥 Room temperature too high! ({value})",
+    "💧 Độ ẩm phòng quá thấp! ({value}%)": "💧 Room humidity too low! ({value}%)",
+    "💦 Độ ẩm phòng quá cao! ({value}%)": "💦 Room humidity too high! ({value}%)",
+    "📡 Thiết bị mất kết nối từ {time}! Không còn nhận dữ liệu mới.": "📡 Device disconnected since {time}! No new data is arriving.",
+    "📡 Thiết bị mất kết nối từ {time}. Dữ liệu bên dưới có thể đã cũ.": "📡 Device disconnected since {time}. The data below may be outdated.",
+    "Nhật ký Cảnh báo": "Alert log",
+    "Chưa có cảnh báo nào.": "No alerts yet.",
+    "Đang diễn ra": "Ongoing",
+    "Đã xác nhận": "Acknowledged",
+    "Tạm hoãn": "Snoozed",
+    "Đã kết thúc": "Ended",
+    "xác nhận bởi {email}": "acknowledged by {email}",
+    "đã leo thang": "escalated",
+    "kết thúc lúc {time}": "ended at {time}",
+
+    // Giấc ngủ và lịch sử
+    "Tóm tắt Giấc ngủ": "Sleep summary",
+    "Tổng giờ ngủ hôm nay": "Total sleep today",
+    "Giấc dài nhất": "Longest stretch",
+    "Giấc ngày": "Naps",
+    "Giấc đêm": "Night sleep",
+    "Các giấc ngủ gần đây": "Recent sleep sessions",
+    "Chưa có giấc ngủ nào.": "No sleep sessions yet.",
+    "{count} giấc": "{count} naps",
+    "đang ngủ": "still asleep",
+    "{count} lần thức": "{count} wake-ups",
+    "{count} lần khóc": "{count} crying episodes",
+    "Lịch sử Hoạt động Gần nhất": "Recent activity",
+    "Đang tải lịch sử...": "Loading history...",
+    "Chưa có dữ liệu nào được ghi.": "No data recorded yet.",
+    "😴 Ngủ": "😴 Asleep",
+    "👀 Thức": "👀 Awake",
+    "😭 KHÓC!": "😭 CRYING!",
+    "Nhiệt độ bé: {baby}, Phòng: {room}": "Baby: {baby}, Room: {room}",
+
+    // Sự kiện chăm sóc
+    "Ghi nhận Chăm sóc": "Care log",
+    "Vai trò chỉ xem không thể ghi nhận sự kiện.": "Viewers cannot log events.",
+    "Cho ăn": "Feeding",
+    "Thay tã": "Diaper change",
+    "Dùng thuốc": "Medication",
+    "Ghi chú": "Note",
+    "Cách cho ăn": "Feeding method",
+    "Bú mẹ (bên trái)": "Breastfeeding (left)",
+    "Bú mẹ (bên phải)": "Breastfeeding (right)",
+    "Bình sữa": "Bottle",
+    "Lượng sữa (ml)": "Amount (ml)",
+    "Loại tã": "Diaper type",
+    "Ướt": "Wet",
+    "Bẩn": "Dirty",
+    "Ướt và bẩn": "Wet and dirty",
+    "Tên thuốc (VD: Paracetamol)": "Medicine (e.g. Paracetamol)",
+    "Liều lượng (VD: 2.5 ml)": "Dose (e.g. 2.5 ml)",
+    "Nhiệt độ lúc dùng ({unit})": "Temperature at the time ({unit})",
+    "Ghi chú...": "Note...",
+    "Lưu sự kiện": "Save event",
+    "Đã lưu: {event}": "Saved: {event}",
+    "lúc {temperature}": "at {temperature}",
+    "Loại sự kiện không hợp lệ.": "Invalid event type.",
+    "Vui lòng chọn cách cho ăn.": "Please choose a feeding method.",
+    "Lượng sữa bình phải từ 1 đến 500 ml.": "Bottle amount must be between 1 and 500 ml.",
+    "Vui lòng chọn loại tã.": "Please choose a diaper type.",
+    "Vui lòng nhập tên thuốc.": "Please enter the medicine name.",
+    "Nhiệt độ khi dùng thuốc không hợp lệ.": "Invalid temperature for the medication.",
+    "Vui lòng nhập nội dung ghi chú.": "Please enter the note.",
+
+    // Biểu đồ
+    "Phân tích Xu hướng": "Trends",
+    "1h qua": "Last 1h",
+    "6h qua": "Last 6h",
+    "24h qua": "Last 24h",
+    "7 ngày": "7 days",
+    "30 ngày": "30 days",
+    "Tất cả": "All",
+    "Xem": "View",
+    "Từ ngày": "From",
+    "Đến ngày": "To",
+    "1 giờ qua": "the last hour",
+    "6 giờ qua": "the last 6 hours",
+    "24 giờ qua": "the last 24 hours",
+    "7 ngày qua": "the last 7 days",
+    "30 ngày qua": "the last 30 days",
+    "toàn bộ lịch sử": "the whole history",
+    "khoảng ngày đã chọn": "the selected dates",
+    "Không có dữ liệu trong {range}.": "No data in {range}.",
+    "Đang tải dữ liệu...": "Loading data...",
+    "📴 Đang ngoại tuyến: biểu đồ vẽ từ dữ liệu đã lưu.": "📴 Offline: charts are drawn from saved data.",
+    "Không thể tải dữ liệu biểu đồ.": "Could not load chart data.",
+    "{count} bản ghi, gộp thành {points} mốc (trung bình, dải min–max).": "{count} readings, grouped into {points} points (average, min–max band).",
+    "{count} bản ghi gần nhất, gộp thành {points} mốc (trung bình, dải min–max).": "Latest {count} readings, grouped into {points} points (average, min–max band).",
+    "Khoảng thời gian không hợp lệ.": "Invalid time range.",
+    "Nhiệt độ Em bé ({unit})": "Baby temperature ({unit})",
+    "Nhiệt độ & Độ ẩm Phòng": "Room temperature & humidity",
+    "Nhiệt độ Bé ({unit})": "Baby temperature ({unit})",
+    "Nhiệt độ Bé - trung bình ({unit})": "Baby temperature - average ({unit})",
+    "Nhiệt độ Phòng ({unit})": "Room temperature ({unit})",
+    "Nhiệt độ Phòng - trung bình ({unit})": "Room temperature - average ({unit})",
+    "Độ ẩm Phòng (%)": "Room humidity (%)",
+    "Độ ẩm Phòng - trung bình (%)": "Room humidity - average (%)",
+    "Nhiệt độ ({unit})": "Temperature ({unit})",
+    "Độ ẩm (%)": "Humidity (%)",
+    "Ngưỡng cảnh báo ({value})": "Alert threshold ({value})",
+    "Cần chú ý ({value})": "Watch ({value})",
+    "Phòng tối thiểu {value}": "Room minimum {value}",
+    "Phòng tối đa {value}": "Room maximum {value}",
+    "Độ ẩm tối thiểu {value}%": "Humidity minimum {value}%",
+    "Độ ẩm tối đa {value}%": "Humidity maximum {value}%",
+
+    // Xuất dữ liệu và báo cáo
+    "Xuất dữ liệu": "Export data",
+    "Báo cáo bác sĩ": "Doctor report",
+    "Dữ liệu": "Data",
+    "Bản ghi cảm biến": "Sensor readings",
+    "Sự kiện chăm sóc": "Care events",
+    "Cả hai": "Both",
+    "Định dạng": "Format",
+    "Tải xuống": "Download",
+    "Đã xuất {counts}.": "Exported {counts}.",
+    "Không thể xuất dữ liệu.": "Could not export data.",
+    "Vui lòng chọn ngày bắt đầu và ngày kết thúc.": "Please choose a start and end date.",
+    "Ngày không hợp lệ.": "Invalid date.",
+    "Ngày bắt đầu phải trước ngày kết thúc.": "The start date must be before the end date.",
+    "Báo cáo tuần cho bác sĩ": "Weekly report for the doctor",
+    "Tuần bắt đầu từ ngày": "Week starting on",
+    'Báo cáo mở hộp thoại in, chọn "Lưu dưới dạng PDF" để lưu file.': 'The report opens the print dialog, choose "Save as PDF" to save a file.',
+    "Tạo báo cáo": "Create report",
+    "Đang tổng hợp dữ liệu...": "Compiling data...",
+    "Không có dữ liệu cảm biến trong tuần đã chọn.": "No sensor data in the selected week.",
+    "Không thể tạo báo cáo.": "Could not create the report.",
+    "Nhiệt độ Bé": "Baby temperature",
+    "Môi trường Phòng": "Room environment",
+    "Báo cáo Giấc ngủ & Nhiệt độ": "Sleep & Temperature Report",
+    "Giấc ngủ theo ngày": "Sleep by day",
+    "Ngày": "Day",
+    "Tổng ngủ": "Total sleep",
+    "Ngủ đêm": "Night sleep",
+    "Ngủ ngày": "Naps",
+    "Lần thức": "Wake-ups",
+    "Các đợt sốt (trên {threshold})": "Fever episodes (above {threshold})",
+    "Không ghi nhận đợt sốt nào.": "No fever episodes recorded.",
+    "Bắt đầu": "Start",
+    "Kết thúc": "End",
+    "Thời lượng": "Duration",
+    "Nhiệt độ cao nhất": "Peak temperature",
+    "Tư thế và khóc": "Position and crying",
+    "Thời gian nằm sấp: {duration}": "Time on stomach: {duration}",
+    "Số đợt khóc: {count} (tổng {duration})": "Crying episodes: {count} ({duration} total)",
+    "Thời điểm": "Time",
+    "Sự kiện": "Event",
+    "Người ghi": "Logged by",
+
+    // Lưu trữ ngoại tuyến
+    "Trình duyệt không hỗ trợ IndexedDB.": "This browser does not support IndexedDB.",
+
+    // Kiểm tra bản ghi cảm biến
+    "Khóc": "Crying",
+    "Nhiệt độ bé": "Baby temperature",
+    "Nhiệt độ phòng": "Room temperature",
+    "Độ ẩm phòng": "Room humidity",
+    "Tư thế ngủ": "Sleep position",
+    "ngoài khoảng {min} - {max}": "outside {min} - {max}",
+    "không hợp lệ": "invalid",
+    "Bản ghi không phải đối tượng.": "The reading is not an object.",
+    "Thiếu hoặc sai thời điểm ghi.": "Missing or invalid timestamp.",
+    "Thiếu hoặc sai trạng thái ngủ.": "Missing or invalid sleep status.",
+    "🛠️ Lỗi cảm biến": "🛠️ Sensor fault",
+    "🛠️ Lỗi cảm biến: {details}": "🛠️ Sensor fault: {details}",
+    "🛠️ Cảm biến gửi giá trị bất thường: {details}": "🛠️ A sensor is sending abnormal values: {details}",
+    "🛠️ Thiết bị đang gửi bản ghi không hợp lệ ({reason}).": "🛠️ The device is sending invalid readings ({reason}).",
+    "Đã bỏ qua {count} bản ghi không hợp lệ (gần nhất: {reason}).": "Skipped {count} invalid readings (latest: {reason}).",
+};
@@ -1,68 +1,243 @@
 // src/js/main.js
 
 import { database, ref, set, push, auth } from "./firebase-config.js";
-import { onValue, query, limitToLast, get } from "firebase/database";
+import { onValue, onChildAdded, onChildRemoved, query, limitToLast } from "firebase/database";
 import { createUserWithEmailAndPassword, signInWithEmailAndPassword, onAuthStateChanged, signOut } from "firebase/auth";
-import { startWebRTCStream, closeWebRTCStream } from "./webrtc-stream.js";
+import {
+    usesPassword,
+    needsEmailVerification,
+    signInWithGoogle,
+    sendResetEmail,
+    sendVerificationEmail,
+    refreshEmailVerified,
+    changePassword,
+    deleteAccount,
+} from "./account.js";
+import {
+    startWebRTCStream,
+    closeWebRTCStream,
+    retryWebRTCStream,
+    getWebRTCState,
+    startTalking,
+    stopTalking,
+    getCameraStream,
+    CAMERA_STATES,
+} from "./webrtc-stream.js";
+import { CANDIDATE_TYPES, clearIceConfigurationCache } from "./ice-config.js";
+import { detectSleepSessions, summarizeByDay, getDayKey, formatDuration } from "./sleep-sessions.js";
+import {
+    DEFAULT_THRESHOLDS,
+    AGE_PRESETS,
+    saveThresholds,
+    startThresholdsListener,
+    stopThresholdsListener,
+} from "./thresholds.js";
+import {
+    NOTIFIABLE_ALERTS,
+    isNotificationSupported,
+    registerServiceWorker,
+    requestNotificationPermission,
+    unlockAlertSoundOnFirstGesture,
+    getNotificationPrefs,
+    saveNotificationPrefs,
+    notifyAlerts,
+    notifyEscalation,
+    resetNotificationState,
+} from "./notifications.js";
+import {
+    ALERT_STATES,
+    startAlertManager,
+    stopAlertManager,
+    syncAlerts,
+    acknowledgeAlerts,
+    snoozeAlerts,
+    subscribeAlertLog,
+} from "./alert-manager.js";
+import { evaluateRules, resetRuleState } from "./alert-rules.js";
+import { normalizeReading, normalizeReadings, isFaulty, describeFaults } from "./reading-schema.js";
+import { isStale, startHeartbeatWatchdog, stopHeartbeatWatchdog } from "./heartbeat.js";
+import {
+    EVENT_TYPES,
+    FEED_METHODS,
+    DIAPER_KINDS,
+    buildEvent,
+    logEvent,
+    subscribeDeviceEvents,
+    fetchDeviceEvents,
+    describeEvent,
+} from "./caregiver-events.js";
+import {
+    READING_COLUMNS,
+    EVENT_COLUMNS,
+    parseDateRange,
+    fetchReadings,
+    filterEventsInRange,
+    toCsv,
+    pickColumns,
+    downloadFile,
+} from "./data-export.js";
+import { buildWeeklyReport, renderReport } from "./report.js";
+import { CHART_RANGES, CHART_METRICS, MAX_CHART_POINTS, resolveChartRange, buildChartSeries, toChartPoint } from "./chart-data.js";
+import { startConnectionMonitor } from "./connection.js";
+import { createInvite, listPendingInvites, listHouseholdInvites, acceptInvite, revokeInvite } from "./invitations.js";
+import { saveHouseholds, loadHouseholds, saveDeviceSnapshot, loadDeviceSnapshot, clearOfflineCache } from "./offline-cache.js";
+import { startDeviceOverview, stopDeviceOverview, highlightDevice, refreshDeviceOverview } from "./device-overview.js";
+import {
+    RECORDING_KINDS,
+    listRecordings,
+    deleteRecording,
+    clearRecordings,
+    takeSnapshot,
+    captureClip,
+    startClipBuffer,
+    stopClipBuffer,
+    isClipRecordingSupported,
+    isAutoClipEnabled,
+    setAutoClipEnabled,
+} from "./recordings.js";
+import {
+    ACTIVITY_LIMITS,
+    getActivityPrefs,
+    saveActivityPrefs,
+    getActivityHistory,
+    clearActivityHistory,
+    startActivityAnalyzer,
+    stopActivityAnalyzer,
+    isActivityAnalysisSupported,
+} from "./activity-analyzer.js";
+import {
+    LANGUAGES,
+    TEMPERATURE_UNITS,
+    t,
+    getPreferences,
+    setPreferences,
+    onPreferencesChange,
+    formatDateTime,
+    temperatureUnit,
+    toDisplayTemperature,
+    fromDisplayTemperature,
+    formatTemperature,
+    applyTranslations,
+    setTranslatedText,
+} from "./i18n.js";
+import {
+    ROLES,
+    hasPermission,
+    listMembers,
+    setMemberRole,
+    removeMember,
+    householdPath,
+    devicePath,
+    listHouseholds,
+    createHousehold,
+    selectHousehold,
+    selectDevice,
+    addDevice,
+    getCurrentScope,
+    getSavedHouseholdId,
+    clearHouseholdSelection,
+} from "./household.js";
 import Chart from "chart.js/auto";
 import annotationPlugin from "chartjs-plugin-annotation";
 
 Chart.register(annotationPlugin);
 
+// Tham chiếu dữ liệu theo hộ gia đình/thiết bị đang chọn, được gán lại bởi setDataScope
 const REFS = {
-    sleepData: ref(database, "sleepData"),
-    userEvents: ref(database, "userEvents"),
+    sleepData: null,
+    userEvents: null,
 };
 
-const THRESHOLDS = {
-    BABY_TEMP_DANGER: 37.5,
-    BABY_TEMP_WARNING: 37.0,
-    ROOM_TEMP_MIN: 19,
-    ROOM_TEMP_MAX: 35,
-    HUMIDITY_MIN: 35,
-    HUMIDITY_MAX: 70,
+const setDataScope = (scope) => {
+    if (!scope?.householdId || !scope?.deviceId) {
+        REFS.sleepData = null;
+        REFS.userEvents = null;
+        return;
+    }
+
+    REFS.sleepData = ref(database, `${devicePath(scope.householdId, scope.deviceId)}/sleepData`);
+    REFS.userEvents = ref(database, `${householdPath(scope.householdId)}/userEvents`);
 };
 
+// Ngưỡng đang áp dụng, được cập nhật trực tiếp khi hộ gia đình lưu cài đặt mới (xem applyThresholds)
+const THRESHOLDS = { ...DEFAULT_THRESHOLDS };
+
+let latestEntry = null;
+// Cửa sổ bản ghi gần nhất của thiết bị đang xem, dùng để đánh giá các luật cảnh báo
+let latestRecords = {};
+// Thiết bị đang xem đã ngừng gửi dữ liệu (xem heartbeat.js)
+let deviceOffline = false;
+// Bản ghi bị cách ly vì sai lược đồ (xem reading-schema.js): số lượng, lý do gần nhất và bản ghi
+// đến sau cùng có bị cách ly không (khi đó thiết bị đang gửi dữ liệu hỏng)
+let quarantine = { count: 0, lastReason: null, latest: false };
+// Phân tích âm thanh trên trình duyệt đang phát hiện tiếng ồn lớn kéo dài (xem activity-analyzer.js)
+let loudNoiseActive = false;
+// Kết nối của chính ứng dụng tới Realtime Database: "connecting" | "online" | "offline" (xem connection.js)
+let connectionState = "connecting";
+// Đang hiển thị trạng thái lưu trong IndexedDB vì chưa nhận được dữ liệu trực tiếp
+let showingCachedState = false;
+let cachedRecords = [];
+let snapshotSaveTimer = null;
+const SNAPSHOT_SAVE_DELAY_MS = 5000;
+let runHeartbeatCheck = null;
+// Sự kiện chăm sóc của thiết bị đang xem
+let latestEvents = [];
+// Bản ghi thô của khoảng đang vẽ trên biểu đồ, tải theo timestamp (xem loadChartRange)
+let chartRecords = [];
+let chartRange = null;
+let chartRequestId = 0;
+// Biểu đồ đang vẽ dữ liệu gộp nhóm (min/avg/max) hay từng bản ghi
+let chartAggregated = false;
+let stopEventsListener = null;
+let selectedEventType = "feed";
 let alertTimeout = null;
+// Các loại cảnh báo đang hiển thị trên banner, dùng cho nút xác nhận/tạm hoãn
+let bannerAlertKinds = [];
+let stopAlertLog = null;
+// Nhật ký cảnh báo đang hiển thị, để vẽ lại khi đổi tùy chọn hiển thị
+let alertLogRecords = [];
+// Ảnh/clip đã lưu của thiết bị đang xem: key bản ghi cảm biến -> ảnh/clip, id cảnh báo -> clip (xem loadRecordingIndex)
+let recordingsByReading = new Map();
+let recordingsByAlert = new Map();
+// Object URL của thư viện ảnh/clip đang mở, thu hồi khi đóng để giải phóng bộ nhớ
+let galleryUrls = [];
 let charts = {
     babyTemp: null,
     environment: null,
 };
-let currentDataRange = 1;
+let currentDataRange = "1";
 
 const $ = (id) => document.getElementById(id);
 
+// Ngôn ngữ và múi giờ theo tùy chọn hiển thị của người dùng (xem i18n.js)
 const formatTimestamp = (isoString, full = true) => {
     if (!isoString) return "N/A";
 
     const date = new Date(isoString);
-    const now = new Date();
 
     const timeOptions = {
-        timeZone: "Asia/Ho_Chi_Minh",
         hour: "2-digit",
         minute: "2-digit",
         second: "2-digit",
     };
 
     const dateOptions = {
-        timeZone: "Asia/Ho_Chi_Minh",
         year: "numeric",
         month: "2-digit",
         day: "2-digit",
     };
 
-    const isSameDay = date.toDateString() === now.toDateString();
+    const isSameDay = getDayKey(date.getTime()) === getDayKey(Date.now());
 
     if (isSameDay && !full) {
-        return new Intl.DateTimeFormat("vi-VN", timeOptions).format(date);
+        return formatDateTime(date, timeOptions);
     }
 
     if (full) {
-        return new Intl.DateTimeFormat("vi-VN", { ...dateOptions, ...timeOptions }).format(date);
+        return formatDateTime(date, { ...dateOptions, ...timeOptions });
     }
 
-    return new Intl.DateTimeFormat("vi-VN", timeOptions).format(date) + " - " + new Intl.DateTimeFormat("vi-VN", dateOptions).format(date);
+    return formatDateTime(date, timeOptions) + " - " + formatDateTime(date, dateOptions);
 };
 
 const getFirebaseErrorMessage = (code) => {
@@ -72,12 +247,38 @@ const getFirebaseErrorMessage = (code) => {
         "auth/weak-password": "Mật khẩu quá yếu (cần ít nhất 6 ký tự).",
         "auth/user-not-found": "Tài khoản không tồn tại.",
         "auth/wrong-password": "Mật khẩu không đúng.",
+        "auth/invalid-credential": "Email hoặc mật khẩu không đúng.",
+        "auth/invalid-login-credentials": "Email hoặc mật khẩu không đúng.",
+        "auth/missing-password": "Vui lòng nhập mật khẩu.",
+        "auth/missing-email": "Vui lòng nhập email.",
+        "auth/too-many-requests": "Thử quá nhiều lần. Vui lòng đợi vài phút rồi thử lại.",
+        "auth/user-disabled": "Tài khoản này đã bị vô hiệu hóa.",
+        "auth/network-request-failed": "Không có kết nối mạng. Vui lòng thử lại.",
+        "auth/requires-recent-login": "Vui lòng đăng nhập lại rồi thực hiện lại thao tác này.",
+        "auth/operation-not-allowed": "Phương thức đăng nhập này chưa được bật.",
+        "auth/account-exists-with-different-credential": "Email này đã đăng ký bằng phương thức khác. Hãy đăng nhập bằng email và mật khẩu.",
+        "auth/popup-blocked": "Trình duyệt đã chặn cửa sổ đăng nhập. Vui lòng cho phép cửa sổ bật lên.",
+        "auth/popup-closed-by-user": "Cửa sổ đăng nhập đã bị đóng trước khi hoàn tất.",
+        "auth/cancelled-popup-request": "Cửa sổ đăng nhập đã bị đóng trước khi hoàn tất.",
+        "auth/user-mismatch": "Tài khoản xác thực lại không khớp với tài khoản đang đăng nhập.",
         default: "Đã xảy ra lỗi không xác định.",
     };
-    return errors[code] || errors.default;
+    return t(errors[code] || errors.default);
+};
+
+// Lỗi từ Firebase Auth có mã `auth/...`, lỗi kiểm tra dữ liệu của ứng dụng chỉ có thông báo đã dịch
+const describeAuthError = (error) => (error.code?.startsWith("auth/") ? getFirebaseErrorMessage(error.code) : error.message);
+
+const roleLabel = (role) => (ROLES[role] ? t(ROLES[role].label) : role || "");
+
+const setMessage = (id, text, color = "") => {
+    const msgEl = $(id);
+    if (!msgEl) return;
+    msgEl.textContent = text;
+    msgEl.style.color = color;
 };
 
-const showAlertBanner = (message, type = "danger") => {
+const showAlertBanner = (message, type = "danger", onClose = null) => {
     const banner = $("alert-banner");
     const msgEl = $("alert-message");
     const closeBtn = $("close-alert-btn");
@@ -101,8 +302,12 @@ const showAlertBanner = (message, type = "danger") => {
 
     newCloseBtn.addEventListener("click", () => {
         banner.style.display = "none";
+        if (onClose) onClose();
     });
 
+    const actions = $("alert-actions");
+    if (actions) actions.style.display = onClose ? "flex" : "none";
+
     if (type !== "danger") {
         alertTimeout = setTimeout(() => {
             banner.style.display = "none";
@@ -123,14 +328,23 @@ const setText = (id, value) => {
     if (el) el.textContent = value;
 };
 
+// Trường bị lỗi cảm biến (xem reading-schema.js) có màu riêng để không lẫn với cảnh báo y tế
+const setSensorBadge = (id, entry, field, value, alertClass) => {
+    if (isFaulty(entry, field)) {
+        setBadge(id, t("🛠️ Lỗi cảm biến"), "alert-fault");
+    } else {
+        setBadge(id, value, alertClass);
+    }
+};
+
 const checkBabyTemperature = (temp) => {
-    if (!temp) return { class: "alert-info", alert: null };
+    if (temp == null) return { class: "alert-info", alert: null };
 
     if (temp > THRESHOLDS.BABY_TEMP_DANGER) {
         return {
             class: "alert-danger",
             alert: {
-                message: `🔥 CẢNH BÁO: Nhiệt độ em bé ĐANG CAO! (${temp}°C)`,
+                message: t("🔥 CẢNH BÁO: Nhiệt độ em bé ĐANG CAO! ({value})", { value: formatTemperature(temp) }),
                 type: "danger",
             },
         };
@@ -140,7 +354,7 @@ const checkBabyTemperature = (temp) => {
         return {
             class: "alert-warning",
             alert: {
-                message: `⚠️ Nhiệt độ em bé cần chú ý: (${temp}°C)`,
+                message: t("⚠️ Nhiệt độ em bé cần chú ý: ({value})", { value: formatTemperature(temp) }),
                 type: "warning",
             },
         };
@@ -155,14 +369,14 @@ const checkRoomTemperature = (temp) => {
     if (temp < THRESHOLDS.ROOM_TEMP_MIN) {
         return {
             class: "alert-warning",
-            alert: { message: `❄️ Nhiệt độ phòng quá thấp! (${temp}°C)`, type: "warning" },
+            alert: { message: t("❄️ Nhiệt độ phòng quá thấp! ({value})", { value: formatTemperature(temp) }), type: "warning" },
         };
     }
 
     if (temp > THRESHOLDS.ROOM_TEMP_MAX) {
         return {
             class: "alert-warning",
-            alert: { message: `🔥 Nhiệt độ phòng quá cao! (${temp}°C)`, type: "warning" },
+            alert: { message: t("🔥 Nhiệt độ phòng quá cao! ({value})", { value: formatTemperature(temp) }), type: "warning" },
         };
     }
 
@@ -175,61 +389,179 @@ const checkHumidity = (humidity) => {
     if (humidity < THRESHOLDS.HUMIDITY_MIN) {
         return {
             class: "alert-warning",
-            alert: { message: `💧 Độ ẩm phòng quá thấp! (${humidity}%)`, type: "warning" },
+            alert: { message: t("💧 Độ ẩm phòng quá thấp! ({value}%)", { value: humidity }), type: "warning" },
         };
     }
 
     if (humidity > THRESHOLDS.HUMIDITY_MAX) {
         return {
             class: "alert-warning",
-            alert: { message: `💦 Độ ẩm phòng quá cao! (${humidity}%)`, type: "warning" },
+            alert: { message: t("💦 Độ ẩm phòng quá cao! ({value}%)", { value: humidity }), type: "warning" },
         };
     }
 
     return { class: "alert-success", alert: null };
 };
 
-const updateUI = (entry) => {
-    if (!entry) return;
+// Nhãn gốc tiếng Việt, dịch bằng t() khi hiển thị
+const statusMap = { sleeping: "Ngủ", awake: "Thức" };
+const positionMap = { supine: "Ngửa", prone: "Sấp", side: "Nghiêng", back: "N/A" };
 
+// Cảnh báo tức thời của một bản ghi (dùng cho lưới tổng quan), đã sắp xếp theo mức ưu tiên (1 là cao nhất).
+// Cảnh báo chính thức trên dashboard được tính bởi evaluateRules trên cả cửa sổ bản ghi.
+const collectAlerts = (entry) => {
     const alerts = [];
 
+    if (entry.isCrying) {
+        alerts.push({ kind: "crying", message: t("🚨 Em bé ĐANG KHÓC! Vui lòng kiểm tra."), type: "danger", priority: 1 });
+    }
+
+    const babyTempCheck = checkBabyTemperature(entry.babyTemperature);
+    if (babyTempCheck.alert) {
+        alerts.push({ ...babyTempCheck.alert, kind: "babyTemperature", priority: babyTempCheck.alert.type === "danger" ? 2 : 3 });
+    }
+
+    const roomTempCheck = checkRoomTemperature(entry.environmentTemperature);
+    if (roomTempCheck.alert) {
+        alerts.push({ ...roomTempCheck.alert, kind: "roomTemperature", priority: 4 });
+    }
+
+    const humidityCheck = checkHumidity(entry.environmentHumidity);
+    if (humidityCheck.alert) {
+        alerts.push({ ...humidityCheck.alert, kind: "humidity", priority: 5 });
+    }
+
+    return alerts.sort((a, b) => a.priority - b.priority);
+};
+
+// Tóm tắt một bản ghi cho thẻ thiết bị trong lưới tổng quan
+const assessEntry = (entry) => {
+    if (isStale(entry.timestamp)) {
+        return { level: "danger", summary: t("📡 Mất kết nối") };
+    }
+
+    const alerts = collectAlerts(entry);
+    const level = alerts.length > 0 ? alerts[0].type : entry.faults.length > 0 ? "warning" : "success";
+    const status = t(entry.isCrying ? "😭 Khóc" : statusMap[entry.status] || "N/A");
+    const temperature = isFaulty(entry, "babyTemperature") ? t("🛠️ Lỗi cảm biến") : formatTemperature(entry.babyTemperature);
+
+    return { level, summary: `${status} · ${temperature}` };
+};
+
+// Cảnh báo hiện tại của thiết bị đang xem: các luật trên cửa sổ bản ghi cộng với cảnh báo mất kết nối
+const computeAlerts = () => {
+    const alerts = evaluateRules(latestRecords, THRESHOLDS);
+
+    // Khi chính ứng dụng mất mạng thì không thể biết thiết bị có còn gửi dữ liệu hay không
+    if (deviceOffline && latestEntry && connectionState !== "offline") {
+        alerts.unshift({
+            kind: "deviceOffline",
+            type: "danger",
+            priority: 0,
+            since: latestEntry.timestamp,
+            message: t("📡 Thiết bị mất kết nối từ {time}! Không còn nhận dữ liệu mới.", { time: formatTimestamp(latestEntry.timestamp, false) }),
+        });
+    }
+
+    // Đối chiếu với trạng thái khóc của Pi: ồn kéo dài mà Pi không báo khóc thì bộ phân loại có thể đã bỏ sót
+    if (loudNoiseActive) {
+        const seconds = getActivityPrefs().loudForSeconds;
+        alerts.push({
+            kind: "loudNoise",
+            type: "warning",
+            priority: 3,
+            message: latestEntry?.isCrying
+                ? t("🔊 Tiếng ồn lớn kéo dài hơn {seconds} giây trong phòng bé.", { seconds })
+                : t("🔊 Tiếng ồn lớn kéo dài hơn {seconds} giây nhưng thiết bị không báo khóc.", { seconds }),
+        });
+    }
+
+    // Lỗi cảm biến là cảnh báo kỹ thuật riêng, ưu tiên thấp nhất; giá trị lỗi không đi vào các luật y tế
+    const faults = latestEntry?.faults || [];
+    if (faults.length > 0 || quarantine.latest) {
+        alerts.push({
+            kind: "sensorFault",
+            type: "warning",
+            priority: 6,
+            message:
+                faults.length > 0
+                    ? t("🛠️ Cảm biến gửi giá trị bất thường: {details}", { details: describeFaults(faults) })
+                    : t("🛠️ Thiết bị đang gửi bản ghi không hợp lệ ({reason}).", { reason: t(quarantine.lastReason) }),
+        });
+    }
+
+    return alerts;
+};
+
+// Báo lỗi cảm biến và bản ghi bị cách ly ngay trên khung thông tin, tách khỏi banner cảnh báo
+const renderSensorFaults = () => {
+    const indicator = $("sensor-fault-indicator");
+    if (!indicator) return;
+
+    const lines = [];
+    const faults = latestEntry?.faults || [];
+    if (faults.length > 0) lines.push(t("🛠️ Lỗi cảm biến: {details}", { details: describeFaults(faults) }));
+    if (quarantine.count > 0) {
+        lines.push(
+            t("Đã bỏ qua {count} bản ghi không hợp lệ (gần nhất: {reason}).", { count: quarantine.count, reason: t(quarantine.lastReason) })
+        );
+    }
+
+    indicator.style.display = lines.length > 0 ? "block" : "none";
+    indicator.textContent = lines.join(" ");
+};
+
+const trackQuarantined = (key, reason) => {
+    quarantine = { count: quarantine.count + 1, lastReason: reason, latest: true };
+    console.warn(`Bỏ qua bản ghi cảm biến không hợp lệ (${key}):`, reason);
+};
+
+const setStaleState = (offline, timestamp) => {
+    const indicator = $("offline-indicator");
+    document.querySelector(".info-grid")?.classList.toggle("stale", offline || $("cached-indicator")?.style.display === "block");
+
+    if (indicator) {
+        indicator.style.display = offline ? "block" : "none";
+        indicator.textContent = offline
+            ? t("📡 Thiết bị mất kết nối từ {time}. Dữ liệu bên dưới có thể đã cũ.", { time: formatTimestamp(timestamp, true) })
+            : "";
+    }
+};
+
+const handleHeartbeatChange = (offline, timestamp) => {
+    deviceOffline = offline;
+    setStaleState(offline, timestamp);
+    if (latestEntry) syncAlerts(computeAlerts());
+};
+
+// `evaluateAlerts = false` khi chỉ hiển thị lại dữ liệu đã lưu, không được dùng để phát cảnh báo
+const updateUI = (entry, evaluateAlerts = true) => {
+    if (!entry) return;
+
     // 1. Cập nhật Trạng thái Ngủ
-    const statusMap = { sleeping: "Ngủ", awake: "Thức" };
     const statusText = statusMap[entry.status] || "N/A";
     const statusClass = { sleeping: "alert-success", awake: "alert-warning" }["N/A" === statusText ? statusText : entry.status] || "alert-info";
-    setBadge("sleep-status", statusText, statusClass);
+    setBadge("sleep-status", t(statusText), statusClass);
 
     // 2. Cập nhật và Kiểm tra Khóc
     const isCrying = entry.isCrying;
-    setBadge("is-crying", isCrying ? "Có" : "Không", isCrying ? "alert-danger" : "alert-success");
-    if (isCrying) {
-        alerts.push({ message: "🚨 Em bé ĐANG KHÓC! Vui lòng kiểm tra.", type: "danger", priority: 1 });
-    }
+    const cryingText = isCrying === null ? "N/A" : t(isCrying ? "Có" : "Không");
+    const cryingClass = isCrying === null ? "alert-info" : isCrying ? "alert-danger" : "alert-success";
+    setSensorBadge("is-crying", entry, "isCrying", cryingText, cryingClass);
 
     // 3. Cập nhật và Kiểm tra Nhiệt độ Bé
     const babyTempCheck = checkBabyTemperature(entry.babyTemperature);
-    setBadge("baby-temperature", `${entry.babyTemperature || "N/A"}°C`, babyTempCheck.class);
-    if (babyTempCheck.alert) {
-        alerts.push({ ...babyTempCheck.alert, priority: babyTempCheck.alert.type === "danger" ? 2 : 3 });
-    }
+    setSensorBadge("baby-temperature", entry, "babyTemperature", formatTemperature(entry.babyTemperature), babyTempCheck.class);
 
     // 4. Cập nhật và Kiểm tra Nhiệt độ Phòng
     const roomTempCheck = checkRoomTemperature(entry.environmentTemperature);
-    setBadge("room-temperature", `${entry.environmentTemperature || "N/A"}°C`, roomTempCheck.class);
-    if (roomTempCheck.alert) {
-        alerts.push({ ...roomTempCheck.alert, priority: 4 });
-    }
+    setSensorBadge("room-temperature", entry, "environmentTemperature", formatTemperature(entry.environmentTemperature), roomTempCheck.class);
 
     // 5. Cập nhật và Kiểm tra Độ ẩm Phòng
     const humidityCheck = checkHumidity(entry.environmentHumidity);
-    setBadge("room-humidity", `${entry.environmentHumidity || "N/A"}%`, humidityCheck.class);
-    if (humidityCheck.alert) {
-        alerts.push({ ...humidityCheck.alert, priority: 5 });
-    }
+    setSensorBadge("room-humidity", entry, "environmentHumidity", `${entry.environmentHumidity ?? "N/A"}%`, humidityCheck.class);
 
     // 6. Cập nhật Tư thế Ngủ
-    const positionMap = { supine: "Ngửa", prone: "Sấp", side: "Nghiêng", back: "N/A" };
     const positionText = positionMap[entry.sleepPosition] || "N/A";
     const positionClass =
         {
@@ -237,63 +569,466 @@ const updateUI = (entry) => {
             prone: "alert-danger",
             side: "alert-warning",
         }[entry.sleepPosition] || "alert-info";
-    setBadge("sleep-position", positionText, positionClass);
+    setSensorBadge("sleep-position", entry, "sleepPosition", t(positionText), positionClass);
 
     // 7. Cập nhật Timestamp
     setText("timestamp", entry.timestamp ? formatTimestamp(entry.timestamp, true) : "N/A");
 
-    if (alerts.length > 0) {
-        alerts.sort((a, b) => a.priority - b.priority);
+    renderSensorFaults();
+    if (evaluateAlerts) syncAlerts(computeAlerts());
+};
+
+const renderConnectionStatus = () => {
+    const statusEl = $("connection-status");
+    if (!statusEl) return;
+    statusEl.className = `connection-status ${connectionState}`;
+    statusEl.textContent = t({ online: "Đã kết nối", offline: "Mất kết nối", connecting: "Đang kết nối..." }[connectionState]);
+};
 
-        const highestPriority = alerts[0].priority;
-        const highestType = alerts[0].type;
+const handleConnectionChange = (state) => {
+    const wasOffline = connectionState === "offline";
+    connectionState = state;
+    renderConnectionStatus();
 
-        const criticalAlerts = alerts.filter((a) => a.priority === highestPriority);
+    if (state === "offline" && !showingCachedState) {
+        setCachedIndicator(t("📴 Mất kết nối tới máy chủ. Dữ liệu bên dưới sẽ không cập nhật cho tới khi có mạng trở lại."));
+    } else if (state === "online" && !showingCachedState) {
+        setCachedIndicator(null);
+    }
 
-        const combinedMessage = criticalAlerts.map((a) => a.message).join(" | ");
+    // Đánh giá lại cảnh báo "thiết bị mất kết nối" đã bị bỏ qua trong lúc ngoại tuyến
+    if (wasOffline && state === "online" && latestEntry && !showingCachedState) syncAlerts(computeAlerts());
 
-        showAlertBanner(combinedMessage, highestType);
-    } else {
-        $("alert-banner").style.display = "none";
+    // Camera đã bỏ cuộc trong lúc mất mạng thì thử lại ngay khi có mạng
+    const { deviceId } = getCurrentScope();
+    if (wasOffline && state === "online" && deviceId && getWebRTCState(deviceId) === "failed") retryWebRTCStream(deviceId);
+};
+
+const setCachedIndicator = (message) => {
+    const indicator = $("cached-indicator");
+    if (indicator) {
+        indicator.style.display = message ? "block" : "none";
+        indicator.textContent = message || "";
+    }
+    document.querySelector(".info-grid")?.classList.toggle("stale", Boolean(message) || deviceOffline);
+};
+
+/**
+ * Hiển thị trạng thái đã lưu trong IndexedDB (bản ghi, lịch sử, tóm tắt) khi dữ liệu trực tiếp chưa đến,
+ * đánh dấu rõ là dữ liệu cũ. Không đánh giá cảnh báo và không ghi đè `latestRecords`.
+ */
+const showCachedSnapshot = (snapshot) => {
+    // Bộ nhớ đệm có thể được lưu bởi phiên bản cũ, trước khi bản ghi được kiểm tra
+    const { records } = normalizeReadings(snapshot.records);
+    const entries = Object.values(records);
+    if (entries.length === 0) return;
+
+    showingCachedState = true;
+    cachedRecords = entries;
+
+    updateUI(entries[entries.length - 1], false);
+    displayHistory(records, snapshot.events || []);
+    displaySleepSummary(records);
+    setCachedIndicator(
+        t("💾 Đang hiển thị dữ liệu đã lưu lúc {time}. Sẽ cập nhật khi có kết nối.", {
+            time: formatTimestamp(new Date(snapshot.savedAt).toISOString(), true),
+        })
+    );
+};
+
+// Ghi trạng thái hiện tại vào IndexedDB, gộp nhiều bản ghi đến liên tiếp thành một lần ghi
+const scheduleSnapshotSave = () => {
+    const scope = getCurrentScope();
+    if (!scope.householdId || !scope.deviceId || showingCachedState) return;
+
+    clearTimeout(snapshotSaveTimer);
+    snapshotSaveTimer = setTimeout(() => {
+        saveDeviceSnapshot(scope.householdId, scope.deviceId, { records: latestRecords, events: latestEvents });
+    }, SNAPSHOT_SAVE_DELAY_MS);
+};
+
+// Vẽ banner từ các cảnh báo chưa được xác nhận/tạm hoãn (gọi bởi alert-manager)
+const renderAlerts = (alerts, changed) => {
+    notifyAlerts(alerts, { deviceName: getCurrentScope().deviceName });
+
+    const banner = $("alert-banner");
+    if (alerts.length === 0) {
+        bannerAlertKinds = [];
+        if (banner) banner.style.display = "none";
+        return;
+    }
+
+    const highestPriority = alerts[0].priority;
+    const highestType = alerts[0].type;
+
+    const criticalAlerts = alerts.filter((a) => a.priority === highestPriority);
+    const escalated = criticalAlerts.some((a) => a.escalatedAt);
+
+    const combinedMessage = (escalated ? t("⏫ CHƯA AI XỬ LÝ: ") : "") + criticalAlerts.map((a) => a.message).join(" | ");
+    bannerAlertKinds = criticalAlerts.map((a) => a.kind);
+
+    if (changed) {
+        showAlertBanner(combinedMessage, highestType, hasPermission("handleAlerts") ? () => acknowledgeAlerts(bannerAlertKinds) : null);
+    } else if (banner && banner.style.display !== "none") {
+        setText("alert-message", combinedMessage);
+    }
+};
+
+const displayAlertLog = (records) => {
+    const logDiv = $("alert-log");
+    if (!logDiv) return;
+
+    logDiv.innerHTML = "";
+
+    if (records.length === 0) {
+        const p = document.createElement("p");
+        p.className = "loading-text";
+        p.textContent = t("Chưa có cảnh báo nào.");
+        logDiv.appendChild(p);
+        return;
+    }
+
+    records.forEach((record) => {
+        const p = document.createElement("p");
+        p.className = `alert-log-${record.type}`;
+
+        const time = document.createTextNode(`[${formatTimestamp(record.raisedAt, false)}] ${record.deviceName ? record.deviceName + ": " : ""}`);
+        const message = document.createElement("strong");
+        message.textContent = record.message;
+
+        const details = [ALERT_STATES[record.state] ? t(ALERT_STATES[record.state]) : record.state];
+        if (record.acknowledgedBy) details.push(t("xác nhận bởi {email}", { email: record.acknowledgedBy }));
+        if (record.escalatedAt) details.push(t("đã leo thang"));
+        if (record.resolvedAt) details.push(t("kết thúc lúc {time}", { time: formatTimestamp(record.resolvedAt, false) }));
+
+        const state = document.createElement("span");
+        state.className = "alert-log-state";
+        state.textContent = ` — ${details.join(" · ")}`;
+
+        p.append(time, message, state);
+        appendRecordingLinks(p, recordingsByAlert.get(record.id));
+        logDiv.appendChild(p);
+    });
+};
+
+const stopAlertTracking = () => {
+    stopAlertManager();
+    if (stopAlertLog) {
+        stopAlertLog();
+        stopAlertLog = null;
+    }
+};
+
+const startAlertTracking = (scope) => {
+    startAlertManager({
+        eventsPath: `${householdPath(scope.householdId)}/userEvents`,
+        activeAlertsPath: `${devicePath(scope.householdId, scope.deviceId)}/activeAlerts`,
+        deviceId: scope.deviceId,
+        deviceName: scope.deviceName,
+        readOnly: !hasPermission("handleAlerts"),
+        onChange: renderAlerts,
+        onEscalate: (alert) => notifyEscalation(alert, { deviceName: scope.deviceName }),
+        onRaise: handleAlertRaised,
+    });
+};
+
+// Lịch sử gồm bản ghi cảm biến xen kẽ với sự kiện chăm sóc, mới nhất ở trên
+// Dòng lịch sử của một bản ghi, gắn key Firebase để gỡ đúng dòng khi bản ghi rời cửa sổ lắng nghe
+const createReadingRow = (key, entry) => {
+    const p = document.createElement("p");
+    p.className = "history-reading";
+    p.dataset.key = key;
+
+    let statusDisplay = entry.status === "sleeping" ? "😴 Ngủ" : "👀 Thức";
+    if (entry.isCrying) {
+        statusDisplay = "😭 KHÓC!";
+    }
+
+    const temperatures = t("Nhiệt độ bé: {baby}, Phòng: {room}", {
+        baby: formatTemperature(entry.babyTemperature),
+        room: formatTemperature(entry.environmentTemperature),
+    });
+
+    const status = document.createElement("strong");
+    status.textContent = t(statusDisplay);
+    p.append(`[${formatTimestamp(entry.timestamp, false)}] `, status, ` - ${temperatures}`);
+
+    if (entry.faults.length > 0) {
+        const fault = document.createElement("span");
+        fault.className = "history-fault";
+        fault.textContent = ` ${t("🛠️ Lỗi cảm biến")}`;
+        fault.title = describeFaults(entry.faults);
+        p.appendChild(fault);
     }
+    appendRecordingLinks(p, recordingsByReading.get(key));
+    return p;
+};
+
+const createEventRow = (event) => {
+    const p = document.createElement("p");
+    p.className = "history-event";
+    const author = event.authorEmail ? ` — ${event.authorEmail}` : "";
+    p.textContent = `[${formatTimestamp(event.timestamp, false)}] ${describeEvent(event)}${author}`;
+    return p;
 };
 
-const displayHistory = (data) => {
+// Dựng lại toàn bộ lịch sử; chỉ dùng khi tải lần đầu hoặc danh sách sự kiện chăm sóc thay đổi
+const displayHistory = (data, events = latestEvents) => {
     const historyDiv = $("activity-history");
     if (!historyDiv) return;
 
-    const records = Object.values(data).reverse();
+    const rows = [
+        ...Object.entries(data).map(([key, entry]) => ({ kind: "reading", key, entry, timeMs: new Date(entry.timestamp).getTime() })),
+        ...events.map((event) => ({ kind: "event", event, timeMs: new Date(event.timestamp).getTime() })),
+    ].sort((a, b) => b.timeMs - a.timeMs);
     historyDiv.innerHTML = "";
 
-    records.forEach((entry) => {
+    if (rows.length === 0) {
         const p = document.createElement("p");
-        let statusDisplay = entry.status === "sleeping" ? "😴 Ngủ" : "👀 Thức";
-        if (entry.isCrying) {
-            statusDisplay = "😭 KHÓC!";
-        }
-
-        p.innerHTML = `[${formatTimestamp(entry.timestamp, false)}] <strong>${statusDisplay}</strong> - Nhiệt độ bé: ${
-            entry.babyTemperature
-        }°C, Phòng: ${entry.environmentTemperature}°C`;
+        p.textContent = t("Chưa có dữ liệu nào được ghi.");
         historyDiv.appendChild(p);
+        return;
+    }
+
+    rows.forEach((row) => {
+        historyDiv.appendChild(row.kind === "event" ? createEventRow(row.event) : createReadingRow(row.key, row.entry));
     });
 };
 
-function renderBabyTempChart(ctx, labels, temps) {
+const prependHistoryReading = (key, entry) => {
+    const historyDiv = $("activity-history");
+    if (!historyDiv) return;
+
+    // Bỏ dòng "Chưa có dữ liệu" nếu đây là bản ghi đầu tiên
+    if (!historyDiv.querySelector(".history-reading, .history-event")) historyDiv.innerHTML = "";
+    historyDiv.prepend(createReadingRow(key, entry));
+};
+
+const removeHistoryReading = (key) => {
+    $("activity-history")?.querySelector(`.history-reading[data-key="${CSS.escape(key)}"]`)?.remove();
+};
+
+const displaySleepSummary = (data) => {
+    const sessions = detectSleepSessions(data);
+    const today = summarizeByDay(sessions).find((day) => day.day === getDayKey(Date.now()));
+
+    setText("summary-total", today ? formatDuration(today.totalSleepMs) : "--");
+    setText("summary-longest", today ? formatDuration(today.longestStretchMs) : "--");
+    setText("summary-naps", today ? `${t("{count} giấc", { count: today.napCount })} · ${formatDuration(today.napSleepMs)}` : "--");
+    setText("summary-night", today ? formatDuration(today.nightSleepMs) : "--");
+
+    const listEl = $("sleep-sessions");
+    if (!listEl) return;
+    listEl.innerHTML = "";
+
+    if (sessions.length === 0) {
+        const p = document.createElement("p");
+        p.className = "loading-text";
+        p.textContent = t("Chưa có giấc ngủ nào.");
+        listEl.appendChild(p);
+        return;
+    }
+
+    sessions
+        .slice()
+        .reverse()
+        .forEach((session) => {
+            const row = document.createElement("div");
+            row.className = `session-row ${session.type}`;
+
+            const range = document.createElement("strong");
+            const endText = session.ongoing ? t("đang ngủ") : formatTimestamp(session.end, false);
+            range.textContent = `${session.type === "night" ? "🌙" : "☀️"} ${formatTimestamp(session.start, false)} → ${endText}`;
+
+            const meta = document.createElement("span");
+            meta.className = "session-meta";
+            meta.textContent = [
+                formatDuration(session.sleepMs),
+                t("{count} lần thức", { count: session.wakeUps }),
+                t("{count} lần khóc", { count: session.cryingEpisodes }),
+            ].join(" · ");
+
+            row.append(range, meta);
+            listEl.appendChild(row);
+        });
+};
+
+const thresholdLine = (value, color, content, scaleID = "y") => ({
+    type: "line",
+    scaleID,
+    value,
+    borderColor: color,
+    borderWidth: 2,
+    borderDash: [6, 6],
+    label: {
+        content,
+        display: true,
+        position: "end",
+        backgroundColor: color,
+        color: "#fff",
+        font: { size: 11 },
+    },
+});
+
+// Đường ngưỡng nhiệt độ vẽ theo đơn vị đang chọn (ngưỡng luôn lưu theo °C)
+const temperatureLine = (celsius, color, label, scaleID = "y") =>
+    thresholdLine(toDisplayTemperature(celsius), color, t(label, { value: formatTemperature(celsius) }), scaleID);
+
+const buildBabyTempAnnotations = () => ({
+    threshold: temperatureLine(THRESHOLDS.BABY_TEMP_DANGER, "rgba(220,53,69,0.8)", "Ngưỡng cảnh báo ({value})"),
+    warning: temperatureLine(THRESHOLDS.BABY_TEMP_WARNING, "rgba(255,159,0,0.8)", "Cần chú ý ({value})"),
+});
+
+// Mốc dọc trên biểu đồ tại thời điểm của mỗi sự kiện chăm sóc nằm trong khoảng đang vẽ
+const buildEventAnnotations = ({ startMs, endMs }, events = latestEvents) => {
+    const annotations = {};
+
+    events.forEach((event) => {
+        const eventMs = new Date(event.timestamp).getTime();
+        if (Number.isNaN(eventMs) || eventMs < startMs || eventMs > endMs) return;
+
+        annotations[`event_${event.id}`] = {
+            type: "line",
+            scaleID: "x",
+            value: eventMs,
+            borderColor: "rgba(245,158,11,0.7)",
+            borderWidth: 1,
+            label: {
+                content: EVENT_TYPES[event.category].icon,
+                display: true,
+                position: "start",
+                backgroundColor: "rgba(255,255,255,0.9)",
+            },
+        };
+    });
+
+    return annotations;
+};
+
+const buildEnvAnnotations = () => ({
+    roomMin: temperatureLine(THRESHOLDS.ROOM_TEMP_MIN, "rgba(13,116,177,0.6)", "Phòng tối thiểu {value}", "y1"),
+    roomMax: temperatureLine(THRESHOLDS.ROOM_TEMP_MAX, "rgba(13,116,177,0.6)", "Phòng tối đa {value}", "y1"),
+    humidityMin: thresholdLine(THRESHOLDS.HUMIDITY_MIN, "rgba(40,167,69,0.6)", t("Độ ẩm tối thiểu {value}%", { value: THRESHOLDS.HUMIDITY_MIN }), "y2"),
+    humidityMax: thresholdLine(THRESHOLDS.HUMIDITY_MAX, "rgba(40,167,69,0.6)", t("Độ ẩm tối đa {value}%", { value: THRESHOLDS.HUMIDITY_MAX }), "y2"),
+});
+
+// Nhãn trục thời gian: khoảng ngắn chỉ cần giờ, khoảng nhiều ngày hiển thị ngày/tháng
+const formatAxisTime = (timeMs, spanMs) => {
+    const options = spanMs <= 36 * 60 * 60 * 1000 ? { hour: "2-digit", minute: "2-digit" } : { day: "2-digit", month: "2-digit" };
+    return formatDateTime(timeMs, options);
+};
+
+// Chỉ số nhiệt độ được đổi sang đơn vị đang chọn trước khi vẽ, độ ẩm giữ nguyên
+const TEMPERATURE_METRICS = new Set(["babyTemperature", "environmentTemperature"]);
+
+const toDisplayPoint = (point, metric) =>
+    TEMPERATURE_METRICS.has(metric) && point.y !== null ? { x: point.x, y: Math.round(toDisplayTemperature(point.y) * 100) / 100 } : point;
+
+const toDisplayPoints = (points, metric) => points.map((point) => toDisplayPoint(point, metric));
+
+// Trục x tuyến tính theo mili giây để khoảng cách giữa các điểm đúng với thời gian thực
+const timeAxis = ({ startMs, endMs }) => ({
+    type: "linear",
+    min: startMs || undefined,
+    max: endMs,
+    ticks: {
+        maxTicksLimit: 8,
+        callback: (value) => formatAxisTime(value, startMs ? endMs - startMs : Infinity),
+    },
+});
+
+// Dải min–max của mỗi nhóm khi dữ liệu đã được gộp, ẩn khỏi chú thích và tooltip
+// `metric`/`part` trên mỗi dataset cho biết nó lấy dữ liệu từ đâu trong kết quả buildChartSeries
+const bandDatasets = (series, metric, color, yAxisID) =>
+    series[metric].min
+        ? [
+              {
+                  label: "min",
+                  data: toDisplayPoints(series[metric].min, metric),
+                  metric,
+                  part: "min",
+                  yAxisID,
+                  isBand: true,
+                  borderWidth: 0,
+                  pointRadius: 0,
+                  fill: false,
+              },
+              {
+                  label: "max",
+                  data: toDisplayPoints(series[metric].max, metric),
+                  metric,
+                  part: "max",
+                  yAxisID,
+                  isBand: true,
+                  borderWidth: 0,
+                  pointRadius: 0,
+                  fill: "-1",
+                  backgroundColor: color,
+              },
+          ]
+        : [];
+
+const sharedChartPlugins = {
+    legend: {
+        display: true,
+        labels: { filter: (item, data) => !data.datasets[item.datasetIndex].isBand },
+    },
+    tooltip: {
+        filter: (item) => !item.dataset.isBand,
+        callbacks: {
+            title: (items) => (items.length ? formatTimestamp(new Date(items[0].parsed.x).toISOString(), true) : ""),
+        },
+    },
+};
+
+// Chuyển động và âm lượng đo trên trình duyệt chỉ có trong lúc dashboard mở camera và không lưu lên Firebase
+const ACTIVITY_METRICS = ["motionLevel", "soundLevel"];
+
+const activityDatasets = (range) => {
+    const points = getActivityHistory();
+    if (points.length === 0) return [];
+
+    const { series } = buildChartSeries(points, ACTIVITY_METRICS, range);
+    const dataset = (metric, label, color) => ({
+        label: t(label),
+        data: series[metric].avg,
+        metric,
+        activity: true,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 1,
+        tension: 0.25,
+        pointRadius: 0,
+        yAxisID: "y3",
+    });
+
+    return [dataset("motionLevel", "Chuyển động - camera (%)", "#8b5cf6"), dataset("soundLevel", "Âm thanh - camera (%)", "#f59e0b")];
+};
+
+// `chartData` là kết quả buildChartSeries kèm khoảng { startMs, endMs } đang vẽ.
+// `activity` là các đường chuyển động/âm thanh (xem activityDatasets), chỉ vẽ trên dashboard.
+// `overrides` ghi đè tùy chọn biểu đồ, ví dụ tắt responsive/animation khi vẽ ra canvas ẩn cho báo cáo
+function renderBabyTempChart(ctx, chartData, { events = latestEvents, activity = [], ...overrides } = {}) {
+    const { series, aggregated } = chartData;
+
     return new Chart(ctx, {
         type: "line",
         data: {
-            labels,
             datasets: [
+                ...bandDatasets(series, "babyTemperature", "rgba(220, 53, 69, 0.15)", "y"),
                 {
-                    label: "Nhiệt độ Bé (°C)",
-                    data: temps,
+                    label: t(aggregated ? "Nhiệt độ Bé - trung bình ({unit})" : "Nhiệt độ Bé ({unit})", { unit: temperatureUnit() }),
+                    data: toDisplayPoints(series.babyTemperature.avg, "babyTemperature"),
+                    metric: "babyTemperature",
+                    part: "avg",
                     borderColor: "#dc3545",
                     backgroundColor: "rgba(220, 53, 69, 0.1)",
                     tension: 0.25,
-                    pointRadius: 3,
-                    fill: true,
+                    pointRadius: aggregated ? 0 : 3,
+                    fill: !aggregated,
+                    yAxisID: "y",
                 },
+                ...activity,
             ],
         },
         options: {
@@ -303,62 +1038,68 @@ function renderBabyTempChart(ctx, labels, temps) {
                 easing: "easeInOutQuad",
             },
             plugins: {
-                legend: { display: true },
+                ...sharedChartPlugins,
                 annotation: {
-                    annotations: {
-                        threshold: {
-                            type: "line",
-                            yMin: 37.5,
-                            yMax: 37.5,
-                            borderColor: "red",
-                            borderWidth: 2,
-                            borderDash: [6, 6],
-                            label: {
-                                content: "Ngưỡng cảnh báo (37.5°C)",
-                                enabled: true,
-                                position: "end",
-                                backgroundColor: "rgba(220,53,69,0.8)",
-                                color: "#fff",
-                            },
-                        },
-                    },
+                    annotations: { ...buildBabyTempAnnotations(), ...buildEventAnnotations(chartData, events) },
                 },
             },
             scales: {
+                x: timeAxis(chartData),
                 y: {
-                    title: { display: true, text: "Nhiệt độ (°C)" },
-                    suggestedMin: 35,
-                    suggestedMax: 39,
+                    title: { display: true, text: t("Nhiệt độ ({unit})", { unit: temperatureUnit() }) },
+                    suggestedMin: toDisplayTemperature(35),
+                    suggestedMax: toDisplayTemperature(39),
                 },
+                ...(activity.length > 0
+                    ? {
+                          y3: {
+                              type: "linear",
+                              position: "right",
+                              min: 0,
+                              max: 100,
+                              title: { display: true, text: t("Hoạt động (%)") },
+                              grid: { drawOnChartArea: false },
+                          },
+                      }
+                    : {}),
             },
+            ...overrides,
         },
     });
 }
 
-function renderEnvChart(ctx, labels, temps, hums) {
+function renderEnvChart(ctx, chartData, { events = latestEvents, ...overrides } = {}) {
+    const { series, aggregated } = chartData;
+
     return new Chart(ctx, {
         type: "line",
         data: {
-            labels,
             datasets: [
+                ...bandDatasets(series, "environmentTemperature", "rgba(13, 116, 177, 0.12)", "y1"),
+                ...bandDatasets(series, "environmentHumidity", "rgba(40, 167, 69, 0.12)", "y2"),
                 {
-                    label: "Nhiệt độ Phòng (°C)",
-                    data: temps,
+                    label: t(aggregated ? "Nhiệt độ Phòng - trung bình ({unit})" : "Nhiệt độ Phòng ({unit})", { unit: temperatureUnit() }),
+                    data: toDisplayPoints(series.environmentTemperature.avg, "environmentTemperature"),
+                    metric: "environmentTemperature",
+                    part: "avg",
                     borderColor: "#0d74b1",
                     backgroundColor: "rgba(13, 116, 177, 0.1)",
                     tension: 0.25,
+                    pointRadius: aggregated ? 0 : 3,
                     yAxisID: "y1",
                 },
                 {
-                    label: "Độ ẩm Phòng (%)",
-                    data: hums,
+                    label: t(aggregated ? "Độ ẩm Phòng - trung bình (%)" : "Độ ẩm Phòng (%)"),
+                    data: series.environmentHumidity.avg,
+                    metric: "environmentHumidity",
+                    part: "avg",
                     borderColor: "#28a745",
                     backgroundColor: "rgba(40, 167, 69, 0.1)",
                     tension: 0.25,
                     yAxisID: "y2",
                     borderDash: [5, 5],
                     pointStyle: "rect",
-                    pointRadius: 4,
+                    pointRadius: aggregated ? 0 : 4,
                 },
             ],
         },
@@ -369,49 +1110,53 @@ function renderEnvChart(ctx, labels, temps, hums) {
                 easing: "easeInOutQuad",
             },
             plugins: {
-                legend: { display: true, position: "top" },
+                ...sharedChartPlugins,
+                legend: { ...sharedChartPlugins.legend, position: "top" },
+                annotation: {
+                    annotations: { ...buildEnvAnnotations(), ...buildEventAnnotations(chartData, events) },
+                },
             },
             scales: {
+                x: timeAxis(chartData),
                 y1: {
                     type: "linear",
                     position: "left",
-                    title: { display: true, text: "Nhiệt độ (°C)" },
-                    suggestedMin: 30,
-                    suggestedMax: 34,
+                    title: { display: true, text: t("Nhiệt độ ({unit})", { unit: temperatureUnit() }) },
+                    suggestedMin: toDisplayTemperature(30),
+                    suggestedMax: toDisplayTemperature(34),
                 },
                 y2: {
                     type: "linear",
                     position: "right",
-                    title: { display: true, text: "Độ ẩm (%)" },
+                    title: { display: true, text: t("Độ ẩm (%)") },
                     suggestedMin: 65,
                     suggestedMax: 75,
                     grid: { drawOnChartArea: false },
                 },
             },
+            ...overrides,
         },
     });
 }
 
-const renderCharts = (records) => {
-    if (!records || Object.keys(records).length === 0) return;
+const showChartMessage = (text, color = "") => {
+    const msgEl = $("chart-range-message");
+    if (!msgEl) return;
+    msgEl.textContent = text;
+    msgEl.style.color = color;
+};
 
-    // 1. Chuyển đổi và sắp xếp tất cả bản ghi
-    let sortedRecords = Object.values(records).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+const aggregatedChartMessage = (count) =>
+    chartRange?.limit && count >= chartRange.limit
+        ? t("{count} bản ghi gần nhất, gộp thành {points} mốc (trung bình, dải min–max).", { count, points: MAX_CHART_POINTS })
+        : t("{count} bản ghi, gộp thành {points} mốc (trung bình, dải min–max).", { count, points: MAX_CHART_POINTS });
 
-    // 2. LỌC DỮ LIỆU theo khoảng thời gian đã chọn (currentDataRange)
-    if (currentDataRange !== "all") {
-        const timeRangeInHours = parseInt(currentDataRange);
-        const startTime = new Date();
-        startTime.setHours(startTime.getHours() - timeRangeInHours);
-        const startTimeMs = startTime.getTime();
+const renderCharts = () => {
+    if (!chartRange) return;
 
-        sortedRecords = sortedRecords.filter((entry) => {
-            const entryTimeMs = new Date(entry.timestamp).getTime();
-            return entryTimeMs >= startTimeMs;
-        });
-    }
+    const chartData = { ...buildChartSeries(chartRecords, CHART_METRICS, chartRange), ...chartRange };
 
-    if (sortedRecords.length === 0) {
+    if (chartData.count === 0) {
         const babyCanvas = document.getElementById("babyTempChart");
         const envCanvas = document.getElementById("envChart");
 
@@ -419,7 +1164,9 @@ const renderCharts = (records) => {
             if (canvas) canvas.style.display = "none";
         });
 
-        const showNoDataMessage = (containerId, range) => {
+        const description = t(currentDataRange === "custom" ? "khoảng ngày đã chọn" : CHART_RANGES[currentDataRange].description);
+
+        const showNoDataMessage = (containerId) => {
             const container = document.querySelector(`#${containerId}`)?.parentNode;
             if (!container) return;
 
@@ -438,12 +1185,12 @@ const renderCharts = (records) => {
             `;
                 container.appendChild(msg);
             }
-            msg.textContent = `Không có dữ liệu trong ${range === "all" ? "toàn bộ lịch sử" : range + " giờ qua"}.`;
+            msg.textContent = t("Không có dữ liệu trong {range}.", { range: description });
             msg.style.display = "block";
         };
 
-        showNoDataMessage("babyTempChart", currentDataRange);
-        showNoDataMessage("envChart", currentDataRange);
+        showNoDataMessage("babyTempChart");
+        showNoDataMessage("envChart");
 
         return;
     }
@@ -452,50 +1199,149 @@ const renderCharts = (records) => {
     document.getElementById("babyTempChart").style.display = "block";
     document.getElementById("envChart").style.display = "block";
 
-    // 3. Chuẩn bị Labels và Data (Dùng logic thông minh đã viết)
-    const needsFullLabel = currentDataRange === "all" || parseInt(currentDataRange) >= 24;
-
-    const labels = sortedRecords.map((entry) =>
-        needsFullLabel ? formatTimestamp(entry.timestamp, true).substring(0, 16) : formatTimestamp(entry.timestamp, false).substring(0, 8)
-    );
-
-    const babyTemps = sortedRecords.map((entry) => entry.babyTemperature);
-    const envTemps = sortedRecords.map((entry) => entry.environmentTemperature);
-    const envHums = sortedRecords.map((entry) => entry.environmentHumidity);
+    chartAggregated = chartData.aggregated;
+    showChartMessage(chartData.aggregated ? aggregatedChartMessage(chartData.count) : "");
 
     if (charts.babyTemp) charts.babyTemp.destroy();
 
     const ctxBabyTemp = $("babyTempChart")?.getContext("2d");
     if (ctxBabyTemp) {
-        charts.babyTemp = renderBabyTempChart(ctxBabyTemp, labels, babyTemps);
+        charts.babyTemp = renderBabyTempChart(ctxBabyTemp, chartData, { activity: activityDatasets(chartData) });
     }
 
     if (charts.environment) charts.environment.destroy();
 
     const ctxEnv = $("envChart")?.getContext("2d");
     if (ctxEnv) {
-        charts.environment = renderEnvChart(ctxEnv, labels, envTemps, envHums);
+        charts.environment = renderEnvChart(ctxEnv, chartData);
+    }
+};
+
+/**
+ * Tải bản ghi của khoảng đang chọn bằng truy vấn theo timestamp trên server rồi vẽ lại biểu đồ.
+ * Kết quả của lần tải cũ bị bỏ qua nếu người dùng đã chọn khoảng khác trong lúc chờ.
+ */
+const loadChartRange = async () => {
+    const scope = getCurrentScope();
+    if (!scope.householdId || !scope.deviceId) return;
+
+    const requestId = ++chartRequestId;
+    let range = null;
+
+    try {
+        range =
+            currentDataRange === "custom"
+                ? { ...parseDateRange($("chart-from")?.value, $("chart-to")?.value), live: false }
+                : { ...resolveChartRange(currentDataRange), live: true };
+
+        showChartMessage(t("Đang tải dữ liệu..."));
+        const records = await fetchReadings(scope.householdId, scope.deviceId, range);
+        if (requestId !== chartRequestId) return;
+
+        chartRange = range;
+        chartRecords = records;
+        showChartMessage("");
+        renderCharts();
+    } catch (error) {
+        if (requestId !== chartRequestId) return;
+        console.error("Lỗi khi tải dữ liệu biểu đồ:", error);
+
+        // Ngoại tuyến: vẽ tạm từ các bản ghi đã lưu, sẽ tải lại khi nhận được dữ liệu trực tiếp
+        if (range && showingCachedState && cachedRecords.length > 0) {
+            chartRange = { ...range, live: false };
+            chartRecords = cachedRecords;
+            renderCharts();
+            showChartMessage(t("📴 Đang ngoại tuyến: biểu đồ vẽ từ dữ liệu đã lưu."), "#92400e");
+            return;
+        }
+
+        showChartMessage(error.message || t("Không thể tải dữ liệu biểu đồ."), "#dc3545");
     }
 };
 
+// Khoảng tương đối (tính đến hiện tại) được nối thêm bản ghi mới từ listener trực tiếp thay vì tải lại
+const appendLiveReadings = (entries) => {
+    if (!chartRange?.live) return;
+
+    const lastMs = chartRecords.length ? new Date(chartRecords[chartRecords.length - 1].timestamp).getTime() : -Infinity;
+    const fresh = entries
+        .filter((entry) => new Date(entry.timestamp).getTime() > lastMs)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (fresh.length === 0) return;
+
+    const range = resolveChartRange(currentDataRange);
+    const newestMs = new Date(fresh[fresh.length - 1].timestamp).getTime();
+    chartRange = { ...range, endMs: Math.max(range.endMs, newestMs), live: true };
+    chartRecords = [...chartRecords, ...fresh].filter((entry) => new Date(entry.timestamp).getTime() >= chartRange.startMs);
+    if (chartRange.limit) chartRecords = chartRecords.slice(-chartRange.limit);
+
+    // Vẽ lại toàn bộ chỉ khi biểu đồ chưa có hoặc chuyển giữa dữ liệu thô và dữ liệu gộp nhóm
+    if (!charts.babyTemp || !charts.environment || chartAggregated !== chartRecords.length > MAX_CHART_POINTS) {
+        renderCharts();
+        return;
+    }
+
+    const chartData = chartAggregated ? buildChartSeries(chartRecords, CHART_METRICS, chartRange) : null;
+
+    [charts.babyTemp, charts.environment].forEach((chart) => {
+        chart.data.datasets.forEach((dataset) => {
+            if (dataset.activity) return;
+            if (chartData) {
+                dataset.data = toDisplayPoints(chartData.series[dataset.metric][dataset.part], dataset.metric);
+                return;
+            }
+            fresh.forEach((entry) => dataset.data.push(toDisplayPoint(toChartPoint(entry, dataset.metric), dataset.metric)));
+            while (dataset.data.length > 0 && dataset.data[0].x < chartRange.startMs) dataset.data.shift();
+        });
+
+        chart.options.scales.x.min = chartRange.startMs || undefined;
+        chart.options.scales.x.max = chartRange.endMs;
+        chart.update("none");
+    });
+
+    if (chartData) showChartMessage(aggregatedChartMessage(chartData.count));
+};
+
+// Cập nhật đường chuyển động/âm thanh khi có điểm phân tích mới; lần đầu cần vẽ lại để thêm trục hoạt động
+const refreshActivityChart = () => {
+    const chart = charts.babyTemp;
+    if (!chart || !chartRange?.live) return;
+
+    chartRange = { ...chartRange, endMs: Math.max(chartRange.endMs, Date.now()) };
+    const datasets = activityDatasets(chartRange);
+    const current = chart.data.datasets.filter((dataset) => dataset.activity);
+
+    if (current.length !== datasets.length) {
+        renderCharts();
+        return;
+    }
+
+    current.forEach((dataset, index) => {
+        dataset.data = datasets[index].data;
+    });
+    chart.options.scales.x.max = chartRange.endMs;
+    chart.update("none");
+};
+
 const handleSignup = async () => {
     const email = $("auth-email")?.value;
     const password = $("auth-password")?.value;
     const msgEl = $("auth-message");
 
     if (!email || !password || password.length < 6) {
-        if (msgEl) msgEl.textContent = "Email và mật khẩu (ít nhất 6 ký tự) là bắt buộc.";
+        if (msgEl) msgEl.textContent = t("Email và mật khẩu (ít nhất 6 ký tự) là bắt buộc.");
         return;
     }
     try {
-        await createUserWithEmailAndPassword(auth, email, password);
+        const credential = await createUserWithEmailAndPassword(auth, email, password);
+        await sendVerificationEmail(credential.user).catch((error) => console.error("Lỗi gửi email xác nhận:", error));
         if (msgEl) {
-            msgEl.textContent = "Đăng ký thành công! Đang chuyển hướng...";
+            msgEl.textContent = t("Đăng ký thành công! Vui lòng xác nhận email.");
             msgEl.style.color = "#28a745";
         }
     } catch (error) {
         console.error("Signup error:", error);
-        if (msgEl) msgEl.textContent = "Lỗi Đăng ký: " + getFirebaseErrorMessage(error.code);
+        if (msgEl) msgEl.textContent = t("Lỗi Đăng ký: ") + getFirebaseErrorMessage(error.code);
         if (msgEl) msgEl.style.color = "#dc3545";
     }
 };
@@ -506,77 +1352,1697 @@ const handleLogin = async () => {
     const msgEl = $("auth-message");
 
     if (!email || !password) {
-        if (msgEl) msgEl.textContent = "Email và mật khẩu là bắt buộc.";
+        if (msgEl) msgEl.textContent = t("Email và mật khẩu là bắt buộc.");
         return;
     }
     try {
         await signInWithEmailAndPassword(auth, email, password);
         if (msgEl) {
-            msgEl.textContent = "Đăng nhập thành công! Đang chuyển hướng...";
+            msgEl.textContent = t("Đăng nhập thành công! Đang chuyển hướng...");
             msgEl.style.color = "#28a745";
         }
     } catch (error) {
         console.error("Login error:", error);
-        if (msgEl) msgEl.textContent = "Lỗi Đăng nhập: " + getFirebaseErrorMessage(error.code);
+        if (msgEl) msgEl.textContent = t("Lỗi Đăng nhập: ") + getFirebaseErrorMessage(error.code);
         if (msgEl) msgEl.style.color = "#dc3545";
     }
 };
 
+const handleForgotPassword = async () => {
+    try {
+        await sendResetEmail($("auth-email")?.value);
+        setMessage("auth-message", t("Đã gửi email đặt lại mật khẩu (nếu email đã đăng ký). Vui lòng kiểm tra hộp thư."), "#28a745");
+    } catch (error) {
+        console.error("Password reset error:", error);
+        setMessage("auth-message", describeAuthError(error), "#dc3545");
+    }
+};
+
+const handleGoogleLogin = async () => {
+    try {
+        await signInWithGoogle();
+    } catch (error) {
+        console.error("Google login error:", error);
+        setMessage("auth-message", t("Lỗi Đăng nhập: ") + describeAuthError(error), "#dc3545");
+    }
+};
+
 let stopListening = null;
+// Số bản ghi gần nhất được lắng nghe trực tiếp (lịch sử, tóm tắt giấc ngủ, luật cảnh báo)
+const LIVE_WINDOW_SIZE = 500;
 
 const startDataListener = () => {
-    if (stopListening) return;
+    if (stopListening || !REFS.sleepData) return;
+
+    const latestQuery = query(REFS.sleepData, limitToLast(LIVE_WINDOW_SIZE));
+    // child_added của các bản ghi ban đầu luôn đến trước sự kiện value đầu tiên của cùng truy vấn,
+    // nên value (onlyOnce) đánh dấu lúc dựng giao diện đầy đủ một lần; sau đó chỉ cập nhật từng bản ghi.
+    let initialLoaded = false;
+    latestRecords = {};
+
+    const sleepDataRef = REFS.sleepData;
+    const scope = getCurrentScope();
+    loadDeviceSnapshot(scope.householdId, scope.deviceId).then((snapshot) => {
+        if (snapshot && !initialLoaded && REFS.sleepData === sleepDataRef) showCachedSnapshot(snapshot);
+    });
+
+    const unsubscribeAdded = onChildAdded(latestQuery, (snapshot) => {
+        const { entry, reason } = normalizeReading(snapshot.val());
+        if (!entry) {
+            trackQuarantined(snapshot.key, reason);
+            if (!initialLoaded) return;
+            renderSensorFaults();
+            syncAlerts(computeAlerts());
+            return;
+        }
 
-    const latestQuery = query(REFS.sleepData, limitToLast(500));
+        quarantine.latest = false;
+        latestRecords[snapshot.key] = entry;
+        if (!initialLoaded) return;
 
-    const unsubscribe = onValue(latestQuery, (snapshot) => {
-        if (snapshot.exists()) {
-            const data = snapshot.val();
-            const keys = Object.keys(data);
+        // Bản ghi cũ lọt vào cửa sổ khi một bản ghi bị xóa: chỉ cần dựng lại lịch sử
+        if (latestEntry && new Date(entry.timestamp) < new Date(latestEntry.timestamp)) {
+            displayHistory(latestRecords);
+            return;
+        }
+
+        latestEntry = entry;
+        if (runHeartbeatCheck) runHeartbeatCheck();
+        updateUI(entry);
+        prependHistoryReading(snapshot.key, entry);
+        displaySleepSummary(latestRecords);
+        appendLiveReadings([entry]);
+        scheduleSnapshotSave();
+    });
 
-            if (keys.length === 0) return;
+    const unsubscribeRemoved = onChildRemoved(latestQuery, (snapshot) => {
+        delete latestRecords[snapshot.key];
+        if (initialLoaded) removeHistoryReading(snapshot.key);
+    });
 
-            const latestKey = keys[keys.length - 1];
-            const latestEntry = data[latestKey];
+    const unsubscribeInitial = onValue(
+        latestQuery,
+        () => {
+            initialLoaded = true;
+            const entries = Object.values(latestRecords);
+            latestEntry = entries.length ? entries[entries.length - 1] : null;
+
+            // Biểu đồ đang vẽ từ dữ liệu đã lưu thì tải lại khoảng đang chọn từ server
+            if (showingCachedState) {
+                showingCachedState = false;
+                cachedRecords = [];
+                setCachedIndicator(connectionState === "offline" ? t("📴 Mất kết nối tới máy chủ.") : null);
+                loadChartRange();
+            }
 
+            // Watchdog chỉ chạy khi đã có dữ liệu trực tiếp, tránh báo thiết bị mất kết nối từ dữ liệu đã lưu
+            runHeartbeatCheck = startHeartbeatWatchdog(() => latestEntry?.timestamp ?? null, handleHeartbeatChange);
+            runHeartbeatCheck();
             updateUI(latestEntry);
-            displayHistory(data);
-            renderCharts(data);
-        } else {
-            updateUI(null);
-            const historyDiv = $("activity-history");
-            if (historyDiv) historyDiv.innerHTML = "<p>Chưa có dữ liệu nào được ghi.</p>";
-            if (charts.babyTemp) charts.babyTemp.destroy();
-            if (charts.environment) charts.environment.destroy();
-        }
-    });
+            renderSensorFaults();
+            displayHistory(latestRecords);
+            displaySleepSummary(latestRecords);
+            scheduleSnapshotSave();
+        },
+        { onlyOnce: true }
+    );
 
-    stopListening = unsubscribe;
+    stopListening = () => {
+        unsubscribeAdded();
+        unsubscribeRemoved();
+        unsubscribeInitial();
+    };
+    stopEventsListener = subscribeDeviceEvents(REFS.userEvents, scope.deviceId, (events) => {
+        latestEvents = events;
+        if (!showingCachedState) displayHistory(latestRecords);
+        refreshChartAnnotations();
+        scheduleSnapshotSave();
+    });
+    loadChartRange();
 };
 
 const stopDataListener = () => {
+    stopHeartbeatWatchdog();
+    runHeartbeatCheck = null;
+    clearTimeout(snapshotSaveTimer);
+    snapshotSaveTimer = null;
+
+    if (stopEventsListener) {
+        stopEventsListener();
+        stopEventsListener = null;
+    }
+    latestEvents = [];
+
     if (stopListening) {
         stopListening();
         stopListening = null;
     }
 };
 
-const toggleUI = (user) => {
-    const authScreen = $("auth-screen");
-    const mainContent = $("main-content");
+const resetDashboard = () => {
+    latestEntry = null;
+    latestRecords = {};
+    chartRecords = [];
+    chartRange = null;
+    chartRequestId++;
+    showingCachedState = false;
+    cachedRecords = [];
+    setCachedIndicator(connectionState === "offline" ? t("📴 Mất kết nối tới máy chủ.") : null);
+    resetNotificationState();
+    resetRuleState();
+    quarantine = { count: 0, lastReason: null, latest: false };
+    renderSensorFaults();
+    deviceOffline = false;
+    setStaleState(false, null);
+
+    const historyDiv = $("activity-history");
+    if (historyDiv) {
+        const p = document.createElement("p");
+        p.className = "loading-text";
+        p.textContent = t("Đang tải lịch sử...");
+        historyDiv.replaceChildren(p);
+    }
+    displaySleepSummary({});
+
+    if (charts.babyTemp) charts.babyTemp.destroy();
+    if (charts.environment) charts.environment.destroy();
+    charts = { babyTemp: null, environment: null };
+
     const banner = $("alert-banner");
-    let logoutBtn = $("logout-btn");
-    const body = document.body;
+    if (banner) banner.style.display = "none";
 
-    if (user) {
-        if (authScreen) authScreen.style.display = "none";
-        if (mainContent) mainContent.style.display = "block";
+    const cameraVideo = $("baby-camera");
+    if (cameraVideo) cameraVideo.srcObject = null;
+};
 
-        if ($("header") && !logoutBtn) {
-            const header = $("header");
+const refreshChartAnnotations = () => {
+    if (!chartRange) return;
+    const eventAnnotations = buildEventAnnotations(chartRange);
+
+    if (charts.babyTemp) {
+        charts.babyTemp.options.plugins.annotation.annotations = { ...buildBabyTempAnnotations(), ...eventAnnotations };
+        charts.babyTemp.update("none");
+    }
+    if (charts.environment) {
+        charts.environment.options.plugins.annotation.annotations = { ...buildEnvAnnotations(), ...eventAnnotations };
+        charts.environment.update("none");
+    }
+};
+
+const isTemperatureThreshold = (key) => key.includes("TEMP");
+
+// Ngưỡng nhiệt độ nhập theo đơn vị đang chọn. Ô không bị sửa giữ nguyên giá trị °C ban đầu,
+// tránh sai số làm tròn khi đổi qua lại °F rồi lưu.
+const fillThresholdForm = (values) => {
+    document.querySelectorAll("[data-threshold]").forEach((input) => {
+        const value = values[input.dataset.threshold];
+        const isTemperature = isTemperatureThreshold(input.dataset.threshold) && typeof value === "number";
+        input.value = isTemperature ? Math.round(toDisplayTemperature(value) * 10) / 10 : (value ?? "");
+        input.dataset.celsius = isTemperature ? value : "";
+        input.dataset.filledValue = input.value;
+    });
+};
+
+const readThresholdForm = () => {
+    const values = {};
+    document.querySelectorAll("[data-threshold]").forEach((input) => {
+        const key = input.dataset.threshold;
+        if (!isTemperatureThreshold(key) || input.value === "") {
+            values[key] = input.value;
+        } else if (input.dataset.celsius !== "" && input.value === input.dataset.filledValue) {
+            values[key] = Number(input.dataset.celsius);
+        } else {
+            values[key] = Math.round(fromDisplayTemperature(Number(input.value)) * 100) / 100;
+        }
+    });
+    return values;
+};
+
+// Áp dụng ngưỡng mới ngay lập tức: badge, banner và đường ngưỡng trên biểu đồ
+const applyThresholds = (values) => {
+    Object.assign(THRESHOLDS, values);
+    fillThresholdForm(THRESHOLDS);
+
+    if (latestEntry) updateUI(latestEntry);
+    refreshChartAnnotations();
+};
+
+const handleSaveThresholds = async () => {
+    const scope = getCurrentScope();
+    const msgEl = $("settings-message");
+    if (!scope.householdId) return;
+
+    try {
+        await saveThresholds(scope.householdId, readThresholdForm());
+        if (msgEl) {
+            msgEl.textContent = t("Đã lưu ngưỡng cảnh báo.");
+            msgEl.style.color = "#28a745";
+        }
+    } catch (error) {
+        console.error("Save thresholds error:", error);
+        if (msgEl) {
+            msgEl.textContent = error.message;
+            msgEl.style.color = "#dc3545";
+        }
+    }
+};
+
+const initSettingsForm = () => {
+    const presetSelect = $("threshold-preset");
+    if (presetSelect) {
+        Object.entries(AGE_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement("option");
+            option.value = key;
+            setTranslatedText(option, preset.label);
+            presetSelect.appendChild(option);
+        });
+    }
+
+    $("apply-preset-btn")?.addEventListener("click", () => {
+        const preset = AGE_PRESETS[presetSelect?.value];
+        if (preset) fillThresholdForm(preset.values);
+    });
+    $("reset-thresholds-btn")?.addEventListener("click", () => fillThresholdForm(DEFAULT_THRESHOLDS));
+    $("save-thresholds-btn")?.addEventListener("click", handleSaveThresholds);
+    $("settings-btn")?.addEventListener("click", () => {
+        const section = $("settings-section");
+        if (section) section.style.display = section.style.display === "none" ? "block" : "none";
+    });
+};
+
+const selectEventType = (category) => {
+    selectedEventType = category;
+
+    document.querySelectorAll("#event-type-buttons .btn").forEach((btn) => {
+        btn.classList.toggle("active", btn.dataset.eventType === category);
+    });
+    document.querySelectorAll("[data-event-fields]").forEach((group) => {
+        group.classList.toggle("active", group.dataset.eventFields === category);
+    });
+
+    // Điền sẵn nhiệt độ hiện tại của bé khi ghi nhận dùng thuốc
+    const tempInput = $("medication-temperature");
+    if (category === "medication" && tempInput && !tempInput.value && typeof latestEntry?.babyTemperature === "number") {
+        tempInput.value = Math.round(toDisplayTemperature(latestEntry.babyTemperature) * 10) / 10;
+    }
+};
+
+// `translate = true` khi nhãn là chuỗi giao diện tiếng Việt (không phải tên do người dùng đặt)
+const fillSelect = (select, options, translate = false) => {
+    if (!select) return;
+    Object.entries(options).forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        if (translate) setTranslatedText(option, label);
+        else option.textContent = label;
+        select.appendChild(option);
+    });
+};
+
+// Nhiệt độ lúc dùng thuốc nhập theo đơn vị đang chọn, lưu theo °C
+const readMedicationTemperature = () => {
+    const value = $("medication-temperature")?.value;
+    return value === "" || value == null ? value : Math.round(fromDisplayTemperature(Number(value)) * 10) / 10;
+};
+
+// Lượng sữa (ml) chỉ áp dụng khi cho bú bình
+const syncFeedAmountField = () => {
+    const amountInput = $("feed-amount");
+    if (amountInput) amountInput.style.display = $("feed-method")?.value === "bottle" ? "block" : "none";
+};
+
+const readEventFields = (category) =>
+    ({
+        feed: { method: $("feed-method")?.value, amountMl: $("feed-amount")?.value },
+        diaper: { kind: $("diaper-kind")?.value },
+        medication: { name: $("medication-name")?.value, dose: $("medication-dose")?.value, temperature: readMedicationTemperature() },
+        note: { text: $("note-text")?.value },
+    })[category];
+
+const handleLogEvent = async () => {
+    const scope = getCurrentScope();
+    const msgEl = $("event-message");
+    if (!REFS.userEvents || !scope.deviceId) return;
+
+    try {
+        const event = buildEvent(selectedEventType, readEventFields(selectedEventType), scope.deviceId);
+        await logEvent(REFS.userEvents, event);
+
+        $("event-form")?.reset();
+        syncFeedAmountField();
+        if (msgEl) {
+            msgEl.textContent = t("Đã lưu: {event}", { event: describeEvent(event) });
+            msgEl.style.color = "#28a745";
+        }
+    } catch (error) {
+        console.error("Log event error:", error);
+        if (msgEl) {
+            msgEl.textContent = error.message;
+            msgEl.style.color = "#dc3545";
+        }
+    }
+};
+
+const initEventForm = () => {
+    const buttons = $("event-type-buttons");
+    if (!buttons) return;
+
+    Object.entries(EVENT_TYPES).forEach(([category, type]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-secondary";
+        button.dataset.eventType = category;
+        const label = document.createElement("span");
+        setTranslatedText(label, type.label);
+        button.append(`${type.icon} `, label);
+        button.addEventListener("click", () => selectEventType(category));
+        buttons.appendChild(button);
+    });
+
+    fillSelect($("feed-method"), FEED_METHODS, true);
+    fillSelect($("diaper-kind"), DIAPER_KINDS, true);
+
+    $("feed-method")?.addEventListener("change", syncFeedAmountField);
+    syncFeedAmountField();
+
+    $("log-event-btn")?.addEventListener("click", handleLogEvent);
+    selectEventType(selectedEventType);
+};
+
+// Ngày dạng YYYY-MM-DD theo múi giờ đang chọn cho input type="date"
+const toDateInputValue = (date) => getDayKey(date.getTime());
+
+const openExportDialog = () => {
+    const dialog = $("export-dialog");
+    const scope = getCurrentScope();
+    if (!dialog || !scope.householdId) return;
+
+    const deviceSelect = $("export-device");
+    deviceSelect.innerHTML = "";
+    fillSelect(deviceSelect, Object.fromEntries(scope.devices.map((device) => [device.id, device.name])));
+    deviceSelect.value = scope.deviceId;
+
+    const today = new Date();
+    const weekAgo = new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000);
+    $("export-from").value = toDateInputValue(weekAgo);
+    $("export-to").value = toDateInputValue(today);
+    setText("export-message", "");
+
+    dialog.showModal();
+};
+
+const handleExport = async () => {
+    const scope = getCurrentScope();
+    const msgEl = $("export-message");
+    const exportBtn = $("export-btn");
+    if (!scope.householdId || !REFS.userEvents) return;
+
+    const deviceId = $("export-device").value;
+    const dataset = $("export-dataset").value;
+    const format = $("export-format").value;
+    const from = $("export-from").value;
+    const to = $("export-to").value;
+
+    try {
+        const range = parseDateRange(from, to);
+        if (exportBtn) exportBtn.disabled = true;
+        if (msgEl) {
+            msgEl.textContent = t("Đang tải dữ liệu...");
+            msgEl.style.color = "";
+        }
+
+        const readings = dataset !== "events" ? pickColumns(await fetchReadings(scope.householdId, deviceId, range), READING_COLUMNS) : null;
+        const events =
+            dataset !== "readings"
+                ? pickColumns(
+                      filterEventsInRange(await fetchDeviceEvents(REFS.userEvents, deviceId), range).map((event) => ({
+                          ...event,
+                          description: describeEvent(event),
+                      })),
+                      EVENT_COLUMNS
+                  )
+                : null;
+
+        const baseName = `baby-sleep_${deviceId}_${from}_${to}`;
+
+        if (format === "json") {
+            const payload = { householdId: scope.householdId, deviceId, from, to, exportedAt: new Date().toISOString() };
+            if (readings) payload.readings = readings;
+            if (events) payload.events = events;
+            downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), "application/json");
+        } else {
+            if (readings) downloadFile(`${baseName}_readings.csv`, toCsv(readings, READING_COLUMNS), "text/csv;charset=utf-8");
+            if (events) downloadFile(`${baseName}_events.csv`, toCsv(events, EVENT_COLUMNS), "text/csv;charset=utf-8");
+        }
+
+        const counts = [readings && t("{count} bản ghi", { count: readings.length }), events && t("{count} sự kiện", { count: events.length })]
+            .filter(Boolean)
+            .join(", ");
+        if (msgEl) {
+            msgEl.textContent = t("Đã xuất {counts}.", { counts });
+            msgEl.style.color = "#28a745";
+        }
+    } catch (error) {
+        console.error("Export error:", error);
+        if (msgEl) {
+            msgEl.textContent = error.message || t("Không thể xuất dữ liệu.");
+            msgEl.style.color = "#dc3545";
+        }
+    } finally {
+        if (exportBtn) exportBtn.disabled = false;
+    }
+};
+
+const REPORT_CHART_SIZE = { width: 900, height: 320 };
+
+// Vẽ biểu đồ lên canvas ẩn (không gắn vào trang), không animation để chụp ảnh ngay lập tức
+const renderChartImage = (render) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = REPORT_CHART_SIZE.width;
+    canvas.height = REPORT_CHART_SIZE.height;
+
+    const chart = render(canvas.getContext("2d"));
+    const src = chart.toBase64Image("image/png");
+    chart.destroy();
+    return src;
+};
+
+const openReportDialog = () => {
+    const dialog = $("report-dialog");
+    const scope = getCurrentScope();
+    if (!dialog || !scope.householdId) return;
+
+    const deviceSelect = $("report-device");
+    deviceSelect.innerHTML = "";
+    fillSelect(deviceSelect, Object.fromEntries(scope.devices.map((device) => [device.id, device.name])));
+    deviceSelect.value = scope.deviceId;
+
+    $("report-week-start").value = toDateInputValue(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
+    setText("report-message", "");
+
+    dialog.showModal();
+};
+
+const handleCreateReport = async () => {
+    const scope = getCurrentScope();
+    const msgEl = $("report-message");
+    const reportBtn = $("create-report-btn");
+    const container = $("report-print");
+    if (!scope.householdId || !REFS.userEvents || !container) return;
+
+    const deviceId = $("report-device").value;
+    const device = scope.devices.find((item) => item.id === deviceId);
+    const weekStart = $("report-week-start").value;
+
+    try {
+        const { startMs } = parseDateRange(weekStart, weekStart);
+        const range = { startMs, endMs: startMs + 7 * 24 * 60 * 60 * 1000 - 1 };
+
+        if (reportBtn) reportBtn.disabled = true;
+        if (msgEl) {
+            msgEl.textContent = t("Đang tổng hợp dữ liệu...");
+            msgEl.style.color = "";
+        }
+
+        const [readings, events] = await Promise.all([
+            fetchReadings(scope.householdId, deviceId, range),
+            fetchDeviceEvents(REFS.userEvents, deviceId),
+        ]);
+        if (readings.length === 0) throw new Error(t("Không có dữ liệu cảm biến trong tuần đã chọn."));
+
+        const report = buildWeeklyReport(readings, events, THRESHOLDS, startMs);
+        const chartData = { ...buildChartSeries(report.readings, CHART_METRICS, range), ...range };
+        const chartOptions = { events: report.events, responsive: false, animation: false };
+
+        const chartImages = [
+            { title: t("Nhiệt độ Bé"), src: renderChartImage((ctx) => renderBabyTempChart(ctx, chartData, chartOptions)) },
+            { title: t("Môi trường Phòng"), src: renderChartImage((ctx) => renderEnvChart(ctx, chartData, chartOptions)) },
+        ];
+
+        renderReport(container, report, {
+            householdName: scope.householdName,
+            deviceName: device?.name || deviceId,
+            formatTime: formatTimestamp,
+            chartImages,
+        });
+
+        $("report-dialog")?.close();
+        // Hộp thoại in của trình duyệt cho phép "Lưu dưới dạng PDF"
+        window.print();
+    } catch (error) {
+        console.error("Report error:", error);
+        if (msgEl) {
+            msgEl.textContent = error.message || t("Không thể tạo báo cáo.");
+            msgEl.style.color = "#dc3545";
+        }
+    } finally {
+        if (reportBtn) reportBtn.disabled = false;
+    }
+};
+
+const updateNotificationStatus = () => {
+    const statusEl = $("notification-status");
+    const enableBtn = $("enable-notifications-btn");
+    if (!statusEl) return;
+
+    if (!isNotificationSupported()) {
+        statusEl.textContent = t("Trình duyệt không hỗ trợ thông báo.");
+        if (enableBtn) enableBtn.style.display = "none";
+        return;
+    }
+
+    const statusText = {
+        granted: "Đã bật thông báo hệ thống.",
+        denied: "Thông báo đã bị chặn, hãy cho phép trong cài đặt trình duyệt.",
+        default: "Chưa bật thông báo hệ thống.",
+    };
+    statusEl.textContent = t(statusText[Notification.permission] || statusText.default);
+    if (enableBtn) enableBtn.style.display = Notification.permission === "granted" ? "none" : "inline-flex";
+};
+
+const initNotificationSettings = () => {
+    const prefs = getNotificationPrefs();
+    const typesEl = $("notification-types");
+
+    if (typesEl) {
+        Object.entries(NOTIFIABLE_ALERTS).forEach(([kind, label]) => {
+            const wrapper = document.createElement("label");
+            wrapper.className = "checkbox-field";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.dataset.alertKind = kind;
+            checkbox.checked = Boolean(prefs.enabled[kind]);
+
+            const text = document.createElement("span");
+            setTranslatedText(text, label);
+
+            wrapper.append(checkbox, text);
+            typesEl.appendChild(wrapper);
+        });
+    }
+
+    $("quiet-hours-enabled").checked = prefs.quietHours.enabled;
+    $("quiet-hours-start").value = prefs.quietHours.start;
+    $("quiet-hours-end").value = prefs.quietHours.end;
+
+    $("notification-settings")?.addEventListener("change", () => {
+        const enabled = {};
+        document.querySelectorAll("[data-alert-kind]").forEach((checkbox) => {
+            enabled[checkbox.dataset.alertKind] = checkbox.checked;
+        });
+
+        saveNotificationPrefs({
+            enabled,
+            quietHours: {
+                enabled: $("quiet-hours-enabled").checked,
+                start: $("quiet-hours-start").value || "22:00",
+                end: $("quiet-hours-end").value || "06:00",
+            },
+        });
+    });
+
+    $("enable-notifications-btn")?.addEventListener("click", async () => {
+        await requestNotificationPermission();
+        updateNotificationStatus();
+    });
+
+    updateNotificationStatus();
+};
+
+const syncDisplaySettings = () => {
+    const prefs = getPreferences();
+    const timeZoneSelect = $("timezone-select");
+
+    // Múi giờ lấy từ trình duyệt có thể không nằm trong danh sách Intl.supportedValuesOf (ví dụ "UTC")
+    if (![...timeZoneSelect.options].some((option) => option.value === prefs.timeZone)) {
+        fillSelect(timeZoneSelect, { [prefs.timeZone]: prefs.timeZone.replace(/_/g, " ") });
+    }
+
+    $("language-select").value = prefs.language;
+    timeZoneSelect.value = prefs.timeZone;
+    $("temperature-unit-select").value = prefs.temperatureUnit;
+};
+
+// Vẽ lại mọi phần phụ thuộc ngôn ngữ, múi giờ hoặc đơn vị nhiệt độ sau khi người dùng đổi tùy chọn hiển thị
+const refreshLocalizedViews = () => {
+    applyTranslations();
+    syncDisplaySettings();
+    renderConnectionStatus();
+    syncListenButton();
+    updateNotificationStatus();
+    fillThresholdForm(THRESHOLDS);
+    if (lastCameraStatus) updateCameraStatus(lastCameraStatus.state, lastCameraStatus.detail);
+
+    const user = auth.currentUser;
+    if (user && $("household-screen").style.display !== "none") {
+        showHouseholdPicker(user, false);
+        return;
+    }
+
+    const scope = getCurrentScope();
+    if (!scope.householdId) return;
+
+    renderHouseholdLabel(scope);
+    applyRolePermissions();
+    refreshDeviceOverview();
+    displayAlertLog(alertLogRecords);
+    if (!scope.deviceId) return;
+
+    const records = showingCachedState ? cachedRecords : latestRecords;
+    const entries = Object.values(records);
+    if (entries.length > 0) updateUI(showingCachedState ? entries[entries.length - 1] : latestEntry, !showingCachedState);
+    setStaleState(deviceOffline, latestEntry?.timestamp ?? null);
+    displayHistory(records);
+    displaySleepSummary(records);
+    renderCharts();
+};
+
+// Ngôn ngữ chọn ở thanh tiêu đề (dùng được cả trước khi đăng nhập), múi giờ và đơn vị trong phần Cài đặt
+const initDisplaySettings = () => {
+    const timeZones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+
+    fillSelect($("language-select"), LANGUAGES);
+    fillSelect($("timezone-select"), Object.fromEntries(timeZones.map((zone) => [zone, zone.replace(/_/g, " ")])));
+    fillSelect($("temperature-unit-select"), TEMPERATURE_UNITS);
+
+    $("language-select").addEventListener("change", (e) => setPreferences({ language: e.target.value }));
+    $("timezone-select").addEventListener("change", (e) => setPreferences({ timeZone: e.target.value }));
+    $("temperature-unit-select").addEventListener("change", (e) => setPreferences({ temperatureUnit: e.target.value }));
+    $("browser-timezone-btn").addEventListener("click", () => {
+        setPreferences({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+    });
+
+    document.documentElement.lang = getPreferences().language;
+    applyTranslations();
+    syncDisplaySettings();
+    onPreferencesChange(refreshLocalizedViews);
+};
+
+const renderDeviceSelect = (scope) => {
+    const select = $("device-select");
+    if (!select) return;
+
+    select.innerHTML = "";
+    scope.devices.forEach((device) => {
+        const option = document.createElement("option");
+        option.value = device.id;
+        option.textContent = device.name;
+        select.appendChild(option);
+    });
+    select.value = scope.deviceId;
+    select.style.display = scope.devices.length > 0 ? "inline-block" : "none";
+};
+
+// Nghe phòng bé: bỏ tắt tiếng video (trình duyệt chỉ cho phát tiếng sau thao tác của người dùng)
+const setListening = (listening) => {
+    const video = $("baby-camera");
+    if (!video) return;
+
+    video.muted = !listening;
+    if (listening) video.play().catch((error) => console.error("Không thể phát âm thanh camera:", error));
+};
+
+const syncListenButton = () => {
+    const listening = !$("baby-camera").muted;
+    const listenBtn = $("listen-btn");
+    listenBtn.setAttribute("aria-pressed", String(listening));
+    listenBtn.textContent = t(listening ? "🔊 Đang nghe" : "🔈 Nghe phòng bé");
+};
+
+// Chỉ nghe: ẩn hình nhưng vẫn giữ phần tử video phát âm thanh
+const setAudioOnly = (audioOnly) => {
+    document.querySelector(".camera-frame")?.classList.toggle("audio-only", audioOnly);
+    $("audio-only-btn").setAttribute("aria-pressed", String(audioOnly));
+    if (audioOnly) setListening(true);
+};
+
+let talking = false;
+
+const beginTalk = async () => {
+    const { deviceId } = getCurrentScope();
+    if (talking || !deviceId) return;
+
+    talking = true;
+    $("talk-btn").classList.add("talking");
+    setMessage("talk-message", "");
+
+    try {
+        await startTalking(deviceId);
+        // Người dùng đã thả nút trong lúc chờ cấp quyền micro
+        if (!talking) stopTalking(deviceId);
+    } catch (error) {
+        talking = false;
+        $("talk-btn").classList.remove("talking");
+        setMessage("talk-message", error.message, "#dc3545");
+    }
+};
+
+const endTalk = () => {
+    if (!talking) return;
+
+    talking = false;
+    $("talk-btn").classList.remove("talking");
+    const { deviceId } = getCurrentScope();
+    if (deviceId) stopTalking(deviceId);
+};
+
+const initCameraControls = () => {
+    const video = $("baby-camera");
+    const talkBtn = $("talk-btn");
+    if (!video || !talkBtn) return;
+
+    $("listen-btn").addEventListener("click", () => setListening(video.muted));
+    $("audio-only-btn").addEventListener("click", () => setAudioOnly(!document.querySelector(".camera-frame").classList.contains("audio-only")));
+    // Nút tắt tiếng trên thanh điều khiển của video cũng đổi trạng thái nghe
+    video.addEventListener("volumechange", syncListenButton);
+
+    talkBtn.addEventListener("pointerdown", (e) => {
+        e.preventDefault();
+        beginTalk();
+    });
+    ["pointerup", "pointerleave", "pointercancel"].forEach((type) => talkBtn.addEventListener(type, endTalk));
+    talkBtn.addEventListener("keydown", (e) => {
+        if ((e.key === " " || e.key === "Enter") && !e.repeat) {
+            e.preventDefault();
+            beginTalk();
+        }
+    });
+    talkBtn.addEventListener("keyup", (e) => {
+        if (e.key === " " || e.key === "Enter") endTalk();
+    });
+    window.addEventListener("blur", endTalk);
+};
+
+// Trạng thái camera gần nhất, để vẽ lại nhãn khi đổi ngôn ngữ
+let lastCameraStatus = null;
+
+const updateCameraStatus = (state, detail) => {
+    const statusEl = $("camera-status");
+    if (!statusEl) return;
+
+    const { attempt, delayMs, candidateType } = detail;
+    lastCameraStatus = { state, detail };
+
+    let text = t(CAMERA_STATES[state]);
+    if (state === "reconnecting" && delayMs) {
+        text += ` ${t("(lần {attempt}, sau {seconds} giây)", { attempt, seconds: Math.round(delayMs / 1000) })}`;
+    }
+    if (state === "live" && CANDIDATE_TYPES[candidateType]) text += ` · ${t(CANDIDATE_TYPES[candidateType])}`;
+
+    statusEl.className = `camera-status ${state}`;
+    statusEl.style.display = state === "idle" ? "none" : "";
+    setText("camera-status-text", text);
+    $("camera-retry-btn").style.display = state === "failed" ? "" : "none";
+
+    // Chỉ nói được khi đang có kết nối; mất kết nối thì micro được tắt cùng Peer Connection
+    $("talk-btn").disabled = state !== "live";
+    $("snapshot-btn").disabled = state !== "live";
+    if (state !== "live") endTalk();
+    syncClipBuffer();
+    syncActivityAnalyzer();
+};
+
+const startCamera = (scope) => {
+    // Chỉ chủ hộ và người chăm sóc được xem camera (khớp với rules của webrtc_sessions)
+    const allowed = hasPermission("viewCamera");
+    const restrictedEl = $("camera-restricted");
+    const frame = document.querySelector(".camera-frame");
+
+    if (restrictedEl) restrictedEl.style.display = allowed ? "none" : "block";
+    if (frame) frame.style.display = allowed ? "" : "none";
+    document.querySelector(".camera-controls").style.display = allowed ? "" : "none";
+    loadRecordingIndex();
+    clearActivityHistory();
+    if (allowed) startWebRTCStream(scope.householdId, scope.deviceId, $("baby-camera"), updateCameraStatus);
+};
+
+// ===== Ảnh chụp và clip camera (chỉ lưu trên trình duyệt này, xem recordings.js) =====
+
+const latestReadingKey = () => Object.keys(latestRecords).at(-1) || null;
+
+// Ảnh/clip gắn với tài khoản, thiết bị và bản ghi cảm biến gần nhất lúc chụp để hiện liên kết trong lịch sử
+const recordingMeta = () => {
+    const scope = getCurrentScope();
+    return { uid: auth.currentUser?.uid, householdId: scope.householdId, deviceId: scope.deviceId, readingKey: latestReadingKey() };
+};
+
+const listCurrentRecordings = () => {
+    const { uid, householdId, deviceId } = recordingMeta();
+    if (!uid || !householdId || !deviceId) return Promise.resolve([]);
+    return listRecordings(uid, householdId, deviceId);
+};
+
+const appendRecordingLinks = (el, recordings = []) => {
+    el.querySelector(".recording-links")?.remove();
+    if (recordings.length === 0) return;
+
+    const links = document.createElement("span");
+    links.className = "recording-links";
+    recordings.forEach((recording) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "recording-link";
+        button.dataset.recordingId = recording.id;
+        button.textContent = recording.kind === "clip" ? "🎞️" : "📷";
+        button.title = t(RECORDING_KINDS[recording.kind]);
+        button.setAttribute("aria-label", button.title);
+        links.appendChild(button);
+    });
+    el.appendChild(links);
+};
+
+const addToIndex = (index, key, recording) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(recording);
+};
+
+// Dựng lại chỉ mục ảnh/clip của thiết bị đang xem và gắn liên kết vào lịch sử, nhật ký cảnh báo đang hiển thị
+const loadRecordingIndex = async () => {
+    const { deviceId } = getCurrentScope();
+    let recordings = [];
+    try {
+        recordings = await listCurrentRecordings();
+    } catch (error) {
+        console.warn("Không tải được ảnh/clip đã lưu:", error);
+    }
+    if (getCurrentScope().deviceId !== deviceId) return;
+
+    recordingsByReading = new Map();
+    recordingsByAlert = new Map();
+    recordings.forEach((recording) => {
+        addToIndex(recordingsByReading, recording.readingKey, recording);
+        recording.alerts.forEach((alert) => addToIndex(recordingsByAlert, alert.id, recording));
+    });
+
+    document.querySelectorAll("#activity-history .history-reading").forEach((row) => appendRecordingLinks(row, recordingsByReading.get(row.dataset.key)));
+    displayAlertLog(alertLogRecords);
+};
+
+// Bộ đệm quay trước chỉ chạy khi camera đang có hình và người dùng bật tự ghi clip
+const syncClipBuffer = () => {
+    const { deviceId } = getCurrentScope();
+    if (lastCameraStatus?.state === "live" && deviceId && isAutoClipEnabled()) {
+        startClipBuffer(getCameraStream(deviceId));
+    } else {
+        stopClipBuffer();
+    }
+};
+
+// Cảnh báo nguy hiểm (khóc, sốt, nằm sấp) tự lưu clip từ vài giây trước cảnh báo.
+// Thiết bị mất kết nối thì camera cũng không còn hình nên bỏ qua.
+const handleAlertRaised = (alert) => {
+    if (alert.type !== "danger" || alert.kind === "deviceOffline" || !isAutoClipEnabled()) return;
+
+    captureClip(recordingMeta(), alert)
+        .then((recording) => {
+            if (recording) loadRecordingIndex();
+        })
+        .catch((error) => console.error("Không thể lưu clip cảnh báo:", error));
+};
+
+const handleSnapshot = async () => {
+    try {
+        await takeSnapshot($("baby-camera"), recordingMeta());
+        setMessage("talk-message", t("Đã lưu ảnh chụp."), "#28a745");
+        loadRecordingIndex();
+    } catch (error) {
+        console.error("Snapshot error:", error);
+        setMessage("talk-message", error.message, "#dc3545");
+    }
+};
+
+const revokeGalleryUrls = () => {
+    galleryUrls.forEach((url) => URL.revokeObjectURL(url));
+    galleryUrls = [];
+};
+
+const recordingFileName = (recording) => {
+    const extension = recording.mimeType.startsWith("image/") ? "jpg" : recording.mimeType.includes("mp4") ? "mp4" : "webm";
+    return `${recording.deviceId}-${new Date(recording.createdAt).toISOString().replace(/[:.]/g, "-")}.${extension}`;
+};
+
+const createGalleryItem = (recording) => {
+    const url = URL.createObjectURL(recording.blob);
+    galleryUrls.push(url);
+
+    const item = document.createElement("figure");
+    item.className = "gallery-item";
+    item.dataset.recordingId = recording.id;
+
+    const media = document.createElement(recording.kind === "clip" ? "video" : "img");
+    media.src = url;
+    if (recording.kind === "clip") {
+        media.controls = true;
+        media.playsInline = true;
+        media.preload = "metadata";
+    } else {
+        media.alt = t(RECORDING_KINDS.snapshot);
+    }
+
+    const caption = document.createElement("figcaption");
+    const title = document.createElement("strong");
+    title.textContent = `${t(RECORDING_KINDS[recording.kind])} · ${formatTimestamp(recording.createdAt, true)}`;
+    caption.appendChild(title);
+
+    recording.alerts.forEach((alert) => {
+        const message = document.createElement("span");
+        message.className = "session-meta";
+        message.textContent = alert.message;
+        caption.appendChild(message);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "gallery-actions";
+
+    const download = document.createElement("a");
+    download.className = "btn btn-secondary";
+    download.href = url;
+    download.download = recordingFileName(recording);
+    download.textContent = t("Tải xuống");
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-danger";
+    remove.textContent = t("Xóa");
+    remove.addEventListener("click", () => handleDeleteRecording(recording.id));
+
+    actions.append(download, remove);
+    caption.appendChild(actions);
+    item.append(media, caption);
+    return item;
+};
+
+const renderGallery = async (focusId = null) => {
+    const list = $("gallery-list");
+    if (!list) return;
+
+    let recordings = [];
+    try {
+        recordings = await listCurrentRecordings();
+    } catch (error) {
+        console.error("Không tải được ảnh/clip:", error);
+    }
+
+    revokeGalleryUrls();
+    list.innerHTML = "";
+
+    if (recordings.length === 0) {
+        const p = document.createElement("p");
+        p.className = "loading-text";
+        p.textContent = t("Chưa có ảnh chụp hoặc clip nào.");
+        list.appendChild(p);
+        return;
+    }
+
+    recordings.forEach((recording) => list.appendChild(createGalleryItem(recording)));
+
+    const focused = focusId ? list.querySelector(`[data-recording-id="${CSS.escape(focusId)}"]`) : null;
+    if (focused) {
+        focused.classList.add("focused");
+        focused.scrollIntoView({ block: "nearest" });
+    }
+};
+
+const openGallery = (focusId = null) => {
+    const dialog = $("gallery-dialog");
+    if (!dialog) return;
+
+    if (!dialog.open) dialog.showModal();
+    renderGallery(focusId);
+};
+
+const handleDeleteRecording = async (id) => {
+    try {
+        await deleteRecording(id);
+    } catch (error) {
+        console.error("Không thể xóa ảnh/clip:", error);
+    }
+    renderGallery();
+    loadRecordingIndex();
+};
+
+// ===== Phân tích chuyển động và âm thanh trên trình duyệt (xem activity-analyzer.js) =====
+
+const renderActivityMeter = ({ motionLevel, soundLevel, loud }) => {
+    const setMeter = (id, level) => {
+        $(id).value = level ?? 0;
+        setText(`${id}-value`, level === null ? "--" : `${level}%`);
+    };
+
+    setMeter("motion-meter", motionLevel);
+    setMeter("sound-meter", soundLevel);
+    $("activity-meter").classList.toggle("loud", loud);
+};
+
+const handleLoudNoiseChange = (loud) => {
+    loudNoiseActive = loud;
+    if (latestEntry && !showingCachedState) syncAlerts(computeAlerts());
+};
+
+// Chỉ phân tích khi camera đang có hình và người dùng bật tùy chọn dưới khung camera
+const syncActivityAnalyzer = () => {
+    const { deviceId } = getCurrentScope();
+    const running = lastCameraStatus?.state === "live" && Boolean(deviceId) && getActivityPrefs().enabled;
+    const meter = $("activity-meter");
+    if (meter) meter.style.display = running ? "" : "none";
+
+    if (!running) {
+        stopActivityAnalyzer();
+        return;
+    }
+
+    startActivityAnalyzer(getCameraStream(deviceId), $("baby-camera"), {
+        onSample: renderActivityMeter,
+        onPoint: refreshActivityChart,
+        onLoudChange: handleLoudNoiseChange,
+    });
+};
+
+const fillActivitySettings = () => {
+    const prefs = getActivityPrefs();
+    $("loud-threshold").value = prefs.loudThreshold;
+    $("loud-duration").value = prefs.loudForSeconds;
+};
+
+const initActivityControls = () => {
+    const toggle = $("activity-toggle");
+    if (!toggle) return;
+
+    toggle.checked = getActivityPrefs().enabled;
+    toggle.disabled = !isActivityAnalysisSupported();
+    toggle.addEventListener("change", (e) => {
+        saveActivityPrefs({ enabled: e.target.checked });
+        syncActivityAnalyzer();
+    });
+
+    Object.entries({ "loud-threshold": "loudThreshold", "loud-duration": "loudForSeconds" }).forEach(([id, key]) => {
+        $(id).min = ACTIVITY_LIMITS[key].min;
+        $(id).max = ACTIVITY_LIMITS[key].max;
+    });
+    fillActivitySettings();
+
+    $("save-activity-settings-btn")?.addEventListener("click", () => {
+        try {
+            saveActivityPrefs({ loudThreshold: $("loud-threshold").value, loudForSeconds: $("loud-duration").value });
+            setMessage("activity-settings-message", t("Đã lưu cài đặt phân tích."), "#28a745");
+        } catch (error) {
+            setMessage("activity-settings-message", error.message, "#dc3545");
+        }
+    });
+};
+
+const initRecordingControls = () => {
+    $("snapshot-btn")?.addEventListener("click", handleSnapshot);
+    $("open-gallery-btn")?.addEventListener("click", () => openGallery());
+    $("gallery-dialog")?.addEventListener("close", () => {
+        revokeGalleryUrls();
+        $("gallery-list").innerHTML = "";
+    });
+
+    const autoClipToggle = $("auto-clip-toggle");
+    if (autoClipToggle) {
+        autoClipToggle.checked = isAutoClipEnabled();
+        autoClipToggle.disabled = !isClipRecordingSupported();
+        autoClipToggle.addEventListener("change", (e) => {
+            setAutoClipEnabled(e.target.checked);
+            syncClipBuffer();
+        });
+    }
+
+    // Liên kết 📷/🎞️ trong lịch sử và nhật ký cảnh báo mở thư viện tại đúng ảnh/clip
+    ["activity-history", "alert-log"].forEach((id) =>
+        $(id)?.addEventListener("click", (e) => {
+            const link = e.target.closest(".recording-link");
+            if (link) openGallery(link.dataset.recordingId);
+        })
+    );
+};
+
+// Ẩn hoặc khóa các chức năng vai trò hiện tại không được dùng; security rules vẫn là lớp kiểm soát chính
+const applyRolePermissions = () => {
+    const canEditSettings = hasPermission("editSettings");
+    document
+        .querySelectorAll("[data-threshold], #threshold-preset, #apply-preset-btn, #reset-thresholds-btn, #save-thresholds-btn")
+        .forEach((el) => (el.disabled = !canEditSettings));
+
+    const settingsMsg = $("settings-message");
+    if (settingsMsg) {
+        settingsMsg.textContent = canEditSettings ? "" : t("Chỉ chủ hộ được thay đổi ngưỡng cảnh báo.");
+        settingsMsg.style.color = "";
+    }
+
+    const canLogEvents = hasPermission("logEvents");
+    const eventForm = $("event-form");
+    if (eventForm) eventForm.style.display = canLogEvents ? "" : "none";
+    const readonlyNote = $("event-readonly");
+    if (readonlyNote) readonlyNote.style.display = canLogEvents ? "none" : "block";
+
+    const canManage = hasPermission("manageHousehold");
+    const addDeviceForm = document.querySelector(".add-device-form");
+    if (addDeviceForm) addDeviceForm.style.display = canManage ? "" : "none";
+    const membersPanel = $("members-panel");
+    if (membersPanel) membersPanel.style.display = canManage ? "block" : "none";
+    if (canManage) refreshMembersPanel();
+};
+
+const setMembersMessage = (text, color = "") => {
+    const msgEl = $("members-message");
+    if (!msgEl) return;
+    msgEl.textContent = text;
+    msgEl.style.color = color;
+};
+
+const renderMemberList = (members) => {
+    const listEl = $("member-list");
+    if (!listEl) return;
+    listEl.innerHTML = "";
+
+    const scope = getCurrentScope();
+    const currentUid = auth.currentUser?.uid;
+
+    members.forEach((member) => {
+        const row = document.createElement("div");
+        row.className = "member-row";
+
+        const name = document.createElement("span");
+        name.textContent = `${member.email || member.uid}${member.uid === currentUid ? ` ${t("(bạn)")}` : ""}`;
+
+        const roleSelect = document.createElement("select");
+        roleSelect.className = "input-field";
+        roleSelect.setAttribute("aria-label", t("Vai trò"));
+        fillSelect(roleSelect, Object.fromEntries(Object.entries(ROLES).map(([role, info]) => [role, info.label])), true);
+        roleSelect.value = member.role;
+        roleSelect.disabled = member.uid === currentUid;
+        roleSelect.addEventListener("change", async () => {
+            try {
+                await setMemberRole(scope.householdId, member.uid, roleSelect.value, currentUid);
+                setMembersMessage(t("Đã đổi vai trò của {member}.", { member: member.email || member.uid }), "#28a745");
+            } catch (error) {
+                console.error("Change role error:", error);
+                roleSelect.value = member.role;
+                setMembersMessage(error.message || t("Không thể đổi vai trò."), "#dc3545");
+            }
+        });
+
+        row.append(name, roleSelect);
+
+        if (member.uid !== currentUid) {
+            const removeBtn = document.createElement("button");
+            removeBtn.type = "button";
+            removeBtn.className = "btn btn-secondary";
+            removeBtn.textContent = t("Xóa");
+            removeBtn.addEventListener("click", async () => {
+                if (!confirm(t("Xóa {member} khỏi hộ gia đình?", { member: member.email || member.uid }))) return;
+                try {
+                    await removeMember(scope.householdId, member.uid, currentUid);
+                    refreshMembersPanel();
+                } catch (error) {
+                    console.error("Remove member error:", error);
+                    setMembersMessage(error.message || t("Không thể xóa thành viên."), "#dc3545");
+                }
+            });
+            row.appendChild(removeBtn);
+        }
+
+        listEl.appendChild(row);
+    });
+};
+
+const renderInviteList = (invites) => {
+    const listEl = $("invite-list");
+    if (!listEl) return;
+    listEl.innerHTML = "";
+
+    const scope = getCurrentScope();
+
+    invites.forEach((invite) => {
+        const row = document.createElement("div");
+        row.className = "member-row";
+
+        const info = document.createElement("span");
+        const code = document.createElement("strong");
+        code.className = "invite-code";
+        code.textContent = invite.code;
+        const details = document.createElement("span");
+        details.className = "session-meta";
+        details.textContent = ` ${invite.email || t("ai có mã")} · ${roleLabel(invite.role)} · ${t("hết hạn {time}", {
+            time: formatTimestamp(new Date(invite.expiresAt).toISOString(), false),
+        })}`;
+        info.append(code, details);
+
+        const revokeBtn = document.createElement("button");
+        revokeBtn.type = "button";
+        revokeBtn.className = "btn btn-secondary";
+        revokeBtn.textContent = t("Thu hồi");
+        revokeBtn.addEventListener("click", async () => {
+            try {
+                await revokeInvite(scope.householdId, invite);
+                refreshMembersPanel();
+            } catch (error) {
+                console.error("Revoke invite error:", error);
+                setMembersMessage(error.message || t("Không thể thu hồi lời mời."), "#dc3545");
+            }
+        });
+
+        row.append(info, revokeBtn);
+        listEl.appendChild(row);
+    });
+};
+
+const refreshMembersPanel = async () => {
+    const scope = getCurrentScope();
+    if (!scope.householdId || !hasPermission("manageHousehold")) return;
+
+    try {
+        const [members, invites] = await Promise.all([listMembers(scope.householdId), listHouseholdInvites(scope.householdId)]);
+        renderMemberList(members);
+        renderInviteList(invites);
+    } catch (error) {
+        console.error("Lỗi tải thành viên:", error);
+        setMembersMessage(t("Không thể tải danh sách thành viên."), "#dc3545");
+    }
+};
+
+const handleCreateInvite = async () => {
+    const scope = getCurrentScope();
+    const user = auth.currentUser;
+    if (!scope.householdId || !user) return;
+
+    try {
+        const invite = await createInvite(scope.householdId, scope.householdName, $("invite-role").value, $("invite-email")?.value, user.uid);
+        $("invite-email").value = "";
+        setMembersMessage(t("Mã mời: {code} (dùng một lần, hết hạn sau 7 ngày).", { code: invite.code }), "#28a745");
+        refreshMembersPanel();
+    } catch (error) {
+        console.error("Create invite error:", error);
+        setMembersMessage(error.message || t("Không thể tạo lời mời."), "#dc3545");
+    }
+};
+
+// Chuyển dashboard chi tiết (badge, lịch sử, biểu đồ, camera) sang một thiết bị khác
+const activateDevice = (deviceId) => {
+    const previousDeviceId = getCurrentScope().deviceId;
+
+    stopDataListener();
+    if (previousDeviceId) closeWebRTCStream(previousDeviceId);
+
+    const scope = selectDevice(deviceId);
+    setDataScope(scope);
+    resetDashboard();
+    startAlertTracking(scope);
+
+    const select = $("device-select");
+    if (select) select.value = scope.deviceId;
+    highlightDevice(scope.deviceId);
+
+    startDataListener();
+    startCamera(scope);
+};
+
+const startOverview = (scope) => {
+    startDeviceOverview(scope.householdId, scope.devices, {
+        assess: assessEntry,
+        formatTime: (timestamp) => formatTimestamp(timestamp, false),
+        onSelect: activateDevice,
+    });
+    highlightDevice(scope.deviceId);
+};
+
+const renderHouseholdLabel = (scope) => setText("household-label", `🏠 ${scope.householdName} · ${roleLabel(scope.role)}`);
+
+const enterDashboard = (household) => {
+    const scope = selectHousehold(household);
+    const msgEl = $("household-message");
+
+    if (!scope.deviceId) {
+        if (msgEl) msgEl.textContent = t("Hộ gia đình này chưa có thiết bị nào.");
+        return;
+    }
+
+    setDataScope(scope);
+    resetDashboard();
+    startAlertTracking(scope);
+
+    renderHouseholdLabel(scope);
+    $("household-label").style.display = "inline-block";
+    const switchBtn = $("switch-household-btn");
+    if (switchBtn) switchBtn.style.display = "inline-flex";
+    const settingsBtn = $("settings-btn");
+    if (settingsBtn) settingsBtn.style.display = "inline-flex";
+    renderDeviceSelect(scope);
+    applyRolePermissions();
+
+    startThresholdsListener(scope.householdId, applyThresholds);
+    if (stopAlertLog) stopAlertLog();
+    stopAlertLog = subscribeAlertLog(REFS.userEvents, (records) => {
+        alertLogRecords = records;
+        displayAlertLog(records);
+    });
+
+    $("household-screen").style.display = "none";
+    $("main-content").style.display = "block";
+
+    startOverview(scope);
+    startDataListener();
+    startCamera(scope);
+};
+
+const handleAddDevice = async () => {
+    const scope = getCurrentScope();
+    const msgEl = $("device-message");
+    if (!scope.householdId) return;
+
+    try {
+        const device = await addDevice(
+            scope.householdId,
+            $("new-device-id")?.value.trim(),
+            $("new-device-name")?.value,
+            $("new-device-uid")?.value
+        );
+        $("new-device-id").value = "";
+        $("new-device-name").value = "";
+        $("new-device-uid").value = "";
+        if (msgEl) msgEl.textContent = "";
+
+        const updatedScope = getCurrentScope();
+        renderDeviceSelect(updatedScope);
+        startOverview(updatedScope);
+        activateDevice(device.id);
+    } catch (error) {
+        console.error("Add device error:", error);
+        if (msgEl) msgEl.textContent = error.message;
+    }
+};
+
+const renderHouseholdList = (households) => {
+    const listEl = $("household-list");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+
+    if (households.length === 0) {
+        const p = document.createElement("p");
+        p.className = "loading-text";
+        p.textContent = t("Bạn chưa thuộc hộ gia đình nào. Hãy tạo mới bên dưới.");
+        listEl.appendChild(p);
+        return;
+    }
+
+    households.forEach((household) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn household-item";
+
+        const name = document.createElement("span");
+        name.textContent = household.name;
+
+        const devices = document.createElement("span");
+        devices.className = "household-item-devices";
+        devices.textContent = t("{count} thiết bị", { count: household.devices.length });
+
+        const role = document.createElement("span");
+        role.className = "household-item-role";
+        role.textContent = roleLabel(household.role);
+
+        button.append(name, role, devices);
+        button.addEventListener("click", () => enterDashboard(household));
+        listEl.appendChild(button);
+    });
+};
+
+const showHouseholdPicker = async (user, autoSelect = true) => {
+    stopDataListener();
+    stopDeviceOverview();
+    stopThresholdsListener();
+    stopAlertTracking();
+    closeWebRTCStream();
+    clearHouseholdSelection();
+    setDataScope(null);
+    latestEntry = null;
+    latestRecords = {};
+    applyThresholds(DEFAULT_THRESHOLDS);
+
+    $("main-content").style.display = "none";
+    $("settings-section").style.display = "none";
+    $("settings-btn").style.display = "none";
+    $("device-select").style.display = "none";
+    $("household-screen").style.display = "block";
+    $("switch-household-btn").style.display = "none";
+    $("household-label").style.display = "none";
+
+    const msgEl = $("household-message");
+    if (msgEl) msgEl.textContent = "";
+
+    try {
+        let households;
+        try {
+            households = await listHouseholds(user.uid);
+            saveHouseholds(user.uid, households);
+        } catch (error) {
+            // Mất mạng khi mở lại ứng dụng: dùng danh sách đã lưu để vẫn vào được dashboard
+            households = await loadHouseholds(user.uid);
+            if (!households) throw error;
+            if (msgEl) msgEl.textContent = t("Đang ngoại tuyến, hiển thị danh sách đã lưu.");
+        }
+
+        const savedId = getSavedHouseholdId();
+        const saved = households.find((h) => h.id === savedId);
+
+        if (autoSelect && saved) {
+            enterDashboard(saved);
+            return;
+        }
+
+        renderHouseholdList(households);
+        listPendingInvites(user.emailVerified ? user.email : null)
+            .then(renderPendingInvites)
+            .catch((error) => console.error("Lỗi tải lời mời:", error));
+    } catch (error) {
+        console.error("Lỗi khi tải danh sách hộ gia đình:", error);
+        if (msgEl) msgEl.textContent = t("Không thể tải danh sách hộ gia đình.");
+    }
+};
+
+const handleCreateHousehold = async () => {
+    const user = auth.currentUser;
+    const msgEl = $("household-message");
+    if (!user) return;
+
+    try {
+        const household = await createHousehold(
+            user.uid,
+            user.email,
+            $("household-name")?.value,
+            $("device-id")?.value.trim(),
+            $("device-name")?.value
+        );
+        enterDashboard(household);
+    } catch (error) {
+        console.error("Create household error:", error);
+        if (msgEl) msgEl.textContent = error.message;
+    }
+};
+
+const renderPendingInvites = (invites) => {
+    const listEl = $("pending-invites");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+    listEl.style.display = invites.length > 0 ? "flex" : "none";
+
+    invites.forEach((invite) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn household-item";
+
+        const name = document.createElement("span");
+        name.textContent = t("✉️ Lời mời: {household}", { household: invite.householdName });
+
+        const role = document.createElement("span");
+        role.className = "household-item-role";
+        role.textContent = `${roleLabel(invite.role)} · ${t("Nhận lời mời")}`;
+
+        button.append(name, role);
+        button.addEventListener("click", () => joinHousehold(invite.code));
+        listEl.appendChild(button);
+    });
+};
+
+const joinHousehold = async (code) => {
+    const user = auth.currentUser;
+    const msgEl = $("household-message");
+    if (!user) return;
+
+    try {
+        const joined = await acceptInvite(code, user);
+        const households = await listHouseholds(user.uid);
+        const household = households.find((h) => h.id === joined.id);
+        if (!household) throw new Error(t("Không thể tải hộ gia đình vừa tham gia."));
+
+        $("invite-code").value = "";
+        saveHouseholds(user.uid, households);
+        enterDashboard(household);
+    } catch (error) {
+        console.error("Join household error:", error);
+        if (msgEl) msgEl.textContent = error.message || t("Không thể tham gia hộ gia đình.");
+    }
+};
+
+const showVerifyScreen = (user) => {
+    $("verify-screen").style.display = "block";
+    $("main-content").style.display = "none";
+    $("household-screen").style.display = "none";
+    $("account-btn").style.display = "none";
+    setText("verify-email", user.email);
+    setMessage("verify-message", "");
+};
+
+const handleCheckVerified = async () => {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        if (await refreshEmailVerified(user)) {
+            toggleUI(auth.currentUser);
+            return;
+        }
+        setMessage("verify-message", t("Email chưa được xác nhận. Vui lòng bấm vào link trong email."), "#dc3545");
+    } catch (error) {
+        console.error("Verify check error:", error);
+        setMessage("verify-message", describeAuthError(error), "#dc3545");
+    }
+};
+
+const handleResendVerification = async () => {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        await sendVerificationEmail(user);
+        setMessage("verify-message", t("Đã gửi lại email xác nhận tới {email}.", { email: user.email }), "#28a745");
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        setMessage("verify-message", describeAuthError(error), "#dc3545");
+    }
+};
+
+const handleLogout = async () => {
+    try {
+        // Xóa phiên camera trên server khi còn quyền ghi
+        await closeWebRTCStream();
+        clearIceConfigurationCache();
+        await signOut(auth);
+        clearHouseholdSelection(true);
+        clearOfflineCache();
+        setMessage("auth-message", t("Đã đăng xuất thành công."), "#28a745");
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
+};
+
+const openAccountDialog = () => {
+    const dialog = $("account-dialog");
+    const user = auth.currentUser;
+    if (!dialog || !user) return;
+
+    const passwordAccount = usesPassword(user);
+    setText("account-email", user.email || "");
+    setText("account-provider", passwordAccount ? t("Email và mật khẩu") : "Google");
+    // Tài khoản Google xác thực lại qua cửa sổ Google, không cần mật khẩu
+    $("change-password-section").style.display = passwordAccount ? "" : "none";
+    $("delete-password").style.display = passwordAccount ? "" : "none";
+    ["current-password", "new-password", "confirm-password", "delete-password"].forEach((id) => ($(id).value = ""));
+    $("delete-confirm").checked = false;
+    setMessage("account-message", "");
+
+    dialog.showModal();
+};
+
+const handleChangePassword = async () => {
+    const user = auth.currentUser;
+    const changeBtn = $("change-password-btn");
+    if (!user) return;
+
+    changeBtn.disabled = true;
+    try {
+        await changePassword(user, $("current-password").value, $("new-password").value, $("confirm-password").value);
+        ["current-password", "new-password", "confirm-password"].forEach((id) => ($(id).value = ""));
+        setMessage("account-message", t("Đã đổi mật khẩu."), "#28a745");
+    } catch (error) {
+        console.error("Change password error:", error);
+        setMessage("account-message", describeAuthError(error), "#dc3545");
+    } finally {
+        changeBtn.disabled = false;
+    }
+};
+
+const handleDeleteAccount = async () => {
+    const user = auth.currentUser;
+    const deleteBtn = $("delete-account-btn");
+    if (!user) return;
+
+    if (!$("delete-confirm").checked) {
+        setMessage("account-message", t("Vui lòng xác nhận bạn hiểu dữ liệu sẽ bị xóa vĩnh viễn."), "#dc3545");
+        return;
+    }
+
+    deleteBtn.disabled = true;
+    setMessage("account-message", t("Đang xóa tài khoản và dữ liệu..."));
+    try {
+        // Dừng các listener trước khi dữ liệu bị xóa để không báo lỗi quyền truy cập
+        stopDataListener();
+        stopDeviceOverview();
+        stopThresholdsListener();
+        stopAlertTracking();
+        closeWebRTCStream();
+
+        await deleteAccount(user, $("delete-password").value);
+        clearHouseholdSelection(true);
+        clearOfflineCache();
+        clearRecordings(user.uid).catch((error) => console.warn("Không xóa được ảnh/clip đã lưu:", error));
+        $("account-dialog").close();
+        setMessage("auth-message", t("Tài khoản và dữ liệu đã được xóa."), "#28a745");
+    } catch (error) {
+        console.error("Delete account error:", error);
+        setMessage("account-message", describeAuthError(error), "#dc3545");
+        // Chưa xóa gì (ví dụ sai mật khẩu): mở lại hộ gia đình đang xem
+        if (auth.currentUser) showHouseholdPicker(auth.currentUser);
+    } finally {
+        deleteBtn.disabled = false;
+    }
+};
+
+const toggleUI = (user) => {
+    const authScreen = $("auth-screen");
+    const mainContent = $("main-content");
+    const householdScreen = $("household-screen");
+    const banner = $("alert-banner");
+    let logoutBtn = $("logout-btn");
+    const body = document.body;
+
+    $("verify-screen").style.display = "none";
+
+    if (user) {
+        if (authScreen) authScreen.style.display = "none";
+
+        // Tài khoản email/mật khẩu phải xác nhận email trước khi vào dashboard
+        if (needsEmailVerification(user)) {
+            if (logoutBtn) logoutBtn.style.display = "none";
+            showVerifyScreen(user);
+            body.classList.remove("auth-loading");
+            body.classList.add("auth-ready");
+            return;
+        }
+
+        $("account-btn").style.display = "inline-flex";
+
+        if ($("header") && !logoutBtn) {
+            const header = $("header");
             const newLogoutBtn = document.createElement("button");
             newLogoutBtn.id = "logout-btn";
-            newLogoutBtn.textContent = "Đăng xuất";
+            newLogoutBtn.textContent = t("Đăng xuất");
             newLogoutBtn.style.cssText =
                 "float: right; margin-top: -30px; background: #c82333; color: white; border: none; padding: 8px 15px; border-radius: 5px; cursor: pointer;";
             newLogoutBtn.addEventListener("click", () => signOut(auth).catch((err) => console.error(err)));
@@ -587,69 +3053,105 @@ const toggleUI = (user) => {
         }
 
         console.log("User signed in:", user.email);
-        startDataListener();
-        startWebRTCStream();
+        showHouseholdPicker(user);
     } else {
         if (authScreen) authScreen.style.display = "block";
         if (mainContent) mainContent.style.display = "none";
+        if (householdScreen) householdScreen.style.display = "none";
         if (logoutBtn) logoutBtn.style.display = "none";
         if (banner) banner.style.display = "none";
+        $("account-btn").style.display = "none";
+        $("switch-household-btn").style.display = "none";
+        $("household-label").style.display = "none";
+        $("device-select").style.display = "none";
+        $("settings-btn").style.display = "none";
+        $("settings-section").style.display = "none";
 
         console.log("User signed out.");
 
         stopDataListener();
+        stopDeviceOverview();
+        stopThresholdsListener();
+        stopAlertTracking();
         closeWebRTCStream();
+        clearHouseholdSelection();
+        setDataScope(null);
     }
     body.classList.remove("auth-loading");
     body.classList.add("auth-ready");
 };
 
 document.addEventListener("DOMContentLoaded", () => {
+    initDisplaySettings();
     onAuthStateChanged(auth, (user) => {
         toggleUI(user);
     });
+    startConnectionMonitor(handleConnectionChange);
 
     $("login-btn")?.addEventListener("click", handleLogin);
     $("signup-btn")?.addEventListener("click", handleSignup);
+    $("forgot-password-btn")?.addEventListener("click", handleForgotPassword);
+    $("google-login-btn")?.addEventListener("click", handleGoogleLogin);
+    $("create-household-btn")?.addEventListener("click", handleCreateHousehold);
+    $("join-household-btn")?.addEventListener("click", () => joinHousehold($("invite-code")?.value));
+    $("create-invite-btn")?.addEventListener("click", handleCreateInvite);
+    fillSelect($("invite-role"), { caregiver: ROLES.caregiver.label, viewer: ROLES.viewer.label }, true);
+    $("add-device-btn")?.addEventListener("click", handleAddDevice);
+    initSettingsForm();
+    initEventForm();
+    $("open-export-btn")?.addEventListener("click", openExportDialog);
+    $("export-btn")?.addEventListener("click", handleExport);
+    $("open-report-btn")?.addEventListener("click", openReportDialog);
+    $("create-report-btn")?.addEventListener("click", handleCreateReport);
+    window.addEventListener("afterprint", () => {
+        const container = $("report-print");
+        if (container) container.innerHTML = "";
+    });
+    $("ack-alert-btn")?.addEventListener("click", () => acknowledgeAlerts(bannerAlertKinds));
+    $("snooze-alert-btn")?.addEventListener("click", () => snoozeAlerts(bannerAlertKinds));
+    initNotificationSettings();
+    registerServiceWorker();
+    unlockAlertSoundOnFirstGesture();
+    $("device-select")?.addEventListener("change", (e) => activateDevice(e.target.value));
+    $("switch-household-btn")?.addEventListener("click", () => {
+        if (auth.currentUser) showHouseholdPicker(auth.currentUser, false);
+    });
 
-    $("logout-btn")?.addEventListener("click", async () => {
-        try {
-            await signOut(auth);
-            const msgEl = $("auth-message");
-            if (msgEl) {
-                msgEl.textContent = "Đã đăng xuất thành công.";
-                msgEl.style.color = "#28a745";
-            }
-        } catch (error) {
-            console.error("Logout error:", error);
-        }
+    $("logout-btn")?.addEventListener("click", handleLogout);
+    $("verify-logout-btn")?.addEventListener("click", handleLogout);
+    $("check-verified-btn")?.addEventListener("click", handleCheckVerified);
+    $("resend-verification-btn")?.addEventListener("click", handleResendVerification);
+    $("account-btn")?.addEventListener("click", openAccountDialog);
+    initCameraControls();
+    initRecordingControls();
+    initActivityControls();
+    $("camera-retry-btn")?.addEventListener("click", () => {
+        const { deviceId } = getCurrentScope();
+        if (deviceId) retryWebRTCStream(deviceId);
     });
+    $("change-password-btn")?.addEventListener("click", handleChangePassword);
+    $("delete-account-btn")?.addEventListener("click", handleDeleteAccount);
+
+    const chartFrom = $("chart-from");
+    const chartTo = $("chart-to");
+    if (chartFrom && chartTo) {
+        chartFrom.value = toDateInputValue(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
+        chartTo.value = toDateInputValue(new Date());
+    }
 
     const chartSection = document.querySelector(".chart-section");
-    const dataRef = ref(database, "sleepData");
 
     if (chartSection) {
         chartSection.addEventListener("click", async (e) => {
             const button = e.target.closest(".time-range-controls button");
             if (!button) return;
 
-            const newRange = button.dataset.range;
-            currentDataRange = newRange;
+            currentDataRange = button.dataset.range;
 
             document.querySelectorAll(".time-range-controls button").forEach((btn) => btn.classList.remove("active"));
             button.classList.add("active");
 
-            try {
-                const snapshot = await get(dataRef);
-                if (snapshot.exists()) {
-                    const data = snapshot.val();
-                    renderCharts(data);
-                } else {
-                    console.warn("Không có dữ liệu để hiển thị.");
-                }
-            } catch (error) {
-                console.error("Lỗi khi tải dữ liệu:", error);
-            }
+            await loadChartRange();
         });
     }
 });
@@ -0,0 +1,196 @@
+// src/js/notifications.js
+
+import { t, zonedMinutesOfDay } from "./i18n.js";
+
+// Tùy chọn thông báo gắn với trình duyệt (quyền Notifications cũng theo từng trình duyệt)
+const PREFS_STORAGE_KEY = "babySleepTracker.notificationPrefs";
+
+// Các loại cảnh báo nguy hiểm có thể bật/tắt thông báo hệ thống
+export const NOTIFIABLE_ALERTS = {
+    crying: "Em bé đang khóc",
+    babyTemperature: "Nhiệt độ em bé vượt ngưỡng sốt",
+    prone: "Em bé nằm sấp",
+    deviceOffline: "Thiết bị mất kết nối",
+};
+
+const DEFAULT_PREFS = {
+    enabled: { crying: true, babyTemperature: true, prone: true, deviceOffline: true },
+    quietHours: { enabled: false, start: "22:00", end: "06:00" },
+};
+
+let registration = null;
+let audioContext = null;
+// Các loại cảnh báo đã gửi thông báo và vẫn đang diễn ra, tránh gửi lặp ở mỗi bản ghi mới
+const activeKinds = new Set();
+// Danh sách cảnh báo gần nhất, để thông báo ngay khi tab bị ẩn thay vì chờ bản ghi tiếp theo
+let latestAlerts = [];
+let latestOptions = {};
+
+export const isNotificationSupported = () => "Notification" in window && "serviceWorker" in navigator;
+
+export function getNotificationPrefs() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY)) || {};
+        return {
+            enabled: { ...DEFAULT_PREFS.enabled, ...saved.enabled },
+            quietHours: { ...DEFAULT_PREFS.quietHours, ...saved.quietHours },
+        };
+    } catch {
+        return structuredClone(DEFAULT_PREFS);
+    }
+}
+
+export function saveNotificationPrefs(prefs) {
+    localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+}
+
+// Service worker vừa lưu app shell (dùng ngoại tuyến) vừa hiển thị thông báo, nên đăng ký
+// cả khi trình duyệt không hỗ trợ Notification
+export async function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return null;
+
+    try {
+        registration = await navigator.serviceWorker.register("/sw.js");
+        return registration;
+    } catch (error) {
+        console.error("Không thể đăng ký service worker:", error);
+        return null;
+    }
+}
+
+// Trình duyệt chỉ cho AudioContext chạy sau một thao tác của người dùng
+const unlockAudio = () => {
+    if (!audioContext && "AudioContext" in window) audioContext = new AudioContext();
+    audioContext?.resume();
+};
+
+/**
+ * Mở khóa âm thanh cảnh báo ở thao tác đầu tiên trên trang (click, chạm hoặc phím bất kỳ), vì sau khi
+ * tải lại trang với quyền thông báo đã cấp thì không còn nút bật thông báo để mở khóa.
+ */
+export function unlockAlertSoundOnFirstGesture() {
+    const unlock = () => {
+        unlockAudio();
+        window.removeEventListener("pointerdown", unlock, true);
+        window.removeEventListener("keydown", unlock, true);
+    };
+    window.addEventListener("pointerdown", unlock, true);
+    window.addEventListener("keydown", unlock, true);
+}
+
+/**
+ * Xin quyền hiển thị thông báo. Phải gọi từ một thao tác của người dùng (click),
+ * đồng thời mở khóa AudioContext để có thể phát âm thanh cảnh báo sau này.
+ */
+export async function requestNotificationPermission() {
+    if (!isNotificationSupported()) return "unsupported";
+
+    unlockAudio();
+
+    return Notification.requestPermission();
+}
+
+const toMinutes = (hhmm) => {
+    const [hours, minutes] = (hhmm || "0:0").split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+// Khung giờ yên lặng tính theo múi giờ đang chọn và có thể vắt qua nửa đêm (ví dụ 22:00 - 06:00)
+export function isQuietHours(prefs, date = new Date()) {
+    const { enabled, start, end } = prefs.quietHours;
+    if (!enabled) return false;
+
+    const now = zonedMinutesOfDay(date);
+    const startMin = toMinutes(start);
+    const endMin = toMinutes(end);
+
+    return startMin <= endMin ? now >= startMin && now < endMin : now >= startMin || now < endMin;
+}
+
+const playAlertSound = () => {
+    if (!audioContext || audioContext.state !== "running") return;
+
+    // Ba tiếng bíp ngắn
+    [0, 0.35, 0.7].forEach((offset) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        const startAt = audioContext.currentTime + offset;
+
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.25);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + 0.25);
+    });
+};
+
+const notificationTitle = (deviceName) => (deviceName ? `Baby Sleep Tracker · ${deviceName}` : "Baby Sleep Tracker");
+
+/**
+ * Gửi thông báo hệ thống cho các cảnh báo nguy hiểm đang diễn ra khi tab không hiển thị, mỗi cảnh báo
+ * một lần; cảnh báo xuất hiện lúc tab đang mở được thông báo khi tab bị ẩn.
+ * Trong khung giờ yên lặng, thông báo vẫn được hiển thị nhưng không rung và không phát âm thanh.
+ */
+export function notifyAlerts(alerts, { deviceName } = {}) {
+    latestAlerts = alerts;
+    latestOptions = { deviceName };
+
+    const dangerKinds = new Set(alerts.filter((a) => a.type === "danger").map((a) => a.kind));
+
+    // Cảnh báo đã hết thì cho phép thông báo lại khi nó xuất hiện lần sau
+    [...activeKinds].forEach((kind) => {
+        if (!dangerKinds.has(kind)) activeKinds.delete(kind);
+    });
+
+    if (!isNotificationSupported() || Notification.permission !== "granted" || !registration) return;
+    // Người dùng đang nhìn dashboard; chỉ đánh dấu đã thông báo khi thông báo thực sự được hiển thị
+    if (document.visibilityState === "visible") return;
+
+    const prefs = getNotificationPrefs();
+    const quiet = isQuietHours(prefs);
+
+    alerts
+        .filter((a) => a.type === "danger" && prefs.enabled[a.kind] && !activeKinds.has(a.kind))
+        .forEach((alert) => {
+            activeKinds.add(alert.kind);
+            registration.showNotification(notificationTitle(deviceName), {
+                body: alert.message,
+                tag: `alert-${alert.kind}`,
+                renotify: true,
+                requireInteraction: true,
+                silent: quiet,
+                vibrate: quiet ? [] : [300, 150, 300, 150, 600],
+            });
+            if (!quiet) playAlertSound();
+        });
+}
+
+/**
+ * Thông báo lại một cảnh báo nguy hiểm đã bị leo thang vì chưa ai xác nhận.
+ * Leo thang luôn phát âm thanh, kể cả trong giờ yên lặng hoặc khi tab đang mở.
+ */
+export function notifyEscalation(alert, { deviceName } = {}) {
+    playAlertSound();
+
+    if (!isNotificationSupported() || Notification.permission !== "granted" || !registration) return;
+    if (!getNotificationPrefs().enabled[alert.kind]) return;
+
+    registration.showNotification(notificationTitle(deviceName), {
+        body: t("⏫ Chưa ai xác nhận: {message}", { message: alert.message }),
+        tag: `alert-${alert.kind}`,
+        renotify: true,
+        requireInteraction: true,
+        vibrate: [600, 200, 600, 200, 600],
+    });
+}
+
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") notifyAlerts(latestAlerts, latestOptions);
+});
+
+export function resetNotificationState() {
+    activeKinds.clear();
+    latestAlerts = [];
+    latestOptions = {};
+}
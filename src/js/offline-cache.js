@@ -0,0 +1,71 @@
+// src/js/offline-cache.js
+
+import { t } from "./i18n.js";
+
+// Lưu trạng thái cuối cùng (danh sách hộ gia đình, bản ghi và sự kiện gần nhất) vào IndexedDB
+// để mở lại ứng dụng khi mất mạng vẫn thấy được dữ liệu đã biết.
+const DB_NAME = "babySleepTracker";
+const DB_VERSION = 1;
+const STORE = "cache";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!("indexedDB" in window)) {
+                reject(new Error(t("Trình duyệt không hỗ trợ IndexedDB.")));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Lỗi bộ nhớ đệm không được làm gián đoạn dashboard, chỉ ghi log
+const readCache = (key) =>
+    runRequest("readonly", (store) => store.get(key)).catch((error) => {
+        console.warn("Không đọc được bộ nhớ đệm:", error);
+        return null;
+    });
+
+const writeCache = (key, value) =>
+    runRequest("readwrite", (store) => store.put(value, key)).catch((error) => {
+        console.warn("Không ghi được bộ nhớ đệm:", error);
+    });
+
+export const saveHouseholds = (uid, households) => writeCache(`households/${uid}`, { households, savedAt: Date.now() });
+
+export async function loadHouseholds(uid) {
+    const cached = await readCache(`households/${uid}`);
+    return cached ? cached.households : null;
+}
+
+/**
+ * Lưu bản ghi gần nhất và sự kiện chăm sóc của một thiết bị. `records` giữ nguyên dạng key Firebase -> bản ghi.
+ */
+export const saveDeviceSnapshot = (householdId, deviceId, { records, events }) =>
+    writeCache(`snapshot/${householdId}/${deviceId}`, { records, events, savedAt: Date.now() });
+
+export const loadDeviceSnapshot = (householdId, deviceId) => readCache(`snapshot/${householdId}/${deviceId}`);
+
+export function clearOfflineCache() {
+    return runRequest("readwrite", (store) => store.clear()).catch((error) => {
+        console.warn("Không xóa được bộ nhớ đệm:", error);
+    });
+}
@@ -0,0 +1,102 @@
+// src/js/reading-schema.js
+
+import { t } from "./i18n.js";
+
+// Lược đồ bản ghi cảm biến trong `sleepData`, cùng giới hạn với database.rules.json. Rules không áp dụng
+// cho Pi dùng Admin SDK và dữ liệu ghi trước khi có rules, nên mọi bản ghi đọc về đều qua normalizeReading
+// trước khi tới giao diện, luật cảnh báo, biểu đồ, báo cáo và xuất dữ liệu.
+export const READING_FIELDS = {
+    isCrying: { type: "boolean", label: "Khóc" },
+    babyTemperature: { type: "number", min: 30, max: 45, label: "Nhiệt độ bé" },
+    environmentTemperature: { type: "number", min: -10, max: 60, label: "Nhiệt độ phòng" },
+    environmentHumidity: { type: "number", min: 0, max: 100, label: "Độ ẩm phòng" },
+    sleepPosition: { type: "enum", values: ["supine", "prone", "side", "back"], label: "Tư thế ngủ" },
+};
+
+export const READING_STATUSES = ["sleeping", "awake"];
+
+// Cùng mẫu với `.validate` của `timestamp` trong rules
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+// Giá trị lạ chỉ được hiển thị tối đa chừng này ký tự
+const MAX_FAULT_VALUE_LENGTH = 24;
+
+// Chuỗi số ("36.5") từ firmware cũ được chấp nhận; chuỗi rỗng, NaN và Infinity thì không
+const toNumber = (value) => {
+    if (typeof value === "number") return value;
+    if (typeof value !== "string" || value.trim() === "") return NaN;
+    return Number(value);
+};
+
+const normalizeField = (field, value) => {
+    if (field.type === "boolean") return typeof value === "boolean" ? { value } : { fault: "invalid" };
+    if (field.type === "enum") return field.values.includes(value) ? { value } : { fault: "invalid" };
+
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) return { fault: "invalid" };
+    if (number < field.min || number > field.max) return { fault: "outOfRange" };
+    return { value: number };
+};
+
+/**
+ * Kiểm tra và chuẩn hóa một bản ghi thô từ Firebase.
+ * - Thiếu hoặc sai `timestamp`/`status` thì bản ghi bị cách ly: trả về `{ entry: null, reason }`.
+ * - Trường cảm biến sai kiểu hoặc ngoài khoảng vật lý được đặt null và ghi vào `entry.faults`
+ *   (`{ field, value, reason: "invalid" | "outOfRange" }`) để báo lỗi cảm biến, không đi vào cảnh báo y tế.
+ * - Trường thiếu là null (thiết bị không có cảm biến đó), trường lạ bị bỏ.
+ */
+export function normalizeReading(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { entry: null, reason: "Bản ghi không phải đối tượng." };
+
+    const { timestamp, status } = raw;
+    if (typeof timestamp !== "string" || !TIMESTAMP_PATTERN.test(timestamp) || Number.isNaN(new Date(timestamp).getTime())) {
+        return { entry: null, reason: "Thiếu hoặc sai thời điểm ghi." };
+    }
+    if (!READING_STATUSES.includes(status)) return { entry: null, reason: "Thiếu hoặc sai trạng thái ngủ." };
+
+    const entry = { timestamp, status, faults: [] };
+    Object.entries(READING_FIELDS).forEach(([name, field]) => {
+        const value = raw[name];
+        if (value === undefined || value === null) {
+            entry[name] = null;
+            return;
+        }
+
+        const result = normalizeField(field, value);
+        entry[name] = result.fault ? null : result.value;
+        if (result.fault) entry.faults.push({ field: name, value: String(value).slice(0, MAX_FAULT_VALUE_LENGTH), reason: result.fault });
+    });
+
+    return { entry, reason: null };
+}
+
+/**
+ * Chuẩn hóa danh sách bản ghi (mảng hoặc đối tượng `{ key: entry }` của Firebase), bỏ các bản ghi bị cách ly.
+ * Trả về cùng dạng với đầu vào cùng số bản ghi bị bỏ.
+ */
+export function normalizeReadings(records) {
+    let quarantined = 0;
+    const normalize = (raw) => {
+        const { entry } = normalizeReading(raw);
+        if (!entry) quarantined++;
+        return entry;
+    };
+
+    if (Array.isArray(records)) return { records: records.map(normalize).filter(Boolean), quarantined };
+
+    const entries = Object.entries(records || {})
+        .map(([key, raw]) => [key, normalize(raw)])
+        .filter(([, entry]) => entry);
+    return { records: Object.fromEntries(entries), quarantined };
+}
+
+export const isFaulty = (entry, field) => Boolean(entry?.faults?.some((fault) => fault.field === field));
+
+// "Nhiệt độ bé: 85 (ngoài khoảng 30 - 45)" cho từng trường lỗi, nối bằng dấu phẩy
+export const describeFaults = (faults) =>
+    faults
+        .map(({ field, value, reason }) => {
+            const { label, min, max } = READING_FIELDS[field];
+            const detail = reason === "outOfRange" ? t("ngoài khoảng {min} - {max}", { min, max }) : t("không hợp lệ");
+            return `${t(label)}: ${value} (${detail})`;
+        })
+        .join(", ");
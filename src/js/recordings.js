@@ -0,0 +1,259 @@
+// src/js/recordings.js
+
+import { t } from "./i18n.js";
+
+// Ảnh chụp và clip từ camera chỉ lưu trên trình duyệt này (IndexedDB), không tải lên Firebase.
+// Tách riêng khỏi bộ nhớ đệm ngoại tuyến vì bộ nhớ đệm bị xóa khi đăng xuất, còn bản ghi thì không.
+const DB_NAME = "babySleepTracker.recordings";
+const DB_VERSION = 1;
+const STORE = "recordings";
+const AUTO_CLIP_STORAGE_KEY = "babySleepTracker.autoClip";
+
+export const RECORDING_RULES = {
+    // Clip bắt đầu ít nhất chừng này trước thời điểm cảnh báo
+    PRE_ROLL_MS: 5 * 1000,
+    // Tiếp tục ghi sau thời điểm cảnh báo
+    POST_ROLL_MS: 10 * 1000,
+    // Giữ tối đa chừng này ảnh/clip cho mỗi thiết bị, xóa bản cũ nhất khi vượt quá
+    MAX_PER_DEVICE: 40,
+};
+
+export const RECORDING_KINDS = {
+    snapshot: "Ảnh chụp",
+    clip: "Clip",
+};
+
+const CLIP_MIME_TYPES = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm", "video/mp4"];
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!("indexedDB" in window)) {
+                reject(new Error(t("Trình duyệt không hỗ trợ IndexedDB.")));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: "id" });
+                store.createIndex("byDevice", ["uid", "householdId", "deviceId"]);
+                store.createIndex("byUser", "uid");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Ảnh chụp và clip của một thiết bị (của tài khoản đang đăng nhập), mới nhất trước.
+ * Mỗi bản ghi: `{ id, kind, uid, householdId, deviceId, createdAt, readingKey, alerts, mimeType, blob, durationMs }`.
+ */
+export async function listRecordings(uid, householdId, deviceId) {
+    const recordings = await runRequest("readonly", (store) => store.index("byDevice").getAll([uid, householdId, deviceId]));
+    return recordings.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export const deleteRecording = (id) => runRequest("readwrite", (store) => store.delete(id));
+
+// Xóa bản cũ nhất khi thiết bị vượt quá số lượng cho phép
+const pruneRecordings = async (uid, householdId, deviceId) => {
+    const recordings = await listRecordings(uid, householdId, deviceId);
+    await Promise.all(recordings.slice(RECORDING_RULES.MAX_PER_DEVICE).map((recording) => deleteRecording(recording.id)));
+};
+
+const saveRecording = async (recording) => {
+    const record = { id: `${recording.createdAt}-${Math.random().toString(36).slice(2, 8)}`, ...recording };
+
+    try {
+        await runRequest("readwrite", (store) => store.put(record));
+    } catch (error) {
+        if (error?.name === "QuotaExceededError") throw new Error(t("Bộ nhớ trình duyệt đã đầy, hãy xóa bớt ảnh và clip cũ."));
+        throw error;
+    }
+
+    pruneRecordings(record.uid, record.householdId, record.deviceId).catch((error) => console.warn("Không dọn được ảnh/clip cũ:", error));
+    return record;
+};
+
+/**
+ * Xóa toàn bộ ảnh và clip của một tài khoản (khi xóa tài khoản).
+ */
+export async function clearRecordings(uid) {
+    const ids = await runRequest("readonly", (store) => store.index("byUser").getAllKeys(uid));
+    await Promise.all(ids.map((id) => deleteRecording(id)));
+}
+
+/**
+ * Chụp khung hình hiện tại của video camera thành ảnh JPEG và lưu lại.
+ * `meta` gồm `uid`, `householdId`, `deviceId` và `readingKey` (bản ghi cảm biến gần nhất lúc chụp).
+ */
+export async function takeSnapshot(video, meta) {
+    if (!video?.videoWidth) throw new Error(t("Camera chưa có hình để chụp."));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.9));
+    if (!blob) throw new Error(t("Không thể chụp ảnh."));
+
+    return saveRecording({ ...meta, kind: "snapshot", createdAt: Date.now(), alerts: [], mimeType: blob.type, blob, durationMs: 0 });
+}
+
+export const isClipRecordingSupported = () => typeof MediaRecorder !== "undefined";
+
+export const isAutoClipEnabled = () => isClipRecordingSupported() && localStorage.getItem(AUTO_CLIP_STORAGE_KEY) !== "false";
+
+export const setAutoClipEnabled = (enabled) => localStorage.setItem(AUTO_CLIP_STORAGE_KEY, String(Boolean(enabled)));
+
+const pickMimeType = () => CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+
+/*
+ * Bộ đệm quay trước: đoạn ghi giữa chừng của MediaRecorder không phát độc lập được, nên thay vì cắt
+ * một bộ đệm vòng, cứ mỗi PRE_ROLL_MS lại mở một MediaRecorder mới và bỏ bản đã chạy quá 2 * PRE_ROLL_MS.
+ * Lúc nào cũng có một bản đã ghi được từ PRE_ROLL_MS đến 2 * PRE_ROLL_MS; khi có cảnh báo, bản đó
+ * được giữ lại ghi thêm POST_ROLL_MS rồi lưu thành clip.
+ */
+// { stream, mimeType, segments: [{ recorder, chunks, startedAt }], timer, capture }
+let buffer = null;
+
+const discardSegment = (segment) => {
+    segment.recorder.ondataavailable = null;
+    if (segment.recorder.state !== "inactive") segment.recorder.stop();
+};
+
+const startSegment = () => {
+    const recorder = new MediaRecorder(buffer.stream, buffer.mimeType ? { mimeType: buffer.mimeType } : undefined);
+    const segment = { recorder, chunks: [], startedAt: Date.now() };
+
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) segment.chunks.push(event.data);
+    };
+    recorder.start();
+    return segment;
+};
+
+const rotateSegments = () => {
+    const now = Date.now();
+    buffer.segments = buffer.segments.filter((segment) => {
+        if (now - segment.startedAt < 2 * RECORDING_RULES.PRE_ROLL_MS) return true;
+        discardSegment(segment);
+        return false;
+    });
+
+    try {
+        buffer.segments.push(startSegment());
+    } catch (error) {
+        console.error("Không thể bắt đầu ghi camera:", error);
+    }
+};
+
+/**
+ * Bắt đầu bộ đệm quay trước trên luồng camera (gọi khi camera chuyển sang "live").
+ * Gọi lại với cùng luồng thì không làm gì.
+ */
+export function startClipBuffer(stream) {
+    if (!stream || !isClipRecordingSupported()) return;
+    if (buffer?.stream === stream) return;
+
+    stopClipBuffer();
+    buffer = { stream, mimeType: pickMimeType(), segments: [], timer: null, capture: null };
+    rotateSegments();
+    buffer.timer = setInterval(rotateSegments, RECORDING_RULES.PRE_ROLL_MS);
+}
+
+/**
+ * Dừng bộ đệm (camera mất kết nối, đổi thiết bị hoặc tắt tự ghi). Clip đang ghi dở được lưu với phần đã có.
+ */
+export function stopClipBuffer() {
+    if (!buffer) return;
+
+    clearInterval(buffer.timer);
+    buffer.segments.forEach(discardSegment);
+    if (buffer.capture) buffer.capture.finish();
+    buffer = null;
+}
+
+const stopSegment = (segment) =>
+    new Promise((resolve) => {
+        if (segment.recorder.state === "inactive") {
+            resolve();
+            return;
+        }
+        segment.recorder.onstop = resolve;
+        segment.recorder.onerror = resolve;
+        segment.recorder.stop();
+    });
+
+/**
+ * Lưu clip quanh thời điểm cảnh báo, bắt đầu từ đoạn đệm cũ nhất (vài giây trước cảnh báo).
+ * `alert` là đối tượng cảnh báo của alert-manager; `id` của nó được đọc lúc lưu vì có thể chưa có ngay.
+ * Cảnh báo đến khi một clip đang ghi được gắn vào clip đó. Trả về null nếu bộ đệm chưa chạy.
+ */
+export function captureClip(meta, alert = null) {
+    if (!buffer) return Promise.resolve(null);
+
+    if (buffer.capture) {
+        if (alert) buffer.capture.alerts.push(alert);
+        return buffer.capture.promise;
+    }
+
+    const segment = buffer.segments.shift();
+    if (!segment) return Promise.resolve(null);
+
+    const capture = { alerts: alert ? [alert] : [], promise: null, finish: null };
+    const owner = buffer;
+    const triggeredAt = Date.now();
+
+    capture.promise = new Promise((resolve, reject) => {
+        let timer = null;
+        let finished = false;
+
+        capture.finish = async () => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            if (owner.capture === capture) owner.capture = null;
+
+            await stopSegment(segment);
+            if (segment.chunks.length === 0) {
+                resolve(null);
+                return;
+            }
+
+            const mimeType = segment.recorder.mimeType || owner.mimeType || "video/webm";
+            saveRecording({
+                ...meta,
+                kind: "clip",
+                createdAt: triggeredAt,
+                startedAt: segment.startedAt,
+                alerts: capture.alerts.map(({ id, kind, type, message }) => ({ id: id || null, kind, type, message })),
+                mimeType,
+                blob: new Blob(segment.chunks, { type: mimeType }),
+                durationMs: Date.now() - segment.startedAt,
+            }).then(resolve, reject);
+        };
+
+        timer = setTimeout(capture.finish, RECORDING_RULES.POST_ROLL_MS);
+    });
+
+    buffer.capture = capture;
+    // Mở ngay một đoạn đệm mới để cảnh báo tiếp theo vẫn có phần quay trước
+    rotateSegments();
+    return capture.promise;
+}
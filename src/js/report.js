@@ -0,0 +1,207 @@
+// src/js/report.js
+
+import { detectSleepSessions, summarizeByDay, getDayKey, formatDuration } from "./sleep-sessions.js";
+import { describeEvent } from "./caregiver-events.js";
+import { t, formatTemperature } from "./i18n.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Hai bản ghi cách nhau lâu hơn mức này thì không cộng dồn thời gian (thiết bị mất dữ liệu)
+const MAX_READING_GAP_MS = 15 * 60 * 1000;
+
+const withTime = (readings) =>
+    readings
+        .map((entry) => ({ entry, timeMs: new Date(entry.timestamp).getTime() }))
+        .filter((reading) => !Number.isNaN(reading.timeMs))
+        .sort((a, b) => a.timeMs - b.timeMs);
+
+/**
+ * Gom các bản ghi liên tiếp thỏa `predicate` thành các đợt (sốt, khóc...).
+ * Mỗi đợt kết thúc ở bản ghi đầu tiên không còn thỏa, hoặc ở bản ghi cuối nếu dữ liệu bị gián đoạn.
+ */
+export function detectEpisodes(readings, predicate, valueKey = null) {
+    const episodes = [];
+    let current = null;
+    let previous = null;
+
+    withTime(readings).forEach((reading) => {
+        const gapTooLong = previous && reading.timeMs - previous.timeMs > MAX_READING_GAP_MS;
+
+        if (current && (gapTooLong || !predicate(reading.entry))) {
+            current.endMs = gapTooLong ? previous.timeMs : reading.timeMs;
+            episodes.push(current);
+            current = null;
+        }
+
+        if (!current && predicate(reading.entry)) {
+            current = { startMs: reading.timeMs, endMs: reading.timeMs, peak: null };
+        }
+
+        if (current && valueKey && typeof reading.entry[valueKey] === "number") {
+            current.peak = current.peak === null ? reading.entry[valueKey] : Math.max(current.peak, reading.entry[valueKey]);
+        }
+
+        previous = reading;
+    });
+
+    if (current) {
+        current.endMs = previous.timeMs;
+        episodes.push(current);
+    }
+
+    return episodes.map((episode) => ({ ...episode, durationMs: episode.endMs - episode.startMs }));
+}
+
+// Tổng thời gian (ms) các bản ghi thỏa `predicate`, tính đến bản ghi kế tiếp
+const totalTimeMs = (readings, predicate) => {
+    const timed = withTime(readings);
+    let total = 0;
+
+    timed.forEach((reading, index) => {
+        const next = timed[index + 1];
+        if (!next || !predicate(reading.entry)) return;
+        total += Math.min(next.timeMs - reading.timeMs, MAX_READING_GAP_MS);
+    });
+
+    return total;
+};
+
+/**
+ * Tổng hợp số liệu một tuần (7 ngày kể từ weekStartMs) cho báo cáo gửi bác sĩ.
+ */
+export function buildWeeklyReport(readings, events, thresholds, weekStartMs) {
+    const weekEndMs = weekStartMs + 7 * DAY_MS - 1;
+    const inWeek = (timestamp) => {
+        const timeMs = new Date(timestamp).getTime();
+        return timeMs >= weekStartMs && timeMs <= weekEndMs;
+    };
+
+    const weekReadings = readings.filter((entry) => inWeek(entry.timestamp));
+    const sleepByDay = new Map(summarizeByDay(detectSleepSessions(weekReadings, weekEndMs)).map((day) => [day.day, day]));
+
+    const days = Array.from({ length: 7 }, (_, index) => {
+        const dayKey = getDayKey(weekStartMs + index * DAY_MS + DAY_MS / 2);
+        return sleepByDay.get(dayKey) || { day: dayKey, totalSleepMs: 0, longestStretchMs: 0, nightSleepMs: 0, napSleepMs: 0, napCount: 0, wakeUps: 0 };
+    });
+
+    const feverEpisodes = detectEpisodes(
+        weekReadings,
+        (entry) => typeof entry.babyTemperature === "number" && entry.babyTemperature > thresholds.BABY_TEMP_DANGER,
+        "babyTemperature"
+    );
+    const cryingEpisodes = detectEpisodes(weekReadings, (entry) => entry.isCrying === true);
+
+    return {
+        weekStartMs,
+        weekEndMs,
+        readingCount: weekReadings.length,
+        readings: weekReadings,
+        days,
+        feverThreshold: thresholds.BABY_TEMP_DANGER,
+        feverEpisodes,
+        cryingEpisodes,
+        cryingTotalMs: cryingEpisodes.reduce((sum, episode) => sum + episode.durationMs, 0),
+        proneTotalMs: totalTimeMs(weekReadings, (entry) => entry.sleepPosition === "prone"),
+        events: events.filter((event) => inWeek(event.timestamp)),
+    };
+}
+
+const el = (tag, text, className) => {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+};
+
+const table = (headers, rows) => {
+    const tableEl = el("table", null, "report-table");
+    const headRow = el("tr");
+    headers.forEach((header) => headRow.appendChild(el("th", header)));
+    tableEl.appendChild(el("thead")).appendChild(headRow);
+
+    const body = tableEl.appendChild(el("tbody"));
+    rows.forEach((cells) => {
+        const row = el("tr");
+        cells.forEach((cell) => row.appendChild(el("td", cell)));
+        body.appendChild(row);
+    });
+
+    return tableEl;
+};
+
+/**
+ * Dựng nội dung báo cáo (chỉ dùng DOM API, không chèn HTML thô).
+ * `chartImages` là các ảnh biểu đồ đã vẽ sẵn: [{ title, src }].
+ */
+export function renderReport(container, report, { householdName, deviceName, formatTime, chartImages = [] }) {
+    container.innerHTML = "";
+
+    container.appendChild(el("h1", t("Báo cáo Giấc ngủ & Nhiệt độ")));
+    container.appendChild(
+        el(
+            "p",
+            `${householdName} · ${deviceName} · ${formatTime(new Date(report.weekStartMs).toISOString())} → ${formatTime(
+                new Date(report.weekEndMs).toISOString()
+            )} · ${t("{count} bản ghi", { count: report.readingCount })}`,
+            "report-meta"
+        )
+    );
+
+    container.appendChild(el("h2", t("Giấc ngủ theo ngày")));
+    container.appendChild(
+        table(
+            ["Ngày", "Tổng ngủ", "Giấc dài nhất", "Ngủ đêm", "Ngủ ngày", "Lần thức"].map((header) => t(header)),
+            report.days.map((day) => [
+                day.day,
+                formatDuration(day.totalSleepMs),
+                formatDuration(day.longestStretchMs),
+                formatDuration(day.nightSleepMs),
+                `${t("{count} giấc", { count: day.napCount })} · ${formatDuration(day.napSleepMs)}`,
+                String(day.wakeUps),
+            ])
+        )
+    );
+
+    container.appendChild(el("h2", t("Các đợt sốt (trên {threshold})", { threshold: formatTemperature(report.feverThreshold) })));
+    if (report.feverEpisodes.length === 0) {
+        container.appendChild(el("p", t("Không ghi nhận đợt sốt nào.")));
+    } else {
+        container.appendChild(
+            table(
+                ["Bắt đầu", "Kết thúc", "Thời lượng", "Nhiệt độ cao nhất"].map((header) => t(header)),
+                report.feverEpisodes.map((episode) => [
+                    formatTime(new Date(episode.startMs).toISOString()),
+                    formatTime(new Date(episode.endMs).toISOString()),
+                    formatDuration(episode.durationMs),
+                    formatTemperature(episode.peak),
+                ])
+            )
+        );
+    }
+
+    container.appendChild(el("h2", t("Tư thế và khóc")));
+    const summaryList = el("ul");
+    summaryList.appendChild(el("li", t("Thời gian nằm sấp: {duration}", { duration: formatDuration(report.proneTotalMs) })));
+    summaryList.appendChild(
+        el("li", t("Số đợt khóc: {count} (tổng {duration})", { count: report.cryingEpisodes.length, duration: formatDuration(report.cryingTotalMs) }))
+    );
+    container.appendChild(summaryList);
+
+    if (report.events.length > 0) {
+        container.appendChild(el("h2", t("Sự kiện chăm sóc")));
+        container.appendChild(
+            table(
+                ["Thời điểm", "Sự kiện", "Người ghi"].map((header) => t(header)),
+                report.events.map((event) => [formatTime(event.timestamp), describeEvent(event), event.authorEmail || ""])
+            )
+        );
+    }
+
+    chartImages.forEach(({ title, src }) => {
+        const figure = el("figure", null, "report-chart");
+        const img = el("img");
+        img.src = src;
+        img.alt = title;
+        figure.append(el("h2", title), img);
+        container.appendChild(figure);
+    });
+}
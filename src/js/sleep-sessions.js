@@ -0,0 +1,170 @@
+// src/js/sleep-sessions.js
+
+import { t, getPreferences } from "./i18n.js";
+
+const SESSION_RULES = {
+    // Thức ngắn hơn mức này vẫn tính là cùng một giấc (một lần thức giấc)
+    MAX_WAKE_GAP_MS: 10 * 60 * 1000,
+    // Hai bản ghi cách nhau lâu hơn mức này coi như mất dữ liệu, kết thúc giấc tại bản ghi cuối
+    MAX_RECORD_GAP_MS: 15 * 60 * 1000,
+    // Giấc bắt đầu trong khoảng [NIGHT_START_HOUR, NIGHT_END_HOUR) là giấc đêm
+    NIGHT_START_HOUR: 19,
+    NIGHT_END_HOUR: 7,
+};
+
+// Ngày và giấc đêm/giấc ngày được tính theo múi giờ người dùng chọn (giống formatTimestamp)
+// timeZone -> { day, hour }
+const zonedFormatters = new Map();
+
+const getFormatters = () => {
+    const { timeZone } = getPreferences();
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, {
+            day: new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }),
+            hour: new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", hourCycle: "h23" }),
+        });
+    }
+    return zonedFormatters.get(timeZone);
+};
+
+// Khóa ngày dạng YYYY-MM-DD theo múi giờ hiển thị
+export const getDayKey = (timeMs) => getFormatters().day.format(new Date(timeMs));
+
+const getHour = (timeMs) => parseInt(getFormatters().hour.format(new Date(timeMs)), 10);
+
+const isNightStart = (timeMs) => {
+    const hour = getHour(timeMs);
+    return hour >= SESSION_RULES.NIGHT_START_HOUR || hour < SESSION_RULES.NIGHT_END_HOUR;
+};
+
+const toSortedReadings = (records) =>
+    Object.values(records || {})
+        .map((entry) => ({ ...entry, timeMs: new Date(entry.timestamp).getTime() }))
+        .filter((entry) => !Number.isNaN(entry.timeMs))
+        .sort((a, b) => a.timeMs - b.timeMs);
+
+const finalizeSession = (session) => {
+    const durationMs = session.endMs - session.startMs;
+    return {
+        start: new Date(session.startMs).toISOString(),
+        end: new Date(session.endMs).toISOString(),
+        startMs: session.startMs,
+        endMs: session.endMs,
+        durationMs,
+        sleepMs: Math.max(0, durationMs - session.awakeMs),
+        wakeUps: session.wakeUps,
+        cryingEpisodes: session.cryingEpisodes,
+        type: isNightStart(session.startMs) ? "night" : "nap",
+        ongoing: session.ongoing,
+    };
+};
+
+/**
+ * Gom các bản ghi sleepData liên tiếp thành các giấc ngủ.
+ * Một giấc bắt đầu ở bản ghi "sleeping" đầu tiên và kết thúc khi bé thức lâu hơn
+ * MAX_WAKE_GAP_MS hoặc khi dữ liệu bị gián đoạn; các lần thức ngắn ở giữa được đếm là wakeUps.
+ */
+export function detectSleepSessions(records, now = Date.now()) {
+    const readings = toSortedReadings(records);
+    const sessions = [];
+
+    let current = null;
+    let awakeSinceMs = null;
+    let wasCrying = false;
+    let previousMs = null;
+
+    const closeCurrent = (endMs) => {
+        current.endMs = endMs;
+        sessions.push(finalizeSession(current));
+        current = null;
+        awakeSinceMs = null;
+    };
+
+    readings.forEach((entry) => {
+        if (current && previousMs !== null && entry.timeMs - previousMs > SESSION_RULES.MAX_RECORD_GAP_MS) {
+            closeCurrent(awakeSinceMs ?? previousMs);
+        }
+
+        const crying = Boolean(entry.isCrying);
+
+        if (entry.status === "sleeping") {
+            if (!current) {
+                current = { startMs: entry.timeMs, endMs: entry.timeMs, awakeMs: 0, wakeUps: 0, cryingEpisodes: 0, ongoing: false };
+            } else if (awakeSinceMs !== null) {
+                // Bé thức ngắn rồi ngủ lại: vẫn cùng một giấc
+                current.awakeMs += entry.timeMs - awakeSinceMs;
+                current.wakeUps += 1;
+                awakeSinceMs = null;
+            }
+            current.endMs = entry.timeMs;
+        } else if (current) {
+            if (awakeSinceMs === null) awakeSinceMs = entry.timeMs;
+            if (entry.timeMs - awakeSinceMs > SESSION_RULES.MAX_WAKE_GAP_MS) {
+                closeCurrent(awakeSinceMs);
+            }
+        }
+
+        if (current && crying && !wasCrying) current.cryingEpisodes += 1;
+        wasCrying = crying;
+        previousMs = entry.timeMs;
+    });
+
+    if (current) {
+        // Giấc chưa kết thúc: vẫn đang ngủ (hoặc mới thức ngắn) và dữ liệu còn mới
+        const stillFresh = previousMs !== null && now - previousMs <= SESSION_RULES.MAX_RECORD_GAP_MS;
+        current.ongoing = stillFresh && awakeSinceMs === null;
+        closeCurrent(awakeSinceMs ?? previousMs);
+    }
+
+    return sessions;
+}
+
+/**
+ * Tổng hợp các giấc ngủ theo ngày (ngày của thời điểm bắt đầu giấc).
+ * Trả về mảng đã sắp xếp từ ngày mới nhất.
+ */
+export function summarizeByDay(sessions) {
+    const days = new Map();
+
+    sessions.forEach((session) => {
+        const dayKey = getDayKey(session.startMs);
+        if (!days.has(dayKey)) {
+            days.set(dayKey, {
+                day: dayKey,
+                totalSleepMs: 0,
+                longestStretchMs: 0,
+                nightSleepMs: 0,
+                napSleepMs: 0,
+                napCount: 0,
+                wakeUps: 0,
+                cryingEpisodes: 0,
+                sessionCount: 0,
+            });
+        }
+
+        const summary = days.get(dayKey);
+        summary.totalSleepMs += session.sleepMs;
+        summary.longestStretchMs = Math.max(summary.longestStretchMs, session.sleepMs);
+        summary.wakeUps += session.wakeUps;
+        summary.cryingEpisodes += session.cryingEpisodes;
+        summary.sessionCount += 1;
+
+        if (session.type === "night") {
+            summary.nightSleepMs += session.sleepMs;
+        } else {
+            summary.napSleepMs += session.sleepMs;
+            summary.napCount += 1;
+        }
+    });
+
+    return [...days.values()].sort((a, b) => b.day.localeCompare(a.day));
+}
+
+export const formatDuration = (ms) => {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) return t("{minutes} phút", { minutes });
+    return minutes === 0 ? t("{hours} giờ", { hours }) : t("{hours} giờ {minutes} phút", { hours, minutes });
+};
@@ -0,0 +1,113 @@
+// src/js/thresholds.js
+
+import { database, ref, set } from "./firebase-config.js";
+import { onValue } from "firebase/database";
+import { householdPath } from "./household.js";
+import { t, formatTemperature } from "./i18n.js";
+
+// Ngưỡng mặc định khi hộ gia đình chưa lưu cài đặt riêng; phòng và độ ẩm theo cùng khoảng khuyến nghị với các mẫu bên dưới
+export const DEFAULT_THRESHOLDS = {
+    BABY_TEMP_DANGER: 37.5,
+    BABY_TEMP_WARNING: 37.0,
+    ROOM_TEMP_MIN: 20,
+    ROOM_TEMP_MAX: 24,
+    HUMIDITY_MIN: 40,
+    HUMIDITY_MAX: 60,
+};
+
+// Mẫu ngưỡng theo độ tuổi, phòng ngủ trẻ nhỏ nên giữ khoảng 20-24°C và độ ẩm 40-60%
+export const AGE_PRESETS = {
+    newborn: {
+        label: "Sơ sinh (0-3 tháng)",
+        values: { BABY_TEMP_DANGER: 37.5, BABY_TEMP_WARNING: 37.2, ROOM_TEMP_MIN: 20, ROOM_TEMP_MAX: 24, HUMIDITY_MIN: 40, HUMIDITY_MAX: 60 },
+    },
+    infant: {
+        label: "Nhũ nhi (3-12 tháng)",
+        values: { BABY_TEMP_DANGER: 37.8, BABY_TEMP_WARNING: 37.3, ROOM_TEMP_MIN: 20, ROOM_TEMP_MAX: 24, HUMIDITY_MIN: 40, HUMIDITY_MAX: 60 },
+    },
+    toddler: {
+        label: "Trẻ mới biết đi (1-3 tuổi)",
+        values: { BABY_TEMP_DANGER: 38.0, BABY_TEMP_WARNING: 37.5, ROOM_TEMP_MIN: 19, ROOM_TEMP_MAX: 25, HUMIDITY_MIN: 40, HUMIDITY_MAX: 60 },
+    },
+};
+
+// Giới hạn hợp lệ cho từng ngưỡng, tránh lưu nhầm giá trị vô nghĩa
+const LIMITS = {
+    BABY_TEMP_DANGER: [35, 42],
+    BABY_TEMP_WARNING: [35, 42],
+    ROOM_TEMP_MIN: [0, 50],
+    ROOM_TEMP_MAX: [0, 50],
+    HUMIDITY_MIN: [0, 100],
+    HUMIDITY_MAX: [0, 100],
+};
+
+let stopListening = null;
+
+const thresholdsRef = (householdId) => ref(database, `${householdPath(householdId)}/settings/thresholds`);
+
+/**
+ * Chuẩn hóa và kiểm tra bộ ngưỡng. Ném Error với thông báo theo ngôn ngữ đang chọn nếu không hợp lệ.
+ */
+export function validateThresholds(values) {
+    const result = {};
+
+    Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+        const value = Number(values[key]);
+        if (values[key] === "" || values[key] == null || Number.isNaN(value)) {
+            throw new Error(t("Vui lòng nhập đầy đủ các ngưỡng."));
+        }
+        if (value < min || value > max) {
+            const format = key.includes("TEMP") ? formatTemperature : (number) => `${number}%`;
+            throw new Error(
+                t("Giá trị {value} nằm ngoài khoảng cho phép ({min} - {max}).", { value: format(value), min: format(min), max: format(max) })
+            );
+        }
+        result[key] = value;
+    });
+
+    if (result.BABY_TEMP_WARNING >= result.BABY_TEMP_DANGER) {
+        throw new Error(t("Ngưỡng chú ý phải thấp hơn ngưỡng sốt."));
+    }
+    if (result.ROOM_TEMP_MIN >= result.ROOM_TEMP_MAX) {
+        throw new Error(t("Nhiệt độ phòng tối thiểu phải thấp hơn tối đa."));
+    }
+    if (result.HUMIDITY_MIN >= result.HUMIDITY_MAX) {
+        throw new Error(t("Độ ẩm tối thiểu phải thấp hơn tối đa."));
+    }
+
+    return result;
+}
+
+export async function saveThresholds(householdId, values) {
+    const thresholds = validateThresholds(values);
+    await set(thresholdsRef(householdId), { ...thresholds, updatedAt: new Date().toISOString() });
+    return thresholds;
+}
+
+/**
+ * Lắng nghe ngưỡng của hộ gia đình. `onChange` nhận bộ ngưỡng đầy đủ (đã gộp với mặc định)
+ * mỗi khi có người lưu thay đổi, kể cả từ thiết bị khác.
+ */
+export function startThresholdsListener(householdId, onChange) {
+    stopThresholdsListener();
+
+    stopListening = onValue(
+        thresholdsRef(householdId),
+        (snapshot) => {
+            const saved = snapshot.val() || {};
+            const merged = { ...DEFAULT_THRESHOLDS };
+            Object.keys(DEFAULT_THRESHOLDS).forEach((key) => {
+                if (typeof saved[key] === "number") merged[key] = saved[key];
+            });
+            onChange(merged);
+        },
+        (error) => console.error("Lỗi tải ngưỡng cảnh báo:", error)
+    );
+}
+
+export function stopThresholdsListener() {
+    if (stopListening) {
+        stopListening();
+        stopListening = null;
+    }
+}
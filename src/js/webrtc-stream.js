@@ -1,112 +1,420 @@
 // src/js/webrtc-stream.js
 
 import { database, ref, set, push, auth } from "./firebase-config.js";
-import { onValue } from "firebase/database";
+import { onValue, onChildAdded, update, remove, onDisconnect } from "firebase/database";
+import { loadIceConfiguration, getSelectedCandidateType } from "./ice-config.js";
+import { t } from "./i18n.js";
 
-let pc = null; // Đối tượng RTCPeerConnection
+// Trạng thái phiên camera hiển thị trên khung video
+export const CAMERA_STATES = {
+    idle: "",
+    connecting: "Đang kết nối camera...",
+    live: "Trực tiếp",
+    reconnecting: "Mất kết nối camera, đang kết nối lại...",
+    failed: "Không thể kết nối camera.",
+};
+
+// Thời gian chờ trước mỗi lần kết nối lại; hết danh sách thì dừng ở trạng thái "failed"
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 20000, 30000];
+// Không nhận được hình sau khoảng này kể từ khi gửi yêu cầu thì thử phiên mới
+const CONNECT_TIMEOUT_MS = 20 * 1000;
+// ICE "disconnected" thường tự hồi phục khi mạng chập chờn, đợi một lúc rồi mới xin ICE restart
+const DISCONNECTED_GRACE_MS = 5 * 1000;
+const ICE_RESTART_TIMEOUT_MS = 10 * 1000;
+
+// Mỗi thiết bị có một phiên riêng: deviceId -> session
+const sessions = new Map();
+
+const isCurrent = (session, sessionId) => !session.closed && sessions.get(session.deviceId) === session && session.sessionId === sessionId;
 
-// Lấy thông tin Server ICE/STUN/TURN (cần thiết để kết nối)
-const iceServers = {
-    iceServers: [
-        { urls: "stun:stun.l.google.com:19302" },
-        // Thêm các server TURN của riêng bạn ở đây nếu cần cho mạng phức tạp
-    ],
+const setState = (session, state, detail = {}) => {
+    session.state = state;
+    session.onStateChange(state, { attempt: session.attempt, ...detail });
 };
 
-/**
- * Khởi tạo kết nối WebRTC để nhận luồng video từ Raspberry Pi.
- * Sử dụng Firebase Realtime Database làm Signaling Server.
- */
-export function startWebRTCStream() {
-    // 1. Kiểm tra trạng thái đăng nhập
-    if (!auth.currentUser) {
-        console.error("Lỗi WebRTC: Người dùng chưa đăng nhập.");
+const setTimer = (session, name, callback, delayMs) => {
+    clearTimeout(session.timers[name]);
+    session.timers[name] = setTimeout(() => {
+        delete session.timers[name];
+        callback();
+    }, delayMs);
+};
+
+const clearTimers = (session) => {
+    Object.values(session.timers).forEach((timer) => clearTimeout(timer));
+    session.timers = {};
+};
+
+// Đóng Peer Connection và bỏ các listener của lần kết nối hiện tại (giữ lại phiên để kết nối lại)
+const teardownPeer = (session) => {
+    session.unsubscribes.forEach((unsubscribe) => unsubscribe());
+    session.unsubscribes = [];
+    if (session.pc) session.pc.close();
+    session.pc = null;
+    session.sessionId = null;
+    session.pendingCandidates = [];
+    session.appliedOfferSdp = null;
+    session.iceRestartRequested = false;
+    session.candidateType = null;
+    session.remoteStream = null;
+    session.video.srcObject = null;
+    if (session.micTrack) session.micTrack.stop();
+    session.micTrack = null;
+};
+
+const toIceCandidate = ({ candidate, sdpMid, sdpMLineIndex, usernameFragment }) =>
+    new RTCIceCandidate({ candidate, sdpMid, sdpMLineIndex, usernameFragment });
+
+const addCandidate = (session, candidateData) => {
+    session.pc.addIceCandidate(toIceCandidate(candidateData)).catch((e) => console.error(`WebRTC [${session.deviceId}]: Lỗi thêm ICE candidate:`, e));
+};
+
+const scheduleReconnect = (session) => {
+    if (session.closed || session.timers.reconnect) return;
+
+    clearTimers(session);
+    teardownPeer(session);
+
+    if (session.attempt >= RECONNECT_DELAYS_MS.length) {
+        console.warn(`WebRTC [${session.deviceId}]: Hết số lần thử kết nối lại.`);
+        setState(session, "failed");
+        return;
+    }
+
+    const delayMs = RECONNECT_DELAYS_MS[session.attempt];
+    session.attempt += 1;
+    setState(session, "reconnecting", { delayMs });
+    console.log(`WebRTC [${session.deviceId}]: Kết nối lại sau ${delayMs / 1000}s (lần ${session.attempt}).`);
+
+    setTimer(session, "reconnect", () => connect(session), delayMs);
+};
+
+// Người xem là bên trả lời nên không tự tạo Offer ICE restart được; nhờ Pi gửi Offer mới với ICE restart
+const requestIceRestart = (session) => {
+    if (session.iceRestartRequested) {
+        scheduleReconnect(session);
         return;
     }
 
-    // 2. Thiết lập tham chiếu Firebase và UI
-    const userId = auth.currentUser.uid;
-    const sessionRef = ref(database, `webrtc_sessions/${userId}`);
-    const cameraVideo = document.getElementById("baby-camera");
+    session.iceRestartRequested = true;
+    setState(session, "reconnecting");
+    console.log(`WebRTC [${session.deviceId}]: Yêu cầu Pi khởi động lại ICE.`);
+
+    update(session.sessionRef, { iceRestartRequestedAt: Date.now() }).catch((error) =>
+        console.error(`WebRTC [${session.deviceId}]: Không thể yêu cầu ICE restart:`, error)
+    );
+    setTimer(session, "iceRestart", () => scheduleReconnect(session), ICE_RESTART_TIMEOUT_MS);
+};
+
+const handleIceStateChange = (session) => {
+    const iceState = session.pc?.iceConnectionState;
+
+    if (iceState === "connected" || iceState === "completed") {
+        clearTimers(session);
+        session.attempt = 0;
+        session.iceRestartRequested = false;
+        if (session.state !== "live") setState(session, "live", { candidateType: session.candidateType });
+        reportCandidateType(session);
+    } else if (iceState === "disconnected") {
+        setState(session, "reconnecting");
+        setTimer(session, "grace", () => requestIceRestart(session), DISCONNECTED_GRACE_MS);
+    } else if (iceState === "failed") {
+        requestIceRestart(session);
+    }
+};
+
+// Cặp candidate có thể đổi sau ICE restart nên đọc lại mỗi lần kết nối thành công
+const reportCandidateType = async (session) => {
+    const { pc, sessionId } = session;
+
+    try {
+        const candidateType = await getSelectedCandidateType(pc);
+        if (!isCurrent(session, sessionId) || !candidateType || candidateType === session.candidateType) return;
+
+        session.candidateType = candidateType;
+        console.log(`WebRTC [${session.deviceId}]: Kết nối qua candidate "${candidateType}".`);
+        if (session.state === "live") setState(session, "live", { candidateType });
+    } catch (error) {
+        console.error(`WebRTC [${session.deviceId}]: Không đọc được thống kê ICE:`, error);
+    }
+};
+
+// Áp dụng Offer của Pi: lần đầu, khi Pi gửi lại sau ICE restart, hoặc khi Pi khởi động lại
+const handleOffer = async (session, sessionId, offer) => {
+    if (!offer || offer.sessionId !== sessionId || offer.sdp === session.appliedOfferSdp) return;
+    session.appliedOfferSdp = offer.sdp;
+    const { pc } = session;
+
+    try {
+        console.log(`WebRTC [${session.deviceId}]: Nhận SDP Offer từ Pi. Bắt đầu tạo Answer.`);
+        // Nếu người xem cũng đang gửi Offer (bật micro) thì nhường Pi: setRemoteDescription tự rollback Offer của web,
+        // negotiationneeded sẽ phát lại sau khi trở về "stable"
+        await pc.setRemoteDescription({ type: offer.type, sdp: offer.sdp });
+
+        // Candidate đến trước Offer được giữ lại, giờ mới thêm vào
+        session.pendingCandidates.forEach((candidate) => addCandidate(session, candidate));
+        session.pendingCandidates = [];
+
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+        if (!isCurrent(session, sessionId)) return;
+
+        await set(ref(session.sessionRef, "answer"), { ...answer.toJSON(), sessionId });
+    } catch (error) {
+        // Offer mới không áp dụng được trên kết nối cũ (ví dụ Pi khởi động lại với chứng chỉ khác): mở phiên mới
+        console.error(`WebRTC [${session.deviceId}]: Lỗi xử lý Offer:`, error);
+        if (isCurrent(session, sessionId)) scheduleReconnect(session);
+    }
+};
+
+// Người xem thêm micro: web tự tạo Offer gửi qua `viewerOffer`, Pi trả lời ở `piAnswer`
+const negotiateFromViewer = async (session, sessionId) => {
+    const { pc } = session;
+    // Kết nối ban đầu luôn do Pi khởi tạo, chỉ đàm phán lại khi đã có kết nối ổn định
+    if (!pc.remoteDescription || pc.signalingState !== "stable") return;
+
+    try {
+        await pc.setLocalDescription();
+        if (!isCurrent(session, sessionId)) return;
+
+        console.log(`WebRTC [${session.deviceId}]: Gửi Offer đàm phán lại (micro) lên Firebase.`);
+        await set(ref(session.sessionRef, "viewerOffer"), { type: pc.localDescription.type, sdp: pc.localDescription.sdp, sessionId });
+    } catch (error) {
+        console.error(`WebRTC [${session.deviceId}]: Lỗi đàm phán lại:`, error);
+    }
+};
+
+const handlePiAnswer = async (session, sessionId, answer) => {
+    const { pc } = session;
+    if (!answer || answer.sessionId !== sessionId || pc.signalingState !== "have-local-offer") return;
 
-    if (pc) {
-        console.log("WebRTC đã kết nối hoặc đang kết nối. Đóng kết nối cũ.");
-        pc.close();
+    try {
+        await pc.setRemoteDescription({ type: answer.type, sdp: answer.sdp });
+    } catch (error) {
+        console.error(`WebRTC [${session.deviceId}]: Lỗi áp dụng Answer của Pi:`, error);
     }
+};
+
+/**
+ * Mở một phiên signaling mới. Mỗi lần kết nối có `sessionId` riêng; Offer, Answer và candidate
+ * của lần trước bị xóa và mọi dữ liệu mang `sessionId` khác đều bị bỏ qua.
+ */
+const connect = async (session) => {
+    teardownPeer(session);
+    setState(session, session.attempt === 0 ? "connecting" : "reconnecting");
 
-    // 3. Tạo Peer Connection
-    pc = new RTCPeerConnection(iceServers);
+    const sessionId = push(ref(database, "webrtc_sessions")).key;
+    session.sessionId = sessionId;
+
+    try {
+        await remove(session.sessionRef);
+        // Tự xóa phiên trên server khi trình duyệt mất kết nối hoặc bị đóng
+        await onDisconnect(session.sessionRef).remove();
+    } catch (error) {
+        console.error(`WebRTC [${session.deviceId}]: Không thể dọn phiên cũ:`, error);
+        if (isCurrent(session, sessionId)) scheduleReconnect(session);
+        return;
+    }
 
-    // --- CÁC SỰ KIỆN CỦA PEER CONNECTION PHÍA WEB APP (CLIENT) ---
+    // Tải lại mỗi lần kết nối để TURN credential ngắn hạn luôn còn hạn
+    const configuration = await loadIceConfiguration(session.householdId);
+    if (!isCurrent(session, sessionId)) return;
+
+    const pc = new RTCPeerConnection(configuration);
+    session.pc = pc;
 
-    // 4. Xử lý Remote Stream (Video từ Pi)
     pc.ontrack = (event) => {
         if (event.streams && event.streams[0]) {
-            cameraVideo.srcObject = event.streams[0];
-            console.log("WebRTC: Stream video từ Pi đã nhận.");
+            session.remoteStream = event.streams[0];
+            session.video.srcObject = event.streams[0];
+            console.log(`WebRTC [${session.deviceId}]: Stream video từ Pi đã nhận.`);
         }
     };
 
-    // 5. Xử lý ICE Candidates của Web App
-    // Gửi thông tin kết nối của Web App lên Firebase cho Pi biết
-    pc.onicecandidate = async (event) => {
-        if (event.candidate) {
-            console.log("WebRTC: Gửi ICE Candidate Web App lên Firebase.");
-            // Đẩy candidate của web lên node 'web_candidates'
-            await push(ref(database, `webrtc_sessions/${userId}/iceCandidates/web_candidates`), event.candidate.toJSON());
-        }
+    pc.onicecandidate = (event) => {
+        if (!event.candidate || !isCurrent(session, sessionId)) return;
+        push(ref(session.sessionRef, "iceCandidates/web_candidates"), { ...event.candidate.toJSON(), sessionId }).catch((error) =>
+            console.error(`WebRTC [${session.deviceId}]: Không thể gửi ICE candidate:`, error)
+        );
     };
 
-    // 6. Lắng nghe SDP Offer từ Pi (Bước 1: Pi tạo Offer và đẩy lên Firebase)
-    onValue(
-        ref(database, `webrtc_sessions/${userId}/offer`),
-        async (snapshot) => {
-            const offerData = snapshot.val();
-            // Chỉ xử lý Offer khi có dữ liệu và chưa có remoteDescription (tránh lặp lại)
-            if (offerData && !pc.remoteDescription) {
-                console.log("WebRTC: Nhận SDP Offer từ Pi. Bắt đầu tạo Answer.");
-
-                // Set Offer làm Remote Description
-                await pc.setRemoteDescription(new RTCSessionDescription(offerData));
-
-                // Tạo SDP Answer
-                const answer = await pc.createAnswer();
-                await pc.setLocalDescription(answer);
-
-                // Gửi SDP Answer trở lại Pi qua Firebase
-                console.log("WebRTC: Gửi SDP Answer lên Firebase.");
-                await set(ref(sessionRef, "answer"), answer.toJSON());
+    pc.oniceconnectionstatechange = () => handleIceStateChange(session);
+    pc.onnegotiationneeded = () => negotiateFromViewer(session, sessionId);
+
+    session.unsubscribes.push(onValue(ref(session.sessionRef, "offer"), (snapshot) => handleOffer(session, sessionId, snapshot.val())));
+    session.unsubscribes.push(onValue(ref(session.sessionRef, "piAnswer"), (snapshot) => handlePiAnswer(session, sessionId, snapshot.val())));
+
+    session.unsubscribes.push(
+        onChildAdded(ref(session.sessionRef, "iceCandidates/pi_candidates"), (snapshot) => {
+            const candidate = snapshot.val();
+            if (!candidate || (candidate.sessionId && candidate.sessionId !== sessionId)) return;
+
+            if (pc.remoteDescription) {
+                addCandidate(session, candidate);
+            } else {
+                session.pendingCandidates.push(candidate);
             }
-        },
-        { onlyOnce: true }
-    ); // Lắng nghe Offer chỉ một lần
-
-    // 7. Lắng nghe ICE Candidates của Pi
-    // Pi sẽ đẩy các candidate của nó lên node 'pi_candidates'
-    onValue(ref(database, `webrtc_sessions/${userId}/iceCandidates/pi_candidates`), (snapshot) => {
-        const candidates = snapshot.val();
-        if (candidates) {
-            // Lặp qua tất cả candidates mới nhận được
-            Object.values(candidates).forEach((candidateData) => {
-                const candidate = new RTCIceCandidate(candidateData);
-                if (pc && pc.remoteDescription) {
-                    pc.addIceCandidate(candidate).catch((e) => console.error("WebRTC: Lỗi thêm ICE candidate:", e));
-                }
-            });
-            // Tùy chọn: Xóa các candidate đã xử lý trên Firebase để làm sạch
-            // set(ref(sessionRef, 'iceCandidates/pi_candidates'), null);
-        }
-    });
+        })
+    );
+
+    try {
+        // Báo cho Pi biết có người xem mới cần Offer
+        await update(session.sessionRef, { sessionId, requestedAt: Date.now() });
+    } catch (error) {
+        console.error(`WebRTC [${session.deviceId}]: Không thể tạo phiên xem:`, error);
+        if (isCurrent(session, sessionId)) scheduleReconnect(session);
+        return;
+    }
+
+    setTimer(session, "connect", () => scheduleReconnect(session), CONNECT_TIMEOUT_MS);
+};
+
+/**
+ * Khởi tạo kết nối WebRTC để nhận luồng video từ Raspberry Pi của một thiết bị.
+ * Sử dụng Firebase Realtime Database làm Signaling Server. Mỗi thành viên xem camera có một phiên
+ * riêng tại `webrtc_sessions/{householdId}/{deviceId}/{uid}`; Pi lắng nghe các phiên mới dưới
+ * `webrtc_sessions/{householdId}/{deviceId}` (qua `requestedAt`/`sessionId`) và gửi Offer kèm `sessionId`
+ * cho từng người xem. Khi mất kết nối, phiên tự xin ICE restart rồi kết nối lại với thời gian chờ tăng dần.
+ * `onStateChange(state, { attempt, delayMs, candidateType })` nhận một trong các khóa của CAMERA_STATES;
+ * khi "live", `candidateType` (host/srflx/prflx/relay) cho biết luồng đi trực tiếp hay qua TURN.
+ */
+export function startWebRTCStream(householdId, deviceId, cameraVideo = document.getElementById("baby-camera"), onStateChange = () => {}) {
+    if (!auth.currentUser) {
+        console.error("Lỗi WebRTC: Người dùng chưa đăng nhập.");
+        return;
+    }
+    if (!householdId || !deviceId) {
+        console.error("Lỗi WebRTC: Chưa chọn hộ gia đình hoặc thiết bị.");
+        return;
+    }
+
+    if (sessions.has(deviceId)) {
+        console.log(`WebRTC [${deviceId}] đã kết nối hoặc đang kết nối. Đóng kết nối cũ.`);
+        closeWebRTCStream(deviceId);
+    }
+
+    const session = {
+        householdId,
+        deviceId,
+        video: cameraVideo,
+        onStateChange,
+        sessionRef: ref(database, `webrtc_sessions/${householdId}/${deviceId}/${auth.currentUser.uid}`),
+        state: "idle",
+        attempt: 0,
+        sessionId: null,
+        pc: null,
+        pendingCandidates: [],
+        appliedOfferSdp: null,
+        iceRestartRequested: false,
+        candidateType: null,
+        remoteStream: null,
+        micTrack: null,
+        unsubscribes: [],
+        timers: {},
+        closed: false,
+    };
+    sessions.set(deviceId, session);
+
+    connect(session);
 }
 
 /**
- * Đóng kết nối WebRTC khi người dùng đăng xuất.
+ * Thử kết nối lại ngay (ví dụ người dùng bấm "Thử lại" sau khi phiên dừng ở trạng thái "failed",
+ * hoặc khi ứng dụng có mạng trở lại).
  */
-export function closeWebRTCStream() {
-    if (pc) {
-        pc.close();
-        pc = null;
-        console.log("WebRTC: Đã đóng kết nối.");
+export function retryWebRTCStream(deviceId) {
+    const session = sessions.get(deviceId);
+    if (!session) return;
+
+    clearTimers(session);
+    session.attempt = 0;
+    connect(session);
+}
+
+const findAudioTransceiver = (pc) =>
+    pc.getTransceivers().find((transceiver) => transceiver.receiver.track?.kind === "audio" && transceiver.currentDirection !== "stopped");
+
+/**
+ * Bắt đầu nói (push-to-talk): mở micro và gửi sang Pi trên cùng kết nối.
+ * Lần nói đầu tiên đổi kênh âm thanh sang gửi-nhận và đàm phán lại qua Firebase; các lần sau chỉ thay track.
+ */
+export async function startTalking(deviceId) {
+    const session = sessions.get(deviceId);
+    if (!session?.pc || session.state !== "live") throw new Error(t("Camera chưa kết nối."));
+    if (!navigator.mediaDevices?.getUserMedia) throw new Error(t("Trình duyệt không hỗ trợ micro."));
+    if (session.micTrack) return;
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+    } catch (error) {
+        console.error(`WebRTC [${deviceId}]: Không mở được micro:`, error);
+        throw new Error(t(error.name === "NotAllowedError" ? "Bạn chưa cho phép ứng dụng dùng micro." : "Không thể mở micro."));
+    }
+
+    // Phiên có thể đã kết nối lại trong lúc chờ người dùng cấp quyền micro
+    const { pc } = session;
+    if (sessions.get(deviceId) !== session || !pc) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw new Error(t("Camera chưa kết nối."));
     }
-    // (Tùy chọn) Xóa session data trên Firebase khi người dùng đăng xuất
+
+    const [track] = stream.getAudioTracks();
+    session.micTrack = track;
+
+    const transceiver = findAudioTransceiver(pc);
+    if (transceiver) {
+        await transceiver.sender.replaceTrack(track);
+        if (transceiver.direction !== "sendrecv") transceiver.direction = "sendrecv";
+    } else {
+        pc.addTrack(track, stream);
+    }
+}
+
+/**
+ * Ngừng nói: tắt micro nhưng giữ kênh gửi đã đàm phán (gửi im lặng) để lần sau không phải đàm phán lại.
+ */
+export function stopTalking(deviceId) {
+    const session = sessions.get(deviceId);
+    if (!session?.micTrack) return;
+
+    const track = session.micTrack;
+    session.micTrack = null;
+    track.stop();
+
+    const sender = session.pc?.getSenders().find((item) => item.track === track);
+    sender?.replaceTrack(null).catch((error) => console.error(`WebRTC [${deviceId}]: Lỗi tắt micro:`, error));
+}
+
+export const getWebRTCState = (deviceId) => sessions.get(deviceId)?.state || "idle";
+
+// Luồng hình/tiếng nhận từ Pi (dùng để ghi clip), null khi chưa kết nối
+export const getCameraStream = (deviceId) => sessions.get(deviceId)?.remoteStream || null;
+
+/**
+ * Đóng kết nối WebRTC của một thiết bị, hoặc của tất cả thiết bị khi không truyền deviceId
+ * (ví dụ khi người dùng đăng xuất), và xóa dữ liệu signaling của phiên trên Firebase.
+ * Cần gọi (và chờ) trước khi đăng xuất vì sau đó không còn quyền xóa.
+ */
+export function closeWebRTCStream(deviceId = null) {
+    const deviceIds = deviceId ? [deviceId] : [...sessions.keys()];
+
+    const cleanups = deviceIds.map((id) => {
+        const session = sessions.get(id);
+        if (!session) return null;
+
+        session.closed = true;
+        clearTimers(session);
+        teardownPeer(session);
+        sessions.delete(id);
+        setState(session, "idle");
+        console.log(`WebRTC [${id}]: Đã đóng kết nối.`);
+
+        return onDisconnect(session.sessionRef)
+            .cancel()
+            .then(() => remove(session.sessionRef))
+            .catch((error) => console.error(`WebRTC [${id}]: Không thể xóa phiên signaling:`, error));
+    });
+
+    return Promise.all(cleanups);
 }
@@ -0,0 +1,95 @@
+// src/simulator/device-simulator.js
+
+import { initializeApp, deleteApp } from "firebase/app";
+import { getDatabase, connectDatabaseEmulator, ref, push } from "firebase/database";
+import { createScenarioPlayer, DEFAULT_SCENARIO } from "./scenarios.js";
+
+export const SIMULATOR_DEFAULTS = {
+    emulatorHost: "127.0.0.1",
+    emulatorPort: 9000,
+    // Chu kỳ gửi bản ghi (thời gian thật)
+    intervalMs: 5 * 1000,
+    // Hệ số tua nhanh kịch bản: 10 nghĩa là mỗi giây thật chạy 10 giây kịch bản
+    speed: 1,
+};
+
+/**
+ * Kết nối tới Realtime Database Emulator dưới danh nghĩa một tài khoản thiết bị giả.
+ * Bộ mô phỏng chỉ chạy với emulator để không bao giờ ghi dữ liệu giả lên dự án thật.
+ * - `uid`: UID đã nhập cho thiết bị (`deviceList/{deviceId}/uid`), rules được áp dụng như với Pi thật.
+ * - Không có `uid`: dùng token "owner" của emulator, bỏ qua rules.
+ * `firebaseConfig` cần `projectId` và `databaseURL` giống ứng dụng web để cùng namespace dữ liệu.
+ */
+export function connectSimulatorDatabase(firebaseConfig, { uid = "", host = SIMULATOR_DEFAULTS.emulatorHost, port = SIMULATOR_DEFAULTS.emulatorPort } = {}) {
+    if (!firebaseConfig?.projectId || !firebaseConfig?.databaseURL) {
+        throw new Error("Thiếu projectId hoặc databaseURL trong cấu hình Firebase.");
+    }
+
+    const app = initializeApp(firebaseConfig, `device-simulator-${uid || "owner"}`);
+    const database = getDatabase(app);
+    connectDatabaseEmulator(database, host, port, { mockUserToken: uid ? { sub: uid } : "owner" });
+
+    return { database, close: () => deleteApp(app) };
+}
+
+/**
+ * Phát một kịch bản lên `households/{householdId}/devices/{deviceId}/sleepData` như Raspberry Pi.
+ * `timestamp` luôn là giờ thật để heartbeat và luật cảnh báo của dashboard chạy như với thiết bị thật;
+ * khi `speed` > 1 chỉ diễn biến của kịch bản được tua nhanh, nên các luật cần điều kiện kéo dài
+ * (khóc 1 phút, nằm sấp 30 giây, sốt 2 phút) nên thử với `speed` = 1.
+ * `onReading(reading, elapsedMs)` được gọi sau mỗi lần ghi, `onSkip(elapsedMs)` khi kịch bản
+ * đang "mất kết nối", `onError(error)` khi ghi thất bại. Trả về `{ stop, getState }`.
+ */
+export function startDeviceSimulator(database, options) {
+    const {
+        householdId,
+        deviceId,
+        scenario = DEFAULT_SCENARIO,
+        intervalMs = SIMULATOR_DEFAULTS.intervalMs,
+        speed = SIMULATOR_DEFAULTS.speed,
+        seed,
+        onReading = () => {},
+        onSkip = () => {},
+        onError = (error) => console.error("Lỗi ghi dữ liệu mô phỏng:", error),
+    } = options;
+
+    if (!householdId || !deviceId) throw new Error("Cần householdId và deviceId.");
+
+    const player = createScenarioPlayer(scenario, { seed });
+    const sleepDataRef = ref(database, `households/${householdId}/devices/${deviceId}/sleepData`);
+    const startedAt = Date.now();
+    // Bản ghi mới nhất (kể cả khi đang "mất kết nối") để camera giả hiển thị cùng trạng thái
+    let latest = null;
+    let timer = null;
+
+    const tick = async () => {
+        const now = Date.now();
+        const elapsedMs = (now - startedAt) * speed;
+        const reading = player.readingAt(elapsedMs);
+        latest = reading;
+
+        if (!reading) {
+            onSkip(elapsedMs);
+            return;
+        }
+
+        const entry = { timestamp: new Date(now).toISOString(), ...reading };
+        try {
+            await push(sleepDataRef, entry);
+            onReading(entry, elapsedMs);
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    tick();
+    timer = setInterval(tick, intervalMs);
+
+    return {
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        getState: () => ({ scenario: player.scenario, latest, elapsedMs: (Date.now() - startedAt) * speed }),
+    };
+}
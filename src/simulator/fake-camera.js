@@ -0,0 +1,234 @@
+// src/simulator/fake-camera.js
+
+import { ref, set, push, onValue } from "firebase/database";
+
+// Đóng vai Pi trong signaling WebRTC (xem webrtc-stream.js) với hình và tiếng tổng hợp, để thử
+// startWebRTCStream, nghe/nói, ghi clip và phân tích chuyển động/âm thanh mà không cần camera thật.
+const FRAME_RATE = 15;
+const WIDTH = 640;
+const HEIGHT = 360;
+const POSITION_LABELS = { supine: "nằm ngửa", prone: "nằm sấp", side: "nằm nghiêng", back: "nằm ngửa" };
+
+// Vẽ một khung hình: bé thở đều khi ngủ, cựa mạnh khi khóc để bộ phân tích chuyển động thấy khác biệt
+const drawFrame = (context, reading, label) => {
+    const now = Date.now();
+    context.fillStyle = "#1e2233";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const crying = Boolean(reading?.isCrying);
+    const shake = crying ? Math.sin(now / 40) * 12 : 0;
+    const breath = 1 + Math.sin(now / 600) * 0.03;
+    const prone = reading?.sleepPosition === "prone";
+
+    context.save();
+    context.translate(WIDTH / 2 + shake, HEIGHT / 2);
+    context.rotate(reading?.sleepPosition === "side" ? Math.PI / 6 : 0);
+    context.scale(breath, breath);
+    context.fillStyle = prone ? "#8d6e63" : "#f3c6a5";
+    context.beginPath();
+    context.ellipse(0, 30, 110, 55, 0, 0, Math.PI * 2);
+    context.fill();
+    context.fillStyle = prone ? "#5d4037" : "#f8d9c2";
+    context.beginPath();
+    context.arc(-120, 20, 42, 0, Math.PI * 2);
+    context.fill();
+    context.restore();
+
+    context.fillStyle = crying ? "#ff6b6b" : "#cfd8dc";
+    context.font = "20px sans-serif";
+    context.fillText(reading ? `${crying ? "😭 " : ""}${reading.status}, ${POSITION_LABELS[reading.sleepPosition] || reading.sleepPosition}` : "Cảm biến mất kết nối", 16, 32);
+    context.font = "16px sans-serif";
+    context.fillText(`${label} · ${new Date(now).toLocaleTimeString()}`, 16, HEIGHT - 16);
+};
+
+// Tiếng nền rất nhỏ khi ngủ; khi khóc là tiếng "oa" lên xuống từng nhịp đủ lớn để vượt ngưỡng tiếng ồn
+const createSyntheticAudio = () => {
+    const audioContext = new AudioContext();
+    const destination = audioContext.createMediaStreamDestination();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = "sawtooth";
+    oscillator.frequency.value = 420;
+    gain.gain.value = 0.002;
+    oscillator.connect(gain).connect(destination);
+    oscillator.start();
+
+    const update = (crying) => {
+        const time = audioContext.currentTime;
+        const wail = crying && Math.floor(Date.now() / 1200) % 3 !== 2;
+        oscillator.frequency.setTargetAtTime(wail ? 380 + Math.random() * 160 : 420, time, 0.05);
+        gain.gain.setTargetAtTime(wail ? 0.4 : 0.002, time, 0.05);
+    };
+
+    return { audioContext, track: destination.stream.getAudioTracks()[0], update };
+};
+
+const toIceCandidate = ({ candidate, sdpMid, sdpMLineIndex, usernameFragment }) =>
+    new RTCIceCandidate({ candidate, sdpMid, sdpMLineIndex, usernameFragment });
+
+/**
+ * Bắt đầu camera giả cho `webrtc_sessions/{householdId}/{deviceId}`: mỗi người xem ghi `sessionId` mới
+ * sẽ nhận một Peer Connection riêng và `offer` kèm `sessionId`. Camera giả cũng trả lời `answer`,
+ * `web_candidates`, `iceRestartRequestedAt` (gửi Offer ICE restart) và `viewerOffer` (trả `piAnswer`,
+ * phát tiếng cha mẹ ra loa). `getReading()` trả về bản ghi mô phỏng hiện tại để vẽ hình và tạo tiếng.
+ * Trả về `{ stop, canvas }`; `canvas` là khung hình đang gửi đi để xem trước.
+ */
+export function startFakeCamera(database, { householdId, deviceId, label = "", iceServers = [], getReading = () => null, onLog = console.log }) {
+    const canvas = document.createElement("canvas");
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const context = canvas.getContext("2d");
+
+    const audio = createSyntheticAudio();
+    const stream = new MediaStream([...canvas.captureStream(FRAME_RATE).getVideoTracks(), audio.track]);
+    const frameTimer = setInterval(() => {
+        const reading = getReading();
+        drawFrame(context, reading, label);
+        audio.update(Boolean(reading?.isCrying));
+    }, 1000 / FRAME_RATE);
+
+    const devicePath = `webrtc_sessions/${householdId}/${deviceId}`;
+    // uid người xem -> { sessionId, pc, queue, candidateKeys, pendingCandidates, appliedAnswerSdp, appliedViewerOfferSdp, iceRestartAt, player }
+    const peers = new Map();
+
+    // Các bước signaling của một người xem chạy tuần tự để không chồng Offer/Answer lên nhau
+    const enqueue = (peer, task) => {
+        peer.queue = peer.queue.then(task).catch((error) => onLog(`[${peer.uid}] Lỗi signaling: ${error.message}`));
+    };
+
+    const closePeer = (uid) => {
+        const peer = peers.get(uid);
+        if (!peer) return;
+        peer.pc.close();
+        peer.player?.pause();
+        peers.delete(uid);
+        onLog(`[${uid}] Đã đóng phiên ${peer.sessionId}.`);
+    };
+
+    const sendOffer = async (peer, options) => {
+        const offer = await peer.pc.createOffer(options);
+        await peer.pc.setLocalDescription(offer);
+        await set(ref(database, `${devicePath}/${peer.uid}/offer`), { type: offer.type, sdp: offer.sdp, sessionId: peer.sessionId });
+    };
+
+    const openPeer = (uid, sessionId) => {
+        const pc = new RTCPeerConnection({ iceServers });
+        const peer = {
+            uid,
+            sessionId,
+            pc,
+            queue: Promise.resolve(),
+            candidateKeys: new Set(),
+            pendingCandidates: [],
+            appliedAnswerSdp: null,
+            appliedViewerOfferSdp: null,
+            iceRestartAt: 0,
+            player: null,
+        };
+        peers.set(uid, peer);
+
+        stream.getTracks().forEach((track) => pc.addTrack(track, stream));
+
+        pc.onicecandidate = (event) => {
+            if (!event.candidate || peers.get(uid) !== peer) return;
+            push(ref(database, `${devicePath}/${uid}/iceCandidates/pi_candidates`), { ...event.candidate.toJSON(), sessionId }).catch((error) =>
+                onLog(`[${uid}] Không gửi được ICE candidate: ${error.message}`)
+            );
+        };
+
+        // Tiếng cha mẹ (giữ để nói) được phát ra loa như Pi thật
+        pc.ontrack = (event) => {
+            if (event.track.kind !== "audio") return;
+            peer.player = new Audio();
+            peer.player.srcObject = event.streams[0] || new MediaStream([event.track]);
+            peer.player.play().catch(() => {});
+        };
+
+        pc.oniceconnectionstatechange = () => onLog(`[${uid}] ICE: ${pc.iceConnectionState}`);
+
+        onLog(`[${uid}] Phiên mới ${sessionId}, gửi Offer.`);
+        enqueue(peer, () => sendOffer(peer));
+        return peer;
+    };
+
+    const addCandidate = (peer, candidate) =>
+        peer.pc.addIceCandidate(toIceCandidate(candidate)).catch((error) => onLog(`[${peer.uid}] Lỗi thêm ICE candidate: ${error.message}`));
+
+    const syncViewer = (uid, data) => {
+        if (!data?.sessionId) {
+            closePeer(uid);
+            return;
+        }
+
+        let peer = peers.get(uid);
+        if (peer?.sessionId !== data.sessionId) {
+            closePeer(uid);
+            peer = openPeer(uid, data.sessionId);
+            // Yêu cầu ICE restart cũ (nếu có) thuộc phiên trước
+            peer.iceRestartAt = data.iceRestartRequestedAt || 0;
+        }
+        const { sessionId } = peer;
+
+        const { answer, viewerOffer } = data;
+        if (answer?.sessionId === sessionId && answer.sdp !== peer.appliedAnswerSdp) {
+            peer.appliedAnswerSdp = answer.sdp;
+            enqueue(peer, async () => {
+                if (peer.pc.signalingState !== "have-local-offer") return;
+                await peer.pc.setRemoteDescription({ type: answer.type, sdp: answer.sdp });
+                peer.pendingCandidates.forEach((candidate) => addCandidate(peer, candidate));
+                peer.pendingCandidates = [];
+            });
+        }
+
+        Object.entries(data.iceCandidates?.web_candidates || {}).forEach(([key, candidate]) => {
+            if (peer.candidateKeys.has(key) || candidate.sessionId !== sessionId) return;
+            peer.candidateKeys.add(key);
+            enqueue(peer, async () => {
+                if (peer.pc.remoteDescription) {
+                    await addCandidate(peer, candidate);
+                } else {
+                    peer.pendingCandidates.push(candidate);
+                }
+            });
+        });
+
+        if (data.iceRestartRequestedAt > peer.iceRestartAt) {
+            peer.iceRestartAt = data.iceRestartRequestedAt;
+            onLog(`[${uid}] Người xem yêu cầu ICE restart.`);
+            enqueue(peer, () => sendOffer(peer, { iceRestart: true }));
+        }
+
+        if (viewerOffer?.sessionId === sessionId && viewerOffer.sdp !== peer.appliedViewerOfferSdp) {
+            peer.appliedViewerOfferSdp = viewerOffer.sdp;
+            onLog(`[${uid}] Nhận viewerOffer (micro của người xem), gửi piAnswer.`);
+            enqueue(peer, async () => {
+                await peer.pc.setRemoteDescription({ type: viewerOffer.type, sdp: viewerOffer.sdp });
+                const piAnswer = await peer.pc.createAnswer();
+                await peer.pc.setLocalDescription(piAnswer);
+                await set(ref(database, `${devicePath}/${uid}/piAnswer`), { type: piAnswer.type, sdp: piAnswer.sdp, sessionId });
+            });
+        }
+    };
+
+    const unsubscribe = onValue(
+        ref(database, devicePath),
+        (snapshot) => {
+            const viewers = snapshot.val() || {};
+            Object.entries(viewers).forEach(([uid, data]) => syncViewer(uid, data));
+            [...peers.keys()].filter((uid) => !viewers[uid]).forEach(closePeer);
+        },
+        (error) => onLog(`Không đọc được webrtc_sessions: ${error.message}`)
+    );
+
+    return {
+        canvas,
+        stop: () => {
+            unsubscribe();
+            clearInterval(frameTimer);
+            [...peers.keys()].forEach(closePeer);
+            stream.getTracks().forEach((track) => track.stop());
+            audio.audioContext.close().catch(() => {});
+        },
+    };
+}
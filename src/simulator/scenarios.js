@@ -0,0 +1,154 @@
+// src/simulator/scenarios.js
+
+// Kịch bản dữ liệu cảm biến cho bộ mô phỏng thiết bị. Không phụ thuộc trình duyệt hay Firebase để
+// dùng chung cho cả CLI (Node) lẫn trang mô phỏng (`simulator.html`).
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Giá trị nền của một đêm bình thường: bé ngủ ngửa, thân nhiệt ~36.8°C, phòng ~23°C, độ ẩm ~50%
+// (nằm trong ngưỡng mặc định 20-24°C, 40-60% kể cả khi có nhiễu để không bật cảnh báo khi không có sự cố)
+const BASELINE = {
+    babyTemperature: 36.8,
+    environmentTemperature: 23,
+    environmentHumidity: 50,
+};
+
+// Nội suy tuyến tính giữa `from` và `to` khi `elapsedMs` đi từ `startMs` đến `endMs`
+const ramp = (elapsedMs, startMs, endMs, from, to) => {
+    if (elapsedMs <= startMs) return from;
+    if (elapsedMs >= endMs) return to;
+    return from + ((to - from) * (elapsedMs - startMs)) / (endMs - startMs);
+};
+
+const within = (elapsedMs, startMs, endMs) => elapsedMs >= startMs && elapsedMs < endMs;
+
+/**
+ * Mỗi kịch bản có `label`, `description`, `durationMs` và `apply(reading, elapsedMs, random)`:
+ * nhận bản ghi nền (đã có nhiễu) và trả về bản ghi đã chỉnh, hoặc null khi thiết bị "mất kết nối"
+ * (không ghi gì). Hết `durationMs` thì kịch bản lặp lại từ đầu.
+ */
+export const SIMULATOR_SCENARIOS = {
+    quietNight: {
+        label: "Đêm yên giấc",
+        description: "Bé ngủ ngửa cả đêm, thức giấc ngắn một lần rồi ngủ lại.",
+        durationMs: 8 * HOUR,
+        apply: (reading, elapsedMs) => {
+            // Phòng mát dần về sáng
+            reading.environmentTemperature -= ramp(elapsedMs, 0, 8 * HOUR, 0, 2);
+            if (within(elapsedMs, 3 * HOUR, 3 * HOUR + 10 * MINUTE)) reading.status = "awake";
+            return reading;
+        },
+    },
+    risingFever: {
+        label: "Sốt tăng dần",
+        description: "Thân nhiệt tăng từ 36.9°C lên 39.2°C trong khoảng 1 giờ 45 phút, bé trằn trọc.",
+        durationMs: 3 * HOUR,
+        apply: (reading, elapsedMs, random) => {
+            reading.babyTemperature = ramp(elapsedMs, 15 * MINUTE, 2 * HOUR, 36.9, 39.2) + (random() - 0.5) * 0.1;
+            if (elapsedMs > HOUR && random() < 0.3) reading.status = "awake";
+            return reading;
+        },
+    },
+    cryingBouts: {
+        label: "Khóc từng cơn",
+        description: "Cứ 10 phút bé thức dậy khóc khoảng 3 phút.",
+        durationMs: HOUR,
+        apply: (reading, elapsedMs) => {
+            if (within(elapsedMs % (10 * MINUTE), 5 * MINUTE, 8 * MINUTE)) {
+                reading.status = "awake";
+                reading.isCrying = true;
+                reading.sleepPosition = "back";
+            }
+            return reading;
+        },
+    },
+    proneRollover: {
+        label: "Lật sấp",
+        description: "Bé nghiêng người ở phút thứ 5, nằm sấp từ phút 6 đến phút 12 rồi được lật lại.",
+        durationMs: 30 * MINUTE,
+        apply: (reading, elapsedMs) => {
+            if (within(elapsedMs, 5 * MINUTE, 6 * MINUTE)) reading.sleepPosition = "side";
+            if (within(elapsedMs, 6 * MINUTE, 12 * MINUTE)) reading.sleepPosition = "prone";
+            return reading;
+        },
+    },
+    sensorOffline: {
+        label: "Mất kết nối cảm biến",
+        description: "Thiết bị ngừng gửi dữ liệu từ phút 10 đến phút 20.",
+        durationMs: 30 * MINUTE,
+        apply: (reading, elapsedMs) => (within(elapsedMs, 10 * MINUTE, 20 * MINUTE) ? null : reading),
+    },
+    humiditySpike: {
+        label: "Độ ẩm tăng đột ngột",
+        description: "Độ ẩm tăng từ 50% lên 85% trong 10 phút (phút 15), giữ 20 phút rồi giảm dần.",
+        durationMs: HOUR,
+        apply: (reading, elapsedMs) => {
+            const spike = elapsedMs < 35 * MINUTE ? ramp(elapsedMs, 15 * MINUTE, 25 * MINUTE, 0, 35) : ramp(elapsedMs, 45 * MINUTE, 55 * MINUTE, 35, 0);
+            reading.environmentHumidity += spike;
+            reading.environmentTemperature += spike / 35;
+            return reading;
+        },
+    },
+};
+
+export const DEFAULT_SCENARIO = "quietNight";
+
+// Bộ sinh số giả ngẫu nhiên có seed (mulberry32) để chạy lại một kịch bản cho ra cùng dữ liệu
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Tạo bộ phát bản ghi cho một kịch bản. `readingAt(elapsedMs)` trả về bản ghi (chưa có `timestamp`)
+ * tại thời điểm `elapsedMs` tính từ đầu kịch bản, hoặc null khi thiết bị đang "mất kết nối".
+ * Giá trị được làm tròn và giới hạn trong khoảng mà `database.rules.json` chấp nhận.
+ */
+export function createScenarioPlayer(scenarioName, { seed = Date.now() } = {}) {
+    const scenario = SIMULATOR_SCENARIOS[scenarioName];
+    if (!scenario) throw new Error(`Kịch bản không tồn tại: ${scenarioName}`);
+
+    const random = createRandom(seed);
+    // Nhiễu trôi chậm thay vì nhảy ngẫu nhiên giữa các bản ghi liên tiếp
+    const drift = { babyTemperature: 0, environmentTemperature: 0, environmentHumidity: 0 };
+    const wander = (key, step, limit) => {
+        drift[key] = clamp(drift[key] + (random() - 0.5) * step, -limit, limit);
+        return drift[key];
+    };
+
+    const readingAt = (elapsedMs) => {
+        const cycleMs = elapsedMs % scenario.durationMs;
+        const reading = scenario.apply(
+            {
+                status: "sleeping",
+                isCrying: false,
+                sleepPosition: "supine",
+                babyTemperature: BASELINE.babyTemperature + wander("babyTemperature", 0.04, 0.2),
+                environmentTemperature: BASELINE.environmentTemperature + wander("environmentTemperature", 0.1, 0.8),
+                environmentHumidity: BASELINE.environmentHumidity + wander("environmentHumidity", 0.6, 4),
+            },
+            cycleMs,
+            random
+        );
+        if (!reading) return null;
+
+        return {
+            ...reading,
+            babyTemperature: round(clamp(reading.babyTemperature, 30, 45), 1),
+            environmentTemperature: round(clamp(reading.environmentTemperature, -10, 60), 1),
+            environmentHumidity: round(clamp(reading.environmentHumidity, 0, 100), 1),
+        };
+    };
+
+    return { scenario, readingAt };
+}
@@ -0,0 +1,164 @@
+// src/simulator/simulator-page.js
+
+import { SIMULATOR_SCENARIOS, DEFAULT_SCENARIO } from "./scenarios.js";
+import { connectSimulatorDatabase, startDeviceSimulator, SIMULATOR_DEFAULTS } from "./device-simulator.js";
+import { startFakeCamera } from "./fake-camera.js";
+
+// Trang mô phỏng thiết bị (simulator.html), chỉ dùng khi chạy `npm run dev`
+const FORM_STORAGE_KEY = "babySleepTracker.simulatorForm";
+const LOG_LIMIT = 100;
+
+const firebaseConfig = {
+    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+    databaseURL: import.meta.env.VITE_FIREBASE_DATABASE_URL,
+};
+
+const $ = (id) => document.getElementById(id);
+
+// { connection, simulator, camera }
+let running = null;
+
+const setMessage = (text, color = "") => {
+    const msgEl = $("sim-message");
+    msgEl.textContent = text;
+    msgEl.style.color = color;
+};
+
+const log = (text) => {
+    const logEl = $("sim-log");
+    const line = document.createElement("p");
+    line.textContent = `${new Date().toLocaleTimeString()} ${text}`;
+    logEl.prepend(line);
+    while (logEl.children.length > LOG_LIMIT) logEl.lastChild.remove();
+};
+
+const describeReading = (entry) =>
+    `${entry.status}${entry.isCrying ? " (khóc)" : ""}, ${entry.sleepPosition}, bé ${entry.babyTemperature}°C, ` +
+    `phòng ${entry.environmentTemperature}°C, độ ẩm ${entry.environmentHumidity}%`;
+
+const readForm = () => ({
+    householdId: $("sim-household").value.trim(),
+    deviceId: $("sim-device").value.trim(),
+    uid: $("sim-uid").value.trim(),
+    scenario: $("sim-scenario").value,
+    intervalSeconds: Number($("sim-interval").value),
+    speed: Number($("sim-speed").value),
+    camera: $("sim-camera").checked,
+});
+
+const fillForm = () => {
+    const select = $("sim-scenario");
+    Object.entries(SIMULATOR_SCENARIOS).forEach(([name, { label }]) => select.add(new Option(label, name)));
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(FORM_STORAGE_KEY)) || {};
+    } catch {
+        saved = {};
+    }
+
+    $("sim-household").value = saved.householdId || "";
+    $("sim-device").value = saved.deviceId || "";
+    $("sim-uid").value = saved.uid || "";
+    select.value = SIMULATOR_SCENARIOS[saved.scenario] ? saved.scenario : DEFAULT_SCENARIO;
+    $("sim-interval").value = saved.intervalSeconds || SIMULATOR_DEFAULTS.intervalMs / 1000;
+    $("sim-speed").value = saved.speed || SIMULATOR_DEFAULTS.speed;
+    $("sim-camera").checked = saved.camera ?? true;
+    showScenarioDescription();
+};
+
+const showScenarioDescription = () => {
+    $("sim-scenario-description").textContent = SIMULATOR_SCENARIOS[$("sim-scenario").value]?.description || "";
+};
+
+const setRunning = (isRunning) => {
+    $("sim-start-btn").disabled = isRunning;
+    $("sim-stop-btn").disabled = !isRunning;
+    document.querySelectorAll("#simulator-form input, #simulator-form select, #sim-camera").forEach((input) => {
+        input.disabled = isRunning;
+    });
+};
+
+const stop = async () => {
+    if (!running) return;
+
+    const { connection, simulator, camera } = running;
+    running = null;
+    simulator.stop();
+    camera?.stop();
+    $("sim-preview").replaceChildren();
+    $("sim-preview").style.display = "none";
+    await connection.close();
+
+    setRunning(false);
+    setMessage("Đã dừng mô phỏng.");
+    log("Đã dừng.");
+};
+
+const start = async () => {
+    const form = readForm();
+    if (!form.householdId || !form.deviceId) {
+        setMessage("Nhập mã hộ gia đình và mã thiết bị.", "#dc3545");
+        return;
+    }
+    if (!(form.intervalSeconds > 0) || !(form.speed > 0)) {
+        setMessage("Chu kỳ gửi và hệ số tua nhanh phải là số dương.", "#dc3545");
+        return;
+    }
+    localStorage.setItem(FORM_STORAGE_KEY, JSON.stringify(form));
+
+    let connection = null;
+    try {
+        connection = connectSimulatorDatabase(firebaseConfig, { uid: form.uid });
+        const { label } = SIMULATOR_SCENARIOS[form.scenario];
+        const simulator = startDeviceSimulator(connection.database, {
+            householdId: form.householdId,
+            deviceId: form.deviceId,
+            scenario: form.scenario,
+            intervalMs: form.intervalSeconds * 1000,
+            speed: form.speed,
+            onReading: (entry) => log(describeReading(entry)),
+            onSkip: () => log("(mất kết nối, không gửi dữ liệu)"),
+            onError: (error) => log(`Lỗi ghi dữ liệu: ${error.message}`),
+        });
+        running = { connection, simulator, camera: null };
+
+        if (form.camera) {
+            // Camera giả vẫn phát hình khi kịch bản "mất kết nối" cảm biến, chỉ ghi chú trên khung hình
+            running.camera = startFakeCamera(connection.database, {
+                householdId: form.householdId,
+                deviceId: form.deviceId,
+                label,
+                getReading: () => simulator.getState().latest,
+                onLog: log,
+            });
+            const { canvas } = running.camera;
+            canvas.style.width = "100%";
+            canvas.style.height = "100%";
+            $("sim-preview").replaceChildren(canvas);
+            $("sim-preview").style.display = "";
+        }
+
+        setRunning(true);
+        setMessage(`Đang mô phỏng "${label}" cho ${form.householdId}/${form.deviceId}.`, "#28a745");
+    } catch (error) {
+        console.error("Không thể bắt đầu mô phỏng:", error);
+        if (running) {
+            await stop();
+        } else {
+            connection?.close();
+        }
+        setMessage(error.message, "#dc3545");
+    }
+};
+
+fillForm();
+$("sim-scenario").addEventListener("change", showScenarioDescription);
+$("sim-start-btn").addEventListener("click", start);
+$("sim-stop-btn").addEventListener("click", stop);
+
+// Dashboard chỉ thấy dữ liệu mô phỏng khi cũng kết nối emulator
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS !== "true") {
+    setMessage('Dashboard đang dùng Firebase thật: đặt VITE_USE_FIREBASE_EMULATORS="true" trong .env để thấy dữ liệu mô phỏng.', "#dc3545");
+}
@@ -0,0 +1,564 @@
+// test/database.rules.test.js
+
+// Kiểm tra database.rules.json trên Realtime Database Emulator. Chạy bằng `npm test`
+// (firebase emulators:exec khởi động emulator, đặt FIREBASE_DATABASE_EMULATOR_HOST rồi chạy node --test).
+
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+
+const HOUSEHOLD = "household-1";
+const DEVICE = "pi-001";
+const DEVICE_UID = "pi-account";
+const OWNER = "alice";
+const CAREGIVER = "bob";
+const VIEWER = "carol";
+const OUTSIDER = "mallory";
+
+const householdPath = `households/${HOUSEHOLD}`;
+const sleepDataPath = `${householdPath}/devices/${DEVICE}/sleepData`;
+const sessionPath = `webrtc_sessions/${HOUSEHOLD}/${DEVICE}`;
+
+const THRESHOLDS = { BABY_TEMP_DANGER: 37.5, BABY_TEMP_WARNING: 37.2, ROOM_TEMP_MIN: 19, ROOM_TEMP_MAX: 24, HUMIDITY_MIN: 35, HUMIDITY_MAX: 65 };
+
+const reading = (overrides = {}) => ({
+    timestamp: "2026-10-19T01:30:00.000Z",
+    status: "sleeping",
+    isCrying: false,
+    babyTemperature: 36.8,
+    environmentTemperature: 22.5,
+    environmentHumidity: 55,
+    sleepPosition: "supine",
+    ...overrides,
+});
+
+const careEvent = (authorUid, overrides = {}) => ({
+    category: "feed",
+    deviceId: DEVICE,
+    details: { method: "bottle", amountMl: 120 },
+    timestamp: "2026-10-19T02:00:00.000Z",
+    authorUid,
+    authorEmail: `${authorUid}@example.com`,
+    ...overrides,
+});
+
+const alertEvent = (authorUid) => ({
+    category: "alert",
+    deviceId: DEVICE,
+    kind: "crying",
+    type: "danger",
+    message: "Em bé đang khóc",
+    state: "raised",
+    raisedAt: "2026-10-19T02:05:00.000Z",
+    authorUid,
+});
+
+const INVITE_CODE = "ABCD2345";
+const INVITED_EMAIL = "dave@example.com";
+
+const invite = (overrides = {}) => ({
+    householdId: HOUSEHOLD,
+    householdName: "Nhà thử nghiệm",
+    role: "caregiver",
+    email: null,
+    createdBy: OWNER,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + 7 * 24 * 60 * 60 * 1000,
+    ...overrides,
+});
+
+// Cùng các đường dẫn acceptInvite (src/js/invitations.js) ghi trong một lần
+const acceptInviteUpdates = (uid, code, { role = "caregiver", email = null } = {}) => ({
+    [`${householdPath}/members/${uid}`]: role,
+    [`${householdPath}/memberProfiles/${uid}`]: { email, joinedAt: "2026-10-19T00:00:00.000Z" },
+    [`${householdPath}/joinedWith/${uid}`]: code,
+    [`${householdPath}/invites/${code}`]: null,
+    [`users/${uid}/households/${HOUSEHOLD}`]: true,
+    [`invites/${code}/acceptedBy`]: uid,
+    ...(email ? { [`inviteEmails/${email.replace(/\./g, ",")}/${code}`]: null } : {}),
+});
+
+let testEnv;
+
+const db = (uid, token) => testEnv.authenticatedContext(uid, token).database();
+
+// Hộ gia đình mẫu: chủ hộ, người chăm sóc, người chỉ xem và một thiết bị có tài khoản riêng
+const seed = (data) =>
+    testEnv.withSecurityRulesDisabled((context) =>
+        context
+            .database()
+            .ref()
+            .update({
+                [`${householdPath}/meta`]: { name: "Nhà thử nghiệm", ownerUid: OWNER, createdAt: "2026-10-01T00:00:00.000Z" },
+                [`${householdPath}/members`]: { [OWNER]: "owner", [CAREGIVER]: "caregiver", [VIEWER]: "viewer" },
+                [`${householdPath}/memberProfiles/${OWNER}`]: { email: "alice@example.com", joinedAt: "2026-10-01T00:00:00.000Z" },
+                [`${householdPath}/deviceList/${DEVICE}`]: { name: "Phòng ngủ", addedAt: "2026-10-01T00:00:00.000Z", uid: DEVICE_UID },
+                ...data,
+            })
+    );
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: "demo-baby-sleep-tracker",
+        database: { rules: readFileSync(new URL("../database.rules.json", import.meta.url), "utf8") },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearDatabase();
+    await seed();
+});
+
+after(async () => {
+    await testEnv?.cleanup();
+});
+
+describe("sleepData", () => {
+    it("cho tài khoản thiết bị thêm bản ghi hợp lệ", async () => {
+        await assertSucceeds(db(DEVICE_UID).ref(sleepDataPath).push(reading()));
+    });
+
+    it("không cho thành viên ghi thay thiết bị", async () => {
+        await assertFails(db(OWNER).ref(sleepDataPath).push(reading()));
+        await assertFails(db(CAREGIVER).ref(sleepDataPath).push(reading()));
+    });
+
+    it("không cho thiết bị sửa bản ghi đã có", async () => {
+        await seed({ [`${sleepDataPath}/r1`]: reading() });
+        await assertFails(db(DEVICE_UID).ref(`${sleepDataPath}/r1`).set(reading({ babyTemperature: 37 })));
+    });
+
+    it("từ chối bản ghi sai lược đồ", async () => {
+        const device = db(DEVICE_UID);
+        await assertFails(device.ref(sleepDataPath).push(reading({ babyTemperature: 85 })));
+        await assertFails(device.ref(sleepDataPath).push(reading({ babyTemperature: "36.5" })));
+        await assertFails(device.ref(sleepDataPath).push(reading({ sleepPosition: "upside-down" })));
+        await assertFails(device.ref(sleepDataPath).push(reading({ status: null })));
+        await assertFails(device.ref(sleepDataPath).push(reading({ timestamp: "hôm qua" })));
+        await assertFails(device.ref(sleepDataPath).push(reading({ extra: 1 })));
+    });
+
+    it("chỉ chủ hộ được xóa bản ghi", async () => {
+        await seed({ [`${sleepDataPath}/r1`]: reading(), [`${sleepDataPath}/r2`]: reading() });
+        await assertFails(db(CAREGIVER).ref(`${sleepDataPath}/r1`).remove());
+        await assertFails(db(DEVICE_UID).ref(`${sleepDataPath}/r1`).remove());
+        await assertSucceeds(db(OWNER).ref(`${sleepDataPath}/r2`).remove());
+    });
+
+    it("chỉ thành viên được đọc", async () => {
+        await assertSucceeds(db(VIEWER).ref(sleepDataPath).once("value"));
+        await assertFails(db(OUTSIDER).ref(sleepDataPath).once("value"));
+        await assertFails(testEnv.unauthenticatedContext().database().ref(sleepDataPath).once("value"));
+    });
+});
+
+describe("settings/thresholds", () => {
+    const thresholdsPath = `${householdPath}/settings/thresholds`;
+
+    it("cho chủ hộ lưu ngưỡng hợp lệ", async () => {
+        await assertSucceeds(db(OWNER).ref(thresholdsPath).set({ ...THRESHOLDS, updatedAt: "2026-10-19T00:00:00.000Z" }));
+    });
+
+    it("không cho người chăm sóc hoặc người ngoài đổi ngưỡng", async () => {
+        await assertFails(db(CAREGIVER).ref(thresholdsPath).set(THRESHOLDS));
+        await assertFails(db(OUTSIDER).ref(thresholdsPath).set(THRESHOLDS));
+    });
+
+    it("từ chối ngưỡng sai thứ tự, ngoài khoảng hoặc có trường lạ", async () => {
+        const owner = db(OWNER);
+        await assertFails(owner.ref(thresholdsPath).set({ ...THRESHOLDS, BABY_TEMP_WARNING: 38 }));
+        await assertFails(owner.ref(thresholdsPath).set({ ...THRESHOLDS, ROOM_TEMP_MIN: 25 }));
+        await assertFails(owner.ref(thresholdsPath).set({ ...THRESHOLDS, BABY_TEMP_DANGER: 50 }));
+        await assertFails(owner.ref(thresholdsPath).set({ ...THRESHOLDS, HUMIDITY_MAX: "60" }));
+        await assertFails(owner.ref(thresholdsPath).set({ ...THRESHOLDS, extra: 1 }));
+    });
+});
+
+describe("userEvents", () => {
+    const eventsPath = `${householdPath}/userEvents`;
+
+    it("cho người chăm sóc ghi sự kiện của chính mình", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(eventsPath).push(careEvent(CAREGIVER)));
+    });
+
+    it("từ chối sự kiện mạo danh, thiếu tác giả hoặc của thiết bị lạ", async () => {
+        const caregiver = db(CAREGIVER);
+        await assertFails(caregiver.ref(eventsPath).push(careEvent(OWNER)));
+        await assertFails(caregiver.ref(eventsPath).push(careEvent(null)));
+        await assertFails(caregiver.ref(eventsPath).push(careEvent(CAREGIVER, { deviceId: "pi-khac" })));
+        await assertFails(caregiver.ref(eventsPath).push(careEvent(CAREGIVER, { timestamp: null })));
+    });
+
+    it("không cho người chỉ xem hoặc người ngoài ghi sự kiện chăm sóc", async () => {
+        await assertFails(db(VIEWER).ref(eventsPath).push(careEvent(VIEWER)));
+        await assertFails(db(OUTSIDER).ref(eventsPath).push(careEvent(OUTSIDER)));
+    });
+
+    it("chỉ người ghi hoặc chủ hộ được sửa, xóa sự kiện", async () => {
+        await seed({ [`${eventsPath}/e1`]: careEvent(CAREGIVER), [`${eventsPath}/e2`]: careEvent(OWNER) });
+
+        await assertSucceeds(db(CAREGIVER).ref(`${eventsPath}/e1/details/amountMl`).set(150));
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/e2/details/amountMl`).set(150));
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/e2`).remove());
+        await assertFails(db(VIEWER).ref(`${eventsPath}/e1`).remove());
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/e1/authorUid`).set(OWNER));
+        await assertSucceeds(db(OWNER).ref(`${eventsPath}/e1`).remove());
+    });
+
+    it("chỉ chủ hộ và người chăm sóc được tạo, cập nhật cảnh báo; không xóa cảnh báo của người khác", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(`${eventsPath}/a1`).set(alertEvent(CAREGIVER)));
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/a2`).set(alertEvent(OWNER)));
+        await assertFails(db(VIEWER).ref(`${eventsPath}/a2`).set(alertEvent(VIEWER)));
+
+        const acknowledged = { state: "acknowledged", acknowledgedBy: "bob@example.com", acknowledgedAt: "2026-10-19T02:06:00.000Z" };
+        await seed({ [`${eventsPath}/a3`]: alertEvent(OWNER) });
+        await assertFails(db(VIEWER).ref(`${eventsPath}/a3`).update(acknowledged));
+        await assertSucceeds(db(CAREGIVER).ref(`${eventsPath}/a3`).update(acknowledged));
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/a3/category`).set("note"));
+        await assertFails(db(CAREGIVER).ref(`${eventsPath}/a3`).remove());
+        await assertSucceeds(db(OWNER).ref(`${eventsPath}/a3`).remove());
+    });
+});
+
+describe("activeAlerts", () => {
+    const pointerPath = `${householdPath}/devices/${DEVICE}/activeAlerts/babyTemperature`;
+
+    it("chỉ chủ hộ và người chăm sóc được đặt, gỡ con trỏ cảnh báo", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(pointerPath).set("a1"));
+        await assertFails(db(VIEWER).ref(pointerPath).set("a2"));
+        await assertFails(db(VIEWER).ref(pointerPath).remove());
+        await assertFails(db(OUTSIDER).ref(pointerPath).set("a2"));
+        await assertSucceeds(db(OWNER).ref(pointerPath).remove());
+    });
+
+    it("cho mọi thành viên đọc con trỏ", async () => {
+        await assertSucceeds(db(VIEWER).ref(pointerPath).once("value"));
+        await assertFails(db(OUTSIDER).ref(pointerPath).once("value"));
+    });
+});
+
+describe("memberProfiles", () => {
+    const profilesPath = `${householdPath}/memberProfiles`;
+    const profile = (email) => ({ email, joinedAt: "2026-10-19T00:00:00.000Z" });
+
+    it("cho thành viên ghi hồ sơ của chính mình", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(`${profilesPath}/${CAREGIVER}`).set(profile("bob@example.com")));
+    });
+
+    it("không cho người ngoài tự thêm hồ sơ vào hộ gia đình", async () => {
+        await assertFails(db(OUTSIDER).ref(`${profilesPath}/${OUTSIDER}`).set(profile("mallory@example.com")));
+    });
+
+    it("không cho ghi hồ sơ của người khác, kể cả chủ hộ ghi cho người chưa là thành viên", async () => {
+        await assertFails(db(CAREGIVER).ref(`${profilesPath}/${VIEWER}`).set(profile("carol@example.com")));
+        await assertFails(db(OWNER).ref(`${profilesPath}/${OUTSIDER}`).set(profile("mallory@example.com")));
+    });
+
+    it("cho tạo hồ sơ cùng lúc với tư cách thành viên khi tạo hộ gia đình", async () => {
+        const newHousehold = "household-2";
+        await assertSucceeds(
+            db(OUTSIDER)
+                .ref()
+                .update({
+                    [`households/${newHousehold}/meta`]: { name: "Nhà mới", ownerUid: OUTSIDER, createdAt: "2026-10-19T00:00:00.000Z" },
+                    [`households/${newHousehold}/members/${OUTSIDER}`]: "owner",
+                    [`households/${newHousehold}/memberProfiles/${OUTSIDER}`]: profile("mallory@example.com"),
+                    [`users/${OUTSIDER}/households/${newHousehold}`]: true,
+                })
+        );
+    });
+
+    it("chỉ chủ hộ hoặc chính thành viên được xóa hồ sơ", async () => {
+        await seed({ [`${profilesPath}/${CAREGIVER}`]: profile("bob@example.com"), [`${profilesPath}/${VIEWER}`]: profile("carol@example.com") });
+        await assertFails(db(CAREGIVER).ref(`${profilesPath}/${VIEWER}`).remove());
+        await assertSucceeds(db(OWNER).ref(`${profilesPath}/${VIEWER}`).remove());
+        await assertSucceeds(db(CAREGIVER).ref(`${profilesPath}/${CAREGIVER}`).remove());
+    });
+});
+
+describe("webrtc_sessions", () => {
+    it("cho người chăm sóc mở phiên camera của chính mình", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}`).update({ sessionId: "s1", requestedAt: Date.now() }));
+        await assertSucceeds(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}/answer`).set({ type: "answer", sdp: "v=0", sessionId: "s1" }));
+        await assertSucceeds(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}`).once("value"));
+    });
+
+    it("không cho người chỉ xem, người ngoài hoặc phiên của người khác", async () => {
+        await assertFails(db(VIEWER).ref(`${sessionPath}/${VIEWER}/sessionId`).set("s1"));
+        await assertFails(db(OUTSIDER).ref(`${sessionPath}/${OUTSIDER}/sessionId`).set("s1"));
+        await assertFails(db(CAREGIVER).ref(`${sessionPath}/${OWNER}/sessionId`).set("s1"));
+        await assertFails(db(CAREGIVER).ref(`${sessionPath}/${OWNER}`).once("value"));
+        await assertFails(db(CAREGIVER).ref(sessionPath).once("value"));
+    });
+
+    it("chỉ tài khoản thiết bị được gửi offer và ICE candidate của Pi", async () => {
+        await seed({ [`${sessionPath}/${CAREGIVER}/sessionId`]: "s1" });
+
+        await assertFails(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}/offer`).set({ type: "offer", sdp: "v=0", sessionId: "s1" }));
+        await assertFails(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}/iceCandidates/pi_candidates`).push({ candidate: "c", sessionId: "s1" }));
+        await assertSucceeds(db(DEVICE_UID).ref(sessionPath).once("value"));
+        await assertSucceeds(db(DEVICE_UID).ref(`${sessionPath}/${CAREGIVER}/offer`).set({ type: "offer", sdp: "v=0", sessionId: "s1" }));
+        await assertSucceeds(db(DEVICE_UID).ref(`${sessionPath}/${CAREGIVER}/iceCandidates/pi_candidates`).push({ candidate: "c", sessionId: "s1" }));
+    });
+
+    it("từ chối trường lạ và offer thiếu sdp", async () => {
+        await assertFails(db(CAREGIVER).ref(`${sessionPath}/${CAREGIVER}/extra`).set(true));
+        await assertFails(db(DEVICE_UID).ref(`${sessionPath}/${CAREGIVER}/offer`).set({ type: "offer" }));
+    });
+});
+
+describe("lời mời theo email", () => {
+    const emailKey = INVITED_EMAIL.replace(/\./g, ",");
+
+    beforeEach(async () => {
+        await seed({
+            [`invites/${INVITE_CODE}`]: invite({ email: INVITED_EMAIL }),
+            [`${householdPath}/invites/${INVITE_CODE}`]: true,
+            [`inviteEmails/${emailKey}/${INVITE_CODE}`]: true,
+        });
+    });
+
+    it("cho tài khoản đã xác minh email nhận lời mời", async () => {
+        const dave = db("dave", { email: INVITED_EMAIL, email_verified: true });
+        await assertSucceeds(dave.ref(`inviteEmails/${emailKey}`).once("value"));
+        await assertSucceeds(dave.ref().update(acceptInviteUpdates("dave", INVITE_CODE, { email: INVITED_EMAIL })));
+    });
+
+    it("không cho tài khoản chưa xác minh dùng email của người khác để nhận lời mời", async () => {
+        const impostor = db("eve", { email: INVITED_EMAIL, email_verified: false });
+        await assertFails(impostor.ref(`inviteEmails/${emailKey}`).once("value"));
+        await assertFails(impostor.ref(`inviteEmails/${emailKey}/${INVITE_CODE}`).remove());
+        await assertFails(impostor.ref().update(acceptInviteUpdates("eve", INVITE_CODE, { email: INVITED_EMAIL })));
+    });
+});
+
+describe("invites (mã mời)", () => {
+    const createInviteUpdates = (code, overrides = {}) => ({
+        [`invites/${code}`]: invite(overrides),
+        [`${householdPath}/invites/${code}`]: true,
+    });
+
+    it("cho chủ hộ tạo và thu hồi mã mời", async () => {
+        await assertSucceeds(db(OWNER).ref().update(createInviteUpdates(INVITE_CODE)));
+        await assertSucceeds(
+            db(OWNER)
+                .ref()
+                .update({ [`invites/${INVITE_CODE}`]: null, [`${householdPath}/invites/${INVITE_CODE}`]: null })
+        );
+    });
+
+    it("không cho người chăm sóc, người chỉ xem hoặc người ngoài tạo mã mời", async () => {
+        await assertFails(db(CAREGIVER).ref().update(createInviteUpdates(INVITE_CODE, { createdBy: CAREGIVER })));
+        await assertFails(db(VIEWER).ref(`invites/${INVITE_CODE}`).set(invite({ createdBy: VIEWER })));
+        await assertFails(db(OUTSIDER).ref(`invites/${INVITE_CODE}`).set(invite({ createdBy: OUTSIDER })));
+    });
+
+    it("không cho mời với vai trò chủ hộ hoặc thiếu trường bắt buộc", async () => {
+        await assertFails(db(OWNER).ref(`invites/${INVITE_CODE}`).set(invite({ role: "owner" })));
+        await assertFails(db(OWNER).ref(`invites/${INVITE_CODE}`).set(invite({ expiresAt: null })));
+    });
+
+    it("không cho sửa mã mời đã tạo hoặc để người khác thu hồi", async () => {
+        await seed(createInviteUpdates(INVITE_CODE));
+        await assertFails(db(OWNER).ref(`invites/${INVITE_CODE}/role`).set("viewer"));
+        await assertFails(db(CAREGIVER).ref(`invites/${INVITE_CODE}`).remove());
+        await assertFails(db(CAREGIVER).ref(`${householdPath}/invites/${INVITE_CODE}`).remove());
+    });
+
+    it("cho người đã đăng nhập đọc mã mời để nhận", async () => {
+        await seed(createInviteUpdates(INVITE_CODE));
+        await assertSucceeds(db(OUTSIDER).ref(`invites/${INVITE_CODE}`).once("value"));
+        await assertFails(testEnv.unauthenticatedContext().database().ref(`invites/${INVITE_CODE}`).once("value"));
+    });
+});
+
+describe("nhận lời mời bằng mã (joinedWith)", () => {
+    const seedInvite = (overrides = {}) =>
+        seed({
+            [`invites/${INVITE_CODE}`]: invite(overrides),
+            [`${householdPath}/invites/${INVITE_CODE}`]: true,
+        });
+
+    it("cho người ngoài tự tham gia với vai trò ghi trong mã mời", async () => {
+        await seedInvite();
+        await assertSucceeds(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE)));
+    });
+
+    it("không cho tham gia khi không có mã mời hoặc mã không tồn tại", async () => {
+        await assertFails(
+            db(OUTSIDER)
+                .ref()
+                .update({ [`${householdPath}/members/${OUTSIDER}`]: "caregiver", [`users/${OUTSIDER}/households/${HOUSEHOLD}`]: true })
+        );
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, "ZZZZ9999")));
+    });
+
+    it("không cho dùng mã mời đã hết hạn", async () => {
+        await seedInvite({ expiresAt: Date.now() - 60 * 1000 });
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE)));
+    });
+
+    it("không cho dùng lại mã mời đã được nhận", async () => {
+        await seedInvite();
+        await assertSucceeds(db("dave").ref().update(acceptInviteUpdates("dave", INVITE_CODE)));
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE)));
+    });
+
+    it("không cho dùng mã mời của hộ gia đình khác", async () => {
+        await seedInvite({ householdId: "household-2" });
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE)));
+    });
+
+    it("không cho nhận vai trò cao hơn vai trò trong mã mời", async () => {
+        await seedInvite({ role: "viewer" });
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE, { role: "caregiver" })));
+        await assertFails(db(OUTSIDER).ref().update(acceptInviteUpdates(OUTSIDER, INVITE_CODE, { role: "owner" })));
+    });
+
+    it("không cho đánh dấu mã đã nhận mà không tham gia hộ gia đình", async () => {
+        await seedInvite();
+        await assertFails(db(OUTSIDER).ref(`invites/${INVITE_CODE}/acceptedBy`).set(OUTSIDER));
+    });
+
+    it("không cho thành viên đã có dùng mã mời để đổi vai trò", async () => {
+        await seedInvite({ role: "caregiver" });
+        await assertFails(db(VIEWER).ref().update(acceptInviteUpdates(VIEWER, INVITE_CODE)));
+    });
+});
+
+describe("members (vai trò)", () => {
+    const membersPath = `${householdPath}/members`;
+
+    it("không cho người chăm sóc hoặc người chỉ xem tự nâng vai trò", async () => {
+        await assertFails(db(CAREGIVER).ref(`${membersPath}/${CAREGIVER}`).set("owner"));
+        await assertFails(db(VIEWER).ref(`${membersPath}/${VIEWER}`).set("caregiver"));
+    });
+
+    it("không cho người chăm sóc hoặc người chỉ xem đổi vai trò, xóa hay thêm người khác", async () => {
+        await assertFails(db(CAREGIVER).ref(`${membersPath}/${VIEWER}`).set("caregiver"));
+        await assertFails(db(CAREGIVER).ref(`${membersPath}/${VIEWER}`).remove());
+        await assertFails(db(VIEWER).ref(`${membersPath}/${OUTSIDER}`).set("viewer"));
+    });
+
+    it("cho chủ hộ đổi vai trò hoặc xóa thành viên khác và cho thành viên tự rời đi", async () => {
+        await assertSucceeds(db(OWNER).ref(`${membersPath}/${CAREGIVER}`).set("viewer"));
+        await assertSucceeds(db(OWNER).ref(`${membersPath}/${CAREGIVER}`).remove());
+        await assertSucceeds(db(VIEWER).ref(`${membersPath}/${VIEWER}`).remove());
+    });
+
+    it("từ chối vai trò không hợp lệ", async () => {
+        await assertFails(db(OWNER).ref(`${membersPath}/${CAREGIVER}`).set("admin"));
+    });
+});
+
+describe("inviteEmails", () => {
+    const emailKey = INVITED_EMAIL.replace(/\./g, ",");
+
+    it("cho chủ hộ ghi chỉ mục email cùng lúc với mã mời", async () => {
+        await assertSucceeds(
+            db(OWNER)
+                .ref()
+                .update({
+                    [`invites/${INVITE_CODE}`]: invite({ email: INVITED_EMAIL }),
+                    [`${householdPath}/invites/${INVITE_CODE}`]: true,
+                    [`inviteEmails/${emailKey}/${INVITE_CODE}`]: true,
+                })
+        );
+    });
+
+    it("không cho người ngoài hoặc người chăm sóc ghi chỉ mục email", async () => {
+        await seed({ [`invites/${INVITE_CODE}`]: invite({ email: INVITED_EMAIL }) });
+        await assertFails(db(OUTSIDER).ref(`inviteEmails/${emailKey}/${INVITE_CODE}`).set(true));
+        await assertFails(db(CAREGIVER).ref(`inviteEmails/${emailKey}/${INVITE_CODE}`).set(true));
+    });
+
+    it("không cho đọc lời mời của email khác, kể cả đã xác minh", async () => {
+        await seed({ [`inviteEmails/${emailKey}/${INVITE_CODE}`]: true });
+        await assertFails(db(OUTSIDER, { email: "mallory@example.com", email_verified: true }).ref(`inviteEmails/${emailKey}`).once("value"));
+        await assertFails(db(OWNER).ref(`inviteEmails/${emailKey}`).once("value"));
+    });
+});
+
+describe("iceConfig", () => {
+    const iceConfigPath = `${householdPath}/iceConfig`;
+    const iceConfig = (overrides = {}) => ({
+        iceServers: [{ urls: "turn:turn.example.com:3478", username: "1760000000:pi", credential: "secret" }],
+        expiresAt: Date.now() + 60 * 60 * 1000,
+        deviceId: DEVICE,
+        ...overrides,
+    });
+
+    it("cho chủ hộ hoặc tài khoản thiết bị của hộ gia đình ghi", async () => {
+        await assertSucceeds(db(OWNER).ref(iceConfigPath).set(iceConfig()));
+        await assertSucceeds(db(DEVICE_UID).ref(iceConfigPath).set(iceConfig()));
+    });
+
+    it("không cho người chăm sóc, người ngoài hoặc thiết bị ghi dưới deviceId khác", async () => {
+        await assertFails(db(CAREGIVER).ref(iceConfigPath).set(iceConfig()));
+        await assertFails(db(OUTSIDER).ref(iceConfigPath).set(iceConfig()));
+        await assertFails(db(DEVICE_UID).ref(iceConfigPath).set(iceConfig({ deviceId: "pi-khac" })));
+        await assertFails(db(DEVICE_UID).ref(iceConfigPath).remove());
+    });
+
+    it("từ chối cấu hình thiếu iceServers hoặc expiresAt không phải số", async () => {
+        await assertFails(db(OWNER).ref(iceConfigPath).set({ expiresAt: Date.now() }));
+        await assertFails(db(OWNER).ref(iceConfigPath).set(iceConfig({ expiresAt: "ngày mai" })));
+    });
+
+    it("chỉ thành viên được đọc", async () => {
+        await seed({ [iceConfigPath]: iceConfig() });
+        await assertSucceeds(db(VIEWER).ref(iceConfigPath).once("value"));
+        await assertFails(db(OUTSIDER).ref(iceConfigPath).once("value"));
+    });
+});
+
+describe("deviceList", () => {
+    const devicePath = (deviceId) => `${householdPath}/deviceList/${deviceId}`;
+    const device = (overrides = {}) => ({ name: "Phòng khách", addedAt: "2026-10-19T00:00:00.000Z", ...overrides });
+
+    it("cho chủ hộ thêm, đổi tên và xóa thiết bị", async () => {
+        await assertSucceeds(db(OWNER).ref(devicePath("pi-002")).set(device({ uid: "pi-account-2" })));
+        await assertSucceeds(db(OWNER).ref(`${devicePath("pi-002")}/name`).set("Phòng ngủ 2"));
+        await assertSucceeds(db(OWNER).ref(devicePath("pi-002")).remove());
+    });
+
+    it("không cho người chăm sóc, người ngoài hoặc chính thiết bị sửa danh sách", async () => {
+        await assertFails(db(CAREGIVER).ref(devicePath("pi-002")).set(device()));
+        await assertFails(db(OUTSIDER).ref(devicePath("pi-002")).set(device()));
+        await assertFails(db(DEVICE_UID).ref(`${devicePath(DEVICE)}/uid`).set("pi-khac"));
+    });
+
+    it("từ chối mã thiết bị, tên hoặc UID không hợp lệ", async () => {
+        await assertFails(db(OWNER).ref(devicePath("pi 002")).set(device()));
+        await assertFails(db(OWNER).ref(devicePath("pi")).set(device()));
+        await assertFails(db(OWNER).ref(devicePath("pi-002")).set(device({ name: "" })));
+        await assertFails(db(OWNER).ref(devicePath("pi-002")).set({ name: "Phòng khách" }));
+        await assertFails(db(OWNER).ref(devicePath("pi-002")).set(device({ uid: 42 })));
+    });
+});
+
+describe("users/{uid}/households", () => {
+    const membershipPath = (uid, householdId = HOUSEHOLD) => `users/${uid}/households/${householdId}`;
+
+    it("cho thành viên ghi chỉ mục hộ gia đình của chính mình", async () => {
+        await assertSucceeds(db(CAREGIVER).ref(membershipPath(CAREGIVER)).set(true));
+        await assertSucceeds(db(CAREGIVER).ref(`users/${CAREGIVER}`).once("value"));
+    });
+
+    it("không cho người ngoài tự thêm hộ gia đình hoặc ghi chỉ mục của người khác", async () => {
+        await assertFails(db(OUTSIDER).ref(membershipPath(OUTSIDER)).set(true));
+        await assertFails(db(CAREGIVER).ref(membershipPath(VIEWER)).set(true));
+        await assertFails(db(CAREGIVER).ref(membershipPath(CAREGIVER)).set("owner"));
+    });
+
+    it("chỉ chính người đó hoặc chủ hộ được xóa chỉ mục", async () => {
+        await seed({ [membershipPath(CAREGIVER)]: true, [membershipPath(VIEWER)]: true });
+        await assertFails(db(CAREGIVER).ref(membershipPath(VIEWER)).remove());
+        await assertSucceeds(db(OWNER).ref(membershipPath(CAREGIVER)).remove());
+        await assertSucceeds(db(VIEWER).ref(membershipPath(VIEWER)).remove());
+    });
+
+    it("không cho đọc chỉ mục của người khác", async () => {
+        await assertFails(db(OWNER).ref(`users/${CAREGIVER}`).once("value"));
+    });
+});
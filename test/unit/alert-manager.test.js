@@ -0,0 +1,223 @@
+// test/unit/alert-manager.test.js
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// Realtime Database giả trong bộ nhớ: mỗi đường dẫn giữ nguyên một giá trị, chỉ đủ cho alert-manager
+const fakeDb = vi.hoisted(() => {
+    const store = new Map();
+    const listeners = new Map();
+    const disconnectRemovals = new Set();
+    let nextId = 0;
+
+    const snapshot = (path) => ({ val: () => (store.has(path) ? structuredClone(store.get(path)) : null) });
+    const notify = (path) => (listeners.get(path) || new Set()).forEach((callback) => callback(snapshot(path)));
+    const write = (path, value) => {
+        if (value === null || value === undefined) store.delete(path);
+        else store.set(path, structuredClone(value));
+        notify(path);
+    };
+
+    return {
+        store,
+        disconnectRemovals,
+        // Các đường dẫn đang có người lắng nghe
+        watchedPaths: () => [...listeners].filter(([, callbacks]) => callbacks.size > 0).map(([path]) => path),
+        reset: () => {
+            store.clear();
+            listeners.clear();
+            disconnectRemovals.clear();
+            nextId = 0;
+        },
+        // Mất kết nối: chạy các thao tác onDisconnect().remove() đã đăng ký
+        disconnect: () => {
+            disconnectRemovals.forEach((path) => write(path, null));
+            disconnectRemovals.clear();
+        },
+        ref: (database, path) => ({ path }),
+        push: (parentRef) => ({ path: `${parentRef.path}/record-${++nextId}`, key: `record-${nextId}` }),
+        get: async (ref) => snapshot(ref.path),
+        set: async (ref, value) => write(ref.path, value),
+        update: async (ref, fields) => write(ref.path, { ...store.get(ref.path), ...fields }),
+        runTransaction: async (ref, transaction) => {
+            write(ref.path, transaction(store.has(ref.path) ? store.get(ref.path) : null));
+            return { committed: true, snapshot: snapshot(ref.path) };
+        },
+        onValue: (ref, callback) => {
+            if (!listeners.has(ref.path)) listeners.set(ref.path, new Set());
+            listeners.get(ref.path).add(callback);
+            queueMicrotask(() => callback(snapshot(ref.path)));
+            return () => listeners.get(ref.path).delete(callback);
+        },
+        onDisconnect: (ref) => ({
+            remove: async () => disconnectRemovals.add(ref.path),
+            cancel: async () => disconnectRemovals.delete(ref.path),
+        }),
+    };
+});
+
+vi.mock("../../src/js/firebase-config.js", () => ({
+    database: {},
+    auth: { currentUser: { uid: "bob", email: "bob@example.com" } },
+    ref: fakeDb.ref,
+    get: fakeDb.get,
+    set: fakeDb.set,
+    push: fakeDb.push,
+}));
+
+vi.mock("firebase/database", () => ({
+    onValue: fakeDb.onValue,
+    onDisconnect: fakeDb.onDisconnect,
+    update: fakeDb.update,
+    runTransaction: fakeDb.runTransaction,
+    query: () => {},
+    orderByChild: () => {},
+    equalTo: () => {},
+    limitToLast: () => {},
+}));
+
+const { startAlertManager, stopAlertManager, syncAlerts, acknowledgeAlerts, getVisibleAlerts } = await import("../../src/js/alert-manager.js");
+
+const EVENTS_PATH = "households/h1/userEvents";
+const POINTER_PATH = "households/h1/devices/pi-001/activeAlerts/babyTemperature";
+
+const fever = (since) => ({
+    kind: "babyTemperature",
+    type: "danger",
+    priority: 2,
+    message: "Sốt",
+    since: new Date(since).toISOString(),
+});
+
+const start = (options = {}) =>
+    startAlertManager({
+        eventsPath: EVENTS_PATH,
+        activeAlertsPath: "households/h1/devices/pi-001/activeAlerts",
+        deviceId: "pi-001",
+        deviceName: "Phòng ngủ",
+        onChange: () => {},
+        onEscalate: () => {},
+        ...options,
+    });
+
+const pointer = () => fakeDb.store.get(POINTER_PATH) ?? null;
+const record = (id) => fakeDb.store.get(`${EVENTS_PATH}/${id}`);
+
+// Mở cảnh báo sốt và chờ tới khi alert-manager lắng nghe bản ghi (đã tạo mới hoặc gắn vào bản ghi có sẵn)
+const openFever = async (since) => {
+    syncAlerts([fever(since)]);
+    await vi.waitFor(() => expect(fakeDb.watchedPaths().filter((path) => path.startsWith(EVENTS_PATH))).toHaveLength(1));
+    const [path] = fakeDb.watchedPaths().filter((watched) => watched.startsWith(EVENTS_PATH));
+    return path.slice(EVENTS_PATH.length + 1);
+};
+
+describe("alert-manager: con trỏ activeAlerts giữa các đợt cảnh báo", () => {
+    beforeEach(() => {
+        fakeDb.reset();
+        start();
+    });
+
+    afterEach(() => {
+        stopAlertManager();
+    });
+
+    it("gỡ con trỏ khi dừng và mở bản ghi mới cho đợt sau (mở → dừng → mở lại)", async () => {
+        const firstId = await openFever(Date.now() - 5 * 60 * 1000);
+        acknowledgeAlerts(["babyTemperature"]);
+        await vi.waitFor(() => expect(record(firstId).state).toBe("acknowledged"));
+
+        stopAlertManager();
+        await vi.waitFor(() => expect(pointer()).toBeNull());
+        expect(fakeDb.disconnectRemovals.has(POINTER_PATH)).toBe(false);
+
+        start();
+        const secondId = await openFever(Date.now());
+
+        expect(secondId).not.toBe(firstId);
+        expect(record(secondId).state).toBe("raised");
+        expect(getVisibleAlerts().map((alert) => alert.kind)).toEqual(["babyTemperature"]);
+    });
+
+    it("đặt onDisconnect để con trỏ tự bị xóa khi mất kết nối", async () => {
+        await openFever(Date.now());
+        expect(fakeDb.disconnectRemovals.has(POINTER_PATH)).toBe(true);
+
+        fakeDb.disconnect();
+        expect(pointer()).toBeNull();
+    });
+
+    it("thay con trỏ còn sót trỏ tới bản ghi đã kết thúc", async () => {
+        stopAlertManager();
+        fakeDb.store.set(`${EVENTS_PATH}/old`, { category: "alert", kind: "babyTemperature", state: "resolved", raisedAt: new Date().toISOString() });
+        fakeDb.store.set(POINTER_PATH, "old");
+
+        start();
+        const id = await openFever(Date.now());
+
+        expect(id).not.toBe("old");
+        expect(getVisibleAlerts()).toHaveLength(1);
+    });
+
+    it("thay con trỏ trỏ tới bản ghi mở trước khi đợt hiện tại bắt đầu", async () => {
+        stopAlertManager();
+        const raisedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        fakeDb.store.set(`${EVENTS_PATH}/old`, { category: "alert", kind: "babyTemperature", state: "acknowledged", raisedAt });
+        fakeDb.store.set(POINTER_PATH, "old");
+
+        start();
+        const id = await openFever(Date.now() - 60 * 1000);
+
+        expect(id).not.toBe("old");
+        expect(record(id).state).toBe("raised");
+        expect(getVisibleAlerts()).toHaveLength(1);
+    });
+
+    it("dùng lại bản ghi của đợt đang diễn ra do người khác mở", async () => {
+        stopAlertManager();
+        const raisedAt = new Date(Date.now() - 60 * 1000).toISOString();
+        fakeDb.store.set(`${EVENTS_PATH}/shared`, { category: "alert", kind: "babyTemperature", state: "acknowledged", raisedAt });
+        fakeDb.store.set(POINTER_PATH, "shared");
+
+        start();
+        const id = await openFever(Date.now() - 3 * 60 * 1000);
+
+        expect(id).toBe("shared");
+        await vi.waitFor(() => expect(getVisibleAlerts()).toHaveLength(0));
+    });
+});
+
+describe("alert-manager: vai trò chỉ xem", () => {
+    beforeEach(() => {
+        fakeDb.reset();
+        start({ readOnly: true });
+    });
+
+    afterEach(() => {
+        stopAlertManager();
+    });
+
+    it("chỉ hiển thị tại máy, không tạo bản ghi hay con trỏ", async () => {
+        syncAlerts([fever(Date.now())]);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(getVisibleAlerts()).toHaveLength(1);
+        expect([...fakeDb.store.keys()].filter((path) => path.startsWith(EVENTS_PATH))).toEqual([]);
+        expect(pointer()).toBeNull();
+    });
+
+    it("theo dõi bản ghi do người khác mở nhưng không ghi đè hay giải phóng con trỏ", async () => {
+        const raisedAt = new Date(Date.now() - 60 * 1000).toISOString();
+        const shared = { category: "alert", kind: "babyTemperature", state: "raised", raisedAt };
+        fakeDb.store.set(`${EVENTS_PATH}/shared`, shared);
+        fakeDb.store.set(POINTER_PATH, "shared");
+
+        const id = await openFever(Date.now() - 3 * 60 * 1000);
+        expect(id).toBe("shared");
+
+        syncAlerts([]);
+        stopAlertManager();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(record("shared")).toEqual(shared);
+        expect(pointer()).toBe("shared");
+    });
+});
@@ -1,8 +1,35 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { join } from "node:path";
 import { defineConfig } from "vite";
 import { NodeGlobalsPolyfillPlugin } from "@esbuild-plugins/node-globals-polyfill";
 
+// Ghi danh sách file có hash trong /assets/ vào dist/sw.js để service worker lưu sẵn khi cài đặt
+// (xem BUILD_ID và BUILD_ASSETS trong public/sw.js)
+const precacheServiceWorker = () => ({
+    name: "precache-service-worker",
+    apply: "build",
+    async writeBundle({ dir }, bundle) {
+        const assets = Object.keys(bundle)
+            .filter((fileName) => fileName.startsWith("assets/"))
+            .sort()
+            .map((fileName) => `/${fileName}`);
+        const buildId = createHash("sha256").update(assets.join("\n")).digest("hex").slice(0, 12);
+
+        const swPath = join(dir, "sw.js");
+        const source = await readFile(swPath, "utf8");
+        const output = source
+            .replace('const BUILD_ID = "dev";', `const BUILD_ID = ${JSON.stringify(buildId)};`)
+            .replace("const BUILD_ASSETS = [];", `const BUILD_ASSETS = ${JSON.stringify(assets)};`);
+        if (output === source) throw new Error("Không tìm thấy BUILD_ID/BUILD_ASSETS trong sw.js.");
+
+        await writeFile(swPath, output);
+    },
+});
+
 export default defineConfig({
     root: ".",
+    plugins: [precacheServiceWorker()],
     build: {
         outDir: "dist",
     },